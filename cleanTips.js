@@ -2,12 +2,13 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Tip from './models/Tip.js';
 import Creator from './models/Creator.js';
+import { fromDrops } from './utils/money.js';
 
 dotenv.config();
 
 const cleanTips = async () => {
   try {
-    await mongoose.connect(process.env.MONGODB_URI);
+    await mongoose.connect(process.env.MONGODB_URI, { useBigInt64: true });
     console.log('✅ Database connected');
 
     // Récupérer tous les créateurs
@@ -45,7 +46,7 @@ const cleanTips = async () => {
         });
 
         const totalTips = correctTips.length;
-        const totalAmount = correctTips.reduce((sum, tip) => sum + tip.amount, 0);
+        const totalAmount = correctTips.reduce((sum, tip) => sum + tip.amount, 0n);
         const uniqueSupporters = [...new Set(correctTips.map(t => t.senderAddress))].length;
 
         creator.stats.totalTips = totalTips;
@@ -53,7 +54,7 @@ const cleanTips = async () => {
         creator.stats.uniqueSupporters = uniqueSupporters;
         
         await creator.save();
-        console.log(`   ✅ Stats updated: ${totalTips} tips, ${totalAmount.toFixed(2)} XRP`);
+        console.log(`   ✅ Stats updated: ${totalTips} tips, ${fromDrops(totalAmount)} XRP`);
       } else {
         console.log(`   ✅ All tips are correct`);
       }
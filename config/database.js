@@ -5,6 +5,8 @@ export const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
       // Options for MongoDB connection
       // useNewUrlParser and useUnifiedTopology are no longer needed in Mongoose 6+
+      // Montants stockés en Int64 (drops) : toujours relus en BigInt, y compris lean() et aggregate()
+      useBigInt64: true
     });
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
@@ -1,49 +1,92 @@
 import dotenv from 'dotenv';
+import { findAcceptedToken, isXrp } from './tokens.js';
+import { toDrops, toPpm, mulDiv, minDrops } from '../utils/money.js';
 dotenv.config();
 // Configuration du wallet intermédiaire de la plateforme
 export const PLATFORM_WALLET_CONFIG = {
   // Wallet intermédiaire qui reçoit tous les tips
   address: process.env.PLATFORM_WALLET_ADDRESS || 'rPlatformWalletHere123456789',
   
-  // Secret du wallet (⚠️ GARDER ABSOLUMENT SECRET)
+  // Secret du wallet (⚠️ GARDER ABSOLUMENT SECRET) : uniquement pour SIGNER_TYPE=env
   secret: process.env.PLATFORM_WALLET_SECRET || '',
+
+  // Compte de trésorerie qui reçoit les frais collectés (sweep)
+  treasuryAddress: process.env.PLATFORM_TREASURY_ADDRESS || null,
   
-  // Configuration des frais (doit matcher le frontend)
+  // Frais par défaut quand aucune grille (FeeSchedule) n'est en vigueur en base
   fees: {
     percentage: 0.05, // 5%
     minAmountForFees: 1, // XRP
     minFee: 0.1, // XRP
     maxFee: null
   },
+
+  // Validité des devis de tip (GET /api/tips/quote)
+  quoteTtlMinutes: parseInt(process.env.TIP_QUOTE_TTL_MINUTES) || 15,
   
   // Réserve minimum à garder sur le wallet (pour les frais de transaction XRPL)
   minReserve: 10 // XRP
 };
 
 /**
- * Calculer les frais (côté backend)
- * @param {number} totalAmount - Montant total reçu
- * @returns {object} { creatorAmount, platformFee }
+ * Le wallet plateforme est-il configuré (sinon : paiements directs aux créateurs) ?
+ */
+export const isPlatformWalletConfigured = () => {
+  const { address } = PLATFORM_WALLET_CONFIG;
+  return Boolean(address) && address !== 'rPlatformWalletHere123456789';
+};
+
+/**
+ * Configuration des frais pour une devise, en drops (les minimums XRP ne s'appliquent pas aux tokens)
+ * schedule : grille FeeSchedule en vigueur (sinon configuration statique)
+ */
+const getFeeConfig = (totalDrops, currency, issuer, schedule) => {
+  const fees = schedule
+    ? {
+        percentage: schedule.getPercentage(totalDrops),
+        minAmountForFees: schedule.minAmountForFees,
+        minFee: schedule.minFee,
+        maxFee: schedule.maxFee ?? null
+      }
+    : PLATFORM_WALLET_CONFIG.fees;
+
+  const token = isXrp(currency) ? null : findAcceptedToken(currency, issuer);
+
+  return {
+    ppm: toPpm(fees.percentage),
+    minAmountForFees: toDrops(isXrp(currency) ? fees.minAmountForFees : (token ? token.minAmountForFees : 0)),
+    minFee: toDrops(isXrp(currency) ? fees.minFee : (token ? token.minFee : 0)),
+    maxFee: fees.maxFee === null ? null : toDrops(fees.maxFee)
+  };
+};
+
+/**
+ * Calculer les frais (côté backend), au drop près
+ * @param {bigint|string|number} totalAmount - Montant total reçu (drops, ou décimal)
+ * @param {string} currency - 'XRP' ou code d'un token accepté
+ * @param {string} issuer - Émetteur du token (ignoré pour XRP)
+ * @param {object} schedule - Grille FeeSchedule applicable (null = configuration statique)
+ * @returns {object} { creatorAmount, platformFee } en drops (BigInt)
  */
-export const calculateBackendFees = (totalAmount) => {
-  const config = PLATFORM_WALLET_CONFIG.fees;
+export const calculateBackendFees = (totalAmount, currency = 'XRP', issuer = null, schedule = null) => {
+  const total = toDrops(totalAmount);
+  const config = getFeeConfig(total, currency, issuer, schedule);
   
-  // Si montant trop petit, pas de frais
-  if (totalAmount < config.minAmountForFees) {
+  // Si montant trop petit (ou période à 0%), pas de frais
+  if (total < config.minAmountForFees || config.ppm === 0n) {
     return {
-      creatorAmount: totalAmount,
-      platformFee: 0
+      creatorAmount: total,
+      platformFee: 0n
     };
   }
 
   // Calculer les frais à partir du montant total
   // Si total = 10.5 XRP, on veut récupérer : créateur = 10 XRP, frais = 0.5 XRP
-  // Formule : creatorAmount = total / (1 + percentage)
-  const creatorAmount = totalAmount / (1 + config.percentage);
-  let platformFee = totalAmount - creatorAmount;
+  // Formule : creatorAmount = total / (1 + percentage), arrondi au drop inférieur
+  let platformFee = total - mulDiv(total, 1000000n, 1000000n + config.ppm);
   
   // Appliquer frais minimum
-  if (platformFee < config.minFee && totalAmount >= config.minAmountForFees) {
+  if (platformFee < config.minFee) {
     platformFee = config.minFee;
   }
   
@@ -52,12 +95,41 @@ export const calculateBackendFees = (totalAmount) => {
     platformFee = config.maxFee;
   }
 
-  // Arrondir
-  const finalCreatorAmount = Math.round((totalAmount - platformFee) * 100) / 100;
-  const finalPlatformFee = Math.round(platformFee * 100) / 100;
+  platformFee = minDrops(platformFee, total);
 
   return {
-    creatorAmount: finalCreatorAmount,
-    platformFee: finalPlatformFee
+    creatorAmount: total - platformFee,
+    platformFee
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Calculer le montant total à envoyer pour que le créateur reçoive creatorAmount
+ * (inverse de calculateBackendFees, utilisé pour les devis)
+ * @returns {object} { totalAmount, creatorAmount, platformFee } en drops (BigInt)
+ */
+export const calculateGrossAmount = (creatorAmount, currency = 'XRP', issuer = null, schedule = null) => {
+  const net = toDrops(creatorAmount);
+
+  // Sous le minimum (ou à 0%) : pas de frais, le créateur reçoit tout
+  if (calculateBackendFees(net, currency, issuer, schedule).platformFee === 0n) {
+    return { totalAmount: net, creatorAmount: net, platformFee: 0n };
+  }
+
+  // Les paliers et minimums dépendent du total : converger en quelques itérations
+  const { ppm } = getFeeConfig(net, currency, issuer, schedule);
+  let totalAmount = mulDiv(net, 1000000n + ppm, 1000000n, 'up');
+
+  for (let i = 0; i < 5; i++) {
+    const next = net + calculateBackendFees(totalAmount, currency, issuer, schedule).platformFee;
+    if (next === totalAmount) {
+      break;
+    }
+    totalAmount = next;
+  }
+
+  return {
+    totalAmount,
+    ...calculateBackendFees(totalAmount, currency, issuer, schedule)
+  };
+};
@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Demandes de signature côté tippeur (wallet mobile type Xaman)
+export const SIGN_REQUEST_CONFIG = {
+  // 'xaman' (API payload Xaman) ou 'mock' (local, développement uniquement)
+  provider: process.env.SIGN_REQUEST_PROVIDER || (process.env.XAMAN_API_KEY ? 'xaman' : 'mock'),
+
+  // Validité d'une demande de signature
+  expiresInMinutes: parseInt(process.env.SIGN_REQUEST_EXPIRES_MINUTES) || 10,
+
+  // Retour vers le site après signature ({id} = id de la demande)
+  returnUrl: process.env.SIGN_REQUEST_RETURN_URL || null,
+
+  xaman: {
+    apiUrl: process.env.XAMAN_API_URL || 'https://xumm.app/api/v1/platform',
+    apiKey: process.env.XAMAN_API_KEY || '',
+    apiSecret: process.env.XAMAN_API_SECRET || '',
+    timeout: parseInt(process.env.XAMAN_API_TIMEOUT) || 10000 // ms
+  },
+
+  mock: {
+    // Base des liens de signature simulés (routes /api/sign-requests/mock/...)
+    baseUrl: process.env.SIGN_REQUEST_MOCK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+  }
+};
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Signature des transactions du wallet plateforme
+export const SIGNER_CONFIG = {
+  // 'keystore' (seed chiffrée), 'remote' (signeur HTTP), 'offline' (signature air-gapped)
+  // ou 'env' (PLATFORM_WALLET_SECRET, déconseillé hors développement)
+  type: process.env.SIGNER_TYPE || (process.env.PLATFORM_WALLET_SECRET ? 'env' : 'keystore'),
+
+  keystore: {
+    path: process.env.SIGNER_KEYSTORE_PATH || './keystore/platform-wallet.json',
+    // Sans passphrase au démarrage, le keystore reste verrouillé jusqu'au déverrouillage admin
+    passphrase: process.env.SIGNER_KEYSTORE_PASSPHRASE || null,
+    passphraseFile: process.env.SIGNER_KEYSTORE_PASSPHRASE_FILE || null
+  },
+
+  remote: {
+    url: process.env.SIGNER_REMOTE_URL || 'http://127.0.0.1:7070',
+    token: process.env.SIGNER_REMOTE_TOKEN || '',
+    timeout: parseInt(process.env.SIGNER_REMOTE_TIMEOUT) || 10000 // ms
+  },
+
+  offline: {
+    // Validité des transactions à signer hors ligne (~4s par ledger)
+    ledgerWindow: parseInt(process.env.SIGNER_OFFLINE_LEDGER_WINDOW) || 5000
+  }
+};
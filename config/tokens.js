@@ -0,0 +1,66 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Convertir un code devise lisible en code XRPL
+ * (3 caractères : tel quel, sinon hexadécimal sur 40 caractères)
+ */
+export const toCurrencyCode = (code) => {
+  if (code.length === 3) {
+    return code;
+  }
+  return Buffer.from(code, 'ascii').toString('hex').toUpperCase().padEnd(40, '0');
+};
+
+/**
+ * Convertir un code devise XRPL en code lisible
+ */
+export const fromCurrencyCode = (currency) => {
+  if (!currency || currency.length !== 40) {
+    return currency;
+  }
+  return Buffer.from(currency, 'hex').toString('ascii').replace(/\0/g, '');
+};
+
+// Tokens acceptés par ce déploiement : ACCEPTED_TOKENS=CODE:ISSUER[:MIN_FEE],...
+// Exemple : ACCEPTED_TOKENS=RLUSD:rMxCKbEDwqr76QuheSUMdEGf4B9xJ8m5De:0.1
+const parseAcceptedTokens = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [code, issuer, minFee] = entry.split(':').map(part => part.trim());
+      return {
+        code,
+        currency: toCurrencyCode(code),
+        issuer,
+        // Pas de frais fixes en XRP pour les tokens : minimum exprimé dans le token
+        minFee: minFee ? parseFloat(minFee) : 0,
+        minAmountForFees: 0
+      };
+    });
+};
+
+export const ACCEPTED_TOKENS = parseAcceptedTokens(process.env.ACCEPTED_TOKENS);
+
+/**
+ * Retrouver un token accepté (code lisible ou code XRPL) pour un émetteur donné
+ */
+export const findAcceptedToken = (currency, issuer) => {
+  if (!currency || !issuer) {
+    return null;
+  }
+
+  const code = fromCurrencyCode(currency);
+  return ACCEPTED_TOKENS.find(t => t.code === code && t.issuer === issuer) || null;
+};
+
+/**
+ * Vérifier si une devise est le XRP natif
+ */
+export const isXrp = (currency) => !currency || currency === 'XRP';
\ No newline at end of file
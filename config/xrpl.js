@@ -0,0 +1,50 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Endpoints rippled publics par réseau (utilisés si XRPL_ENDPOINTS n'est pas défini)
+export const XRPL_NETWORKS = {
+  mainnet: [
+    'wss://xrplcluster.com',
+    'wss://s1.ripple.com',
+    'wss://s2.ripple.com'
+  ],
+  testnet: [
+    'wss://s.altnet.rippletest.net:51233',
+    'wss://testnet.xrpl-labs.com'
+  ]
+};
+
+const network = process.env.XRPL_NETWORK === 'mainnet' ? 'mainnet' : 'testnet';
+
+// Liste d'endpoints configurable : XRPL_ENDPOINTS=wss://a.example,wss://b.example
+const parseEndpoints = (value) => {
+  if (!value) {
+    return XRPL_NETWORKS[network];
+  }
+
+  return value
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+};
+
+// Configuration de la connexion au réseau XRPL
+export const XRPL_CONFIG = {
+  network,
+
+  // Endpoints essayés dans l'ordre, puis en rotation lors des reconnexions
+  endpoints: parseEndpoints(process.env.XRPL_ENDPOINTS),
+
+  // Délai max pour ouvrir le websocket (ms)
+  connectionTimeout: parseInt(process.env.XRPL_CONNECTION_TIMEOUT) || 10000,
+
+  // Sonde de santé : fréquence (ms) et âge max du dernier ledger validé (s)
+  healthCheckInterval: parseInt(process.env.XRPL_HEALTH_CHECK_INTERVAL) || 30000,
+  maxLedgerAge: parseInt(process.env.XRPL_MAX_LEDGER_AGE) || 60,
+
+  // Backoff exponentiel des reconnexions (ms)
+  reconnect: {
+    initialDelay: 1000,
+    maxDelay: 60000
+  }
+};
\ No newline at end of file
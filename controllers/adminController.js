@@ -1,6 +1,19 @@
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Creator from '../models/Creator.js';
 import Tip from '../models/Tip.js';
+import PayoutJob from '../models/PayoutJob.js';
+import UnattributedPayment from '../models/UnattributedPayment.js';
+import SigningRequest from '../models/SigningRequest.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import payoutQueue from '../services/payoutQueue.js';
+import xrplService from '../services/xrplService.js';
+import redistributionService from '../services/redistributionService.js';
+import xrplClient from '../services/xrplClient.js';
+import pendingTipReconciler from '../services/pendingTipReconciler.js';
+import { PLATFORM_WALLET_CONFIG } from '../config/platformWallet.js';
+import { toDrops, fromStored } from '../utils/money.js';
 
 const calculateDestinationTag = (userId) => {
   const idHex = userId.toString().slice(-8);
@@ -34,10 +47,10 @@ export const getAdminStats = async (req, res) => {
     
     // Total XRP volume
     const tipsAggregate = await Tip.aggregate([
-      { $match: { status: 'confirmed' } },
+      { $match: { status: 'confirmed', currency: 'XRP' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
-    const totalXRPVolume = tipsAggregate[0]?.total || 0;
+    const totalXRPVolume = fromStored(tipsAggregate[0]?.total);
 
     res.json({
       totalUsers,
@@ -161,7 +174,9 @@ export const getUserById = async (req, res) => {
         status: 'confirmed' 
       });
       
-      const totalAmount = tips.reduce((sum, tip) => sum + tip.amount, 0);
+      const totalAmount = tips
+        .filter(tip => tip.currency === 'XRP')
+        .reduce((sum, tip) => sum + tip.amount, 0n);
       
       tipsStats = {
         totalTips: tips.length,
@@ -297,4 +312,855 @@ export const getPlatformActivity = async (req, res) => {
       error: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    List payout jobs (filter by status, e.g. dead_letter)
+// @route   GET /api/admin/payout-jobs
+// @access  Private/Admin
+export const getPayoutJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const jobs = await PayoutJob.find(filter)
+      .populate('creator', 'username xrpAddress')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await PayoutJob.countDocuments(filter);
+
+    // Compteurs par statut pour le tableau de bord
+    const counts = await PayoutJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      jobs,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin payout jobs error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching payout jobs',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get payout job details (with failure history)
+// @route   GET /api/admin/payout-jobs/:id
+// @access  Private/Admin
+export const getPayoutJobById = async (req, res) => {
+  try {
+    const job = await PayoutJob.findById(req.params.id)
+      .populate('creator', 'username xrpAddress walletType')
+      .populate('tip')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({ message: 'Payout job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get payout job error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching payout job',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Retry a payout job now (optional sinceLedger after a manual check)
+// @route   POST /api/admin/payout-jobs/:id/retry
+// @access  Private/Admin
+export const retryPayoutJob = async (req, res) => {
+  try {
+    const job = await PayoutJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Payout job not found' });
+    }
+
+    if (!['pending', 'dead_letter', 'cancelled'].includes(job.status)) {
+      return res.status(400).json({ message: `Cannot retry a ${job.status} job` });
+    }
+
+    // Ledger de départ de la recherche on-ledger, vérifié manuellement par l'admin
+    if (req.body.sinceLedger !== undefined) {
+      const sinceLedger = Number(req.body.sinceLedger);
+
+      if (!Number.isInteger(sinceLedger) || sinceLedger < 1) {
+        return res.status(400).json({ message: 'sinceLedger must be a positive ledger index' });
+      }
+
+      job.sinceLedger = sinceLedger;
+    }
+
+    await job.requeue();
+    payoutQueue.processDueJobs();
+
+    res.json({
+      message: 'Payout job requeued',
+      job
+    });
+  } catch (error) {
+    console.error('Retry payout job error:', error);
+    res.status(500).json({ 
+      message: 'Error retrying payout job',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Cancel a payout job
+// @route   POST /api/admin/payout-jobs/:id/cancel
+// @access  Private/Admin
+export const cancelPayoutJob = async (req, res) => {
+  try {
+    // Mise à jour conditionnelle : ne pas annuler un job en cours d'exécution
+    const job = await PayoutJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['pending', 'dead_letter'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: req.user._id
+        }
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      const exists = await PayoutJob.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Only pending or dead-letter jobs can be cancelled' })
+        : res.status(404).json({ message: 'Payout job not found' });
+    }
+
+    res.json({
+      message: 'Payout job cancelled',
+      job
+    });
+  } catch (error) {
+    console.error('Cancel payout job error:', error);
+    res.status(500).json({ 
+      message: 'Error cancelling payout job',
+      error: error.message 
+    });
+  }
+};
+// @desc    List unattributed payments (missing or unknown destination tag)
+// @route   GET /api/admin/unattributed-payments
+// @access  Private/Admin
+export const getUnattributedPayments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const payments = await UnattributedPayment.find(filter)
+      .populate('assignedCreator', 'username xrpAddress')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await UnattributedPayment.countDocuments(filter);
+
+    const counts = await UnattributedPayment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      payments,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin unattributed payments error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching unattributed payments',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Assign an unattributed payment to a creator (fee split + redistribution)
+// @route   POST /api/admin/unattributed-payments/:id/assign
+// @access  Private/Admin
+export const assignUnattributedPayment = async (req, res) => {
+  try {
+    const { creatorId, username } = req.body;
+
+    if (!creatorId && !username) {
+      return res.status(400).json({ message: 'creatorId or username is required' });
+    }
+
+    const creator = creatorId
+      ? await Creator.findById(creatorId)
+      : await Creator.findOne({ username: username.toLowerCase() });
+
+    if (!creator) {
+      return res.status(404).json({ message: 'Creator not found' });
+    }
+
+    if (!creator.isActive) {
+      return res.status(400).json({ message: 'Cannot assign a payment to an inactive creator' });
+    }
+
+    const record = await xrplService.assignUnattributedPayment(req.params.id, creator, req.user._id);
+
+    if (!record) {
+      const existing = await UnattributedPayment.findById(req.params.id).lean();
+
+      if (!existing) {
+        return res.status(404).json({ message: 'Unattributed payment not found' });
+      }
+
+      return res.status(400).json({
+        message: existing.amount === null
+          ? `Payment cannot be assigned: ${existing.rejectionReason}`
+          : `Cannot assign a ${existing.status} payment`
+      });
+    }
+
+    res.json({
+      message: 'Payment assigned',
+      payment: record
+    });
+  } catch (error) {
+    console.error('Assign unattributed payment error:', error);
+    res.status(500).json({ 
+      message: 'Error assigning payment',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Mark an unattributed payment for refund to its sender
+// @route   POST /api/admin/unattributed-payments/:id/refund
+// @access  Private/Admin
+export const markUnattributedPaymentForRefund = async (req, res) => {
+  try {
+    const record = await UnattributedPayment.findById(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ message: 'Unattributed payment not found' });
+    }
+
+    if (record.status !== 'unassigned') {
+      return res.status(400).json({ message: `Cannot refund a ${record.status} payment` });
+    }
+
+    await record.markForRefund(req.user._id, req.body.note);
+    await payoutQueue.enqueueRefund({
+      unattributedPayment: record,
+      reason: req.body.note || `Unattributed payment (${record.reason})`
+    });
+
+    res.json({
+      message: 'Payment marked for refund',
+      payment: record
+    });
+  } catch (error) {
+    console.error('Mark unattributed payment for refund error:', error);
+    res.status(500).json({ 
+      message: 'Error marking payment for refund',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Refund a confirmed tip to its sender (instead of paying the creator)
+// @route   POST /api/admin/tips/:id/refund
+// @access  Private/Admin
+export const refundTip = async (req, res) => {
+  try {
+    const tip = await Tip.findById(req.params.id);
+
+    if (!tip) {
+      return res.status(404).json({ message: 'Tip not found' });
+    }
+
+    if (tip.status !== 'confirmed' || !tip.transactionHash) {
+      return res.status(400).json({ message: `Cannot refund a ${tip.status} tip` });
+    }
+
+    if (tip.redistributed || tip.payout) {
+      return res.status(400).json({ message: 'Tip already redistributed to the creator' });
+    }
+
+    const job = await payoutQueue.enqueueRefund({
+      tip,
+      reason: req.body.reason || 'Refunded by admin'
+    });
+
+    res.json({
+      message: 'Refund queued',
+      job
+    });
+  } catch (error) {
+    console.error('Refund tip error:', error);
+    res.status(500).json({ 
+      message: 'Error refunding tip',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get platform wallet signer status
+// @route   GET /api/admin/signer
+// @access  Private/Admin
+export const getSignerStatus = async (req, res) => {
+  const signer = redistributionService.signer;
+
+  if (!signer) {
+    return res.status(503).json({ message: 'Signer not initialized' });
+  }
+
+  res.json(signer.getStatus());
+};
+
+// @desc    Unlock the keystore signer
+// @route   POST /api/admin/signer/unlock
+// @access  Private/Admin
+export const unlockSigner = async (req, res) => {
+  try {
+    const signer = redistributionService.signer;
+
+    if (!signer || signer.type !== 'keystore') {
+      return res.status(400).json({ message: 'Only the keystore signer can be unlocked' });
+    }
+
+    if (!req.body.passphrase) {
+      return res.status(400).json({ message: 'Passphrase is required' });
+    }
+
+    try {
+      signer.unlock(req.body.passphrase);
+    } catch (error) {
+      return res.status(401).json({ message: error.message });
+    }
+
+    // Reprendre les paiements en attente de signature
+    await payoutQueue.wake();
+
+    res.json({
+      message: 'Signer unlocked',
+      signer: signer.getStatus()
+    });
+  } catch (error) {
+    console.error('Unlock signer error:', error);
+    res.status(500).json({ 
+      message: 'Error unlocking signer',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Lock the keystore signer
+// @route   POST /api/admin/signer/lock
+// @access  Private/Admin
+export const lockSigner = async (req, res) => {
+  const signer = redistributionService.signer;
+
+  if (!signer || signer.type !== 'keystore') {
+    return res.status(400).json({ message: 'Only the keystore signer can be locked' });
+  }
+
+  signer.lock();
+
+  res.json({
+    message: 'Signer locked',
+    signer: signer.getStatus()
+  });
+};
+
+// @desc    List offline signing requests
+// @route   GET /api/admin/signing-requests
+// @access  Private/Admin
+export const getSigningRequests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const requests = await SigningRequest.find(filter)
+      .select('-signedBlob')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await SigningRequest.countDocuments(filter);
+
+    res.json({
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin signing requests error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching signing requests',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get an offline signing request (unsigned blob to sign)
+// @route   GET /api/admin/signing-requests/:id
+// @access  Private/Admin
+export const getSigningRequestById = async (req, res) => {
+  try {
+    const request = await SigningRequest.findById(req.params.id).lean();
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signing request not found' });
+    }
+
+    res.json(request);
+  } catch (error) {
+    console.error('Get signing request error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching signing request',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Import the signed blob of an offline signing request
+// @route   POST /api/admin/signing-requests/:id/signed
+// @access  Private/Admin
+export const importSignedTransaction = async (req, res) => {
+  try {
+    const signer = redistributionService.signer;
+
+    if (!signer || signer.type !== 'offline') {
+      return res.status(400).json({ message: 'Offline signer is not enabled' });
+    }
+
+    if (!req.body.txBlob) {
+      return res.status(400).json({ message: 'txBlob is required' });
+    }
+
+    let request;
+    try {
+      request = await signer.importSignedBlob(req.params.id, req.body.txBlob.trim(), req.user._id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signing request not found' });
+    }
+
+    // Reprendre le paiement correspondant sans attendre
+    if (mongoose.isValidObjectId(request.reference)) {
+      await payoutQueue.wake({ _id: request.reference });
+    }
+
+    res.json({
+      message: 'Signed transaction imported',
+      request: {
+        _id: request._id,
+        reference: request.reference,
+        purpose: request.purpose,
+        status: request.status,
+        hash: request.hash
+      }
+    });
+  } catch (error) {
+    console.error('Import signed transaction error:', error);
+    res.status(500).json({ 
+      message: 'Error importing signed transaction',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Sweep collected fees from the platform wallet
+// @route   POST /api/admin/platform-wallet/sweep
+// @access  Private/Admin
+export const sweepPlatformWallet = async (req, res) => {
+  try {
+    const destination = req.body.destination || PLATFORM_WALLET_CONFIG.treasuryAddress;
+    const amount = toDrops(req.body.amount);
+
+    if (!destination || !xrplService.validateAddress(destination)) {
+      return res.status(400).json({ message: 'A valid destination (or PLATFORM_TREASURY_ADDRESS) is required' });
+    }
+
+    if (amount <= 0n) {
+      return res.status(400).json({ message: 'Amount must be greater than 0' });
+    }
+
+    // Reprise d'un sweep : le ledger de départ renvoyé avec la référence borne la recherche on-ledger
+    if (req.body.reference && !(Number.isInteger(Number(req.body.sinceLedger)) && Number(req.body.sinceLedger) > 0)) {
+      return res.status(400).json({ message: 'sinceLedger (returned with the reference) is required to resume a sweep' });
+    }
+
+    // Référence stable : la renvoyer pour reprendre un sweep en attente de signature
+    const reference = req.body.reference || `sweep:${new mongoose.Types.ObjectId()}`;
+    const sinceLedger = req.body.reference
+      ? Number(req.body.sinceLedger)
+      : await xrplClient.getValidatedLedgerIndex();
+
+    try {
+      const result = await redistributionService.sweep({
+        destination,
+        amount,
+        destinationTag: req.body.destinationTag ?? null,
+        reference
+      }, { sinceLedger });
+
+      res.json({
+        message: 'Sweep completed',
+        reference,
+        sinceLedger,
+        ...result
+      });
+    } catch (error) {
+      if (error.deferred) {
+        return res.status(202).json({
+          message: error.message,
+          reference,
+          sinceLedger
+        });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Sweep error:', error);
+    res.status(500).json({ 
+      message: 'Error sweeping platform wallet',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get pending tip reconciliation progress
+// @route   GET /api/admin/pending-tips/reconciliation
+// @access  Private/Admin
+export const getPendingTipReconciliation = async (req, res) => {
+  try {
+    const [pending, expired, oldestPending] = await Promise.all([
+      Tip.countDocuments({ status: 'pending' }),
+      Tip.countDocuments({ status: 'expired' }),
+      Tip.findOne({ status: 'pending' }).sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+
+    res.json({
+      ...pendingTipReconciler.getStatus(),
+      tips: {
+        pending,
+        expired,
+        oldestPendingAt: oldestPending ? oldestPending.createdAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Get pending tip reconciliation error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching pending tip reconciliation',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Start a pending tip reconciliation run now
+// @route   POST /api/admin/pending-tips/reconciliation/run
+// @access  Private/Admin
+export const runPendingTipReconciliation = async (req, res) => {
+  if (pendingTipReconciler.running) {
+    return res.status(409).json({ message: 'Reconciliation already running' });
+  }
+
+  // Passage en arrière-plan : suivre la progression via GET /pending-tips/reconciliation
+  pendingTipReconciler.run();
+
+  res.status(202).json({ message: 'Reconciliation started' });
+};
+
+// Champs modifiables d'une grille de frais (body -> document)
+const FEE_SCHEDULE_FIELDS = ['name', 'description', 'tiers', 'minAmountForFees', 'minFee', 'maxFee', 'effectiveFrom', 'effectiveUntil', 'isActive'];
+
+// Résoudre le créateur visé par une dérogation (creatorId ou username, null = grille par défaut)
+const findScheduleCreator = async ({ creatorId, username }) => {
+  if (creatorId) {
+    return Creator.findById(creatorId);
+  }
+  if (username) {
+    return Creator.findOne({ username: username.toLowerCase() });
+  }
+  return null;
+};
+
+// @desc    List fee schedules (?creator=<id>|default, ?isActive=true|false)
+// @route   GET /api/admin/fee-schedules
+// @access  Private/Admin
+export const getFeeSchedules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation errors', errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.creator) {
+      filter.creator = req.query.creator === 'default' ? null : req.query.creator;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const schedules = await FeeSchedule.find(filter)
+      .populate('creator', 'username displayName')
+      .sort({ effectiveFrom: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await FeeSchedule.countDocuments(filter);
+
+    // Grille par défaut en vigueur (null = configuration statique)
+    const current = await FeeSchedule.resolve(null);
+
+    res.json({
+      schedules,
+      currentDefault: current ? current._id : null,
+      staticFees: PLATFORM_WALLET_CONFIG.fees,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin fee schedules error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching fee schedules',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Preview the fees applied to a payment (which schedule is in effect)
+// @route   GET /api/admin/fee-schedules/preview?amount=&creator=&currency=&issuer=&date=
+// @access  Private/Admin
+export const previewFees = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation errors', errors: errors.array() });
+    }
+
+    const amount = toDrops(req.query.amount);
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const schedule = await FeeSchedule.resolve(req.query.creator || null, date);
+    const fees = await FeeSchedule.computeFees(amount, {
+      creator: req.query.creator || null,
+      currency: req.query.currency || 'XRP',
+      issuer: req.query.issuer || null,
+      date
+    });
+
+    res.json({
+      amount,
+      ...fees,
+      schedule: schedule
+        ? { _id: schedule._id, name: schedule.name, creator: schedule.creator, percentage: schedule.getPercentage(amount) }
+        : null
+    });
+  } catch (error) {
+    console.error('Fee preview error:', error);
+    res.status(500).json({ 
+      message: 'Error computing fees',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get fee schedule details (with number of tips charged under it)
+// @route   GET /api/admin/fee-schedules/:id
+// @access  Private/Admin
+export const getFeeScheduleById = async (req, res) => {
+  try {
+    const schedule = await FeeSchedule.findById(req.params.id)
+      .populate('creator', 'username displayName')
+      .populate('createdBy', 'username email')
+      .lean();
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Fee schedule not found' });
+    }
+
+    const tipsCount = await Tip.countDocuments({ feeSchedule: schedule._id });
+
+    res.json({
+      schedule,
+      tipsCount
+    });
+  } catch (error) {
+    console.error('Admin fee schedule error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching fee schedule',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Create a fee schedule (default or creator override)
+// @route   POST /api/admin/fee-schedules
+// @access  Private/Admin
+export const createFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation errors', errors: errors.array() });
+    }
+
+    const creator = await findScheduleCreator(req.body);
+
+    if ((req.body.creatorId || req.body.username) && !creator) {
+      return res.status(404).json({ message: 'Creator not found' });
+    }
+
+    const schedule = new FeeSchedule({
+      ...Object.fromEntries(FEE_SCHEDULE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]])),
+      effectiveFrom: req.body.effectiveFrom || new Date(),
+      creator: creator ? creator._id : null,
+      createdBy: req.user._id
+    });
+
+    await schedule.save();
+
+    res.status(201).json({
+      message: 'Fee schedule created',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create fee schedule error:', error);
+    res.status(500).json({ 
+      message: 'Error creating fee schedule',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Update a fee schedule (rates are frozen once tips reference it)
+// @route   PUT /api/admin/fee-schedules/:id
+// @access  Private/Admin
+export const updateFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation errors', errors: errors.array() });
+    }
+
+    const schedule = await FeeSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Fee schedule not found' });
+    }
+
+    const updates = FEE_SCHEDULE_FIELDS.filter(f => req.body[f] !== undefined);
+
+    // ✅ Les tips déjà calculés avec cette grille doivent rester vérifiables
+    const rateUpdates = updates.filter(f => FeeSchedule.RATE_FIELDS.includes(f));
+    if (rateUpdates.length > 0 && await Tip.exists({ feeSchedule: schedule._id })) {
+      return res.status(409).json({
+        message: `Schedule already applied to tips: ${rateUpdates.join(', ')} cannot change. Close it (effectiveUntil) and create a new one.`
+      });
+    }
+
+    updates.forEach(f => {
+      schedule[f] = req.body[f];
+    });
+
+    await schedule.save();
+
+    res.json({
+      message: 'Fee schedule updated',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update fee schedule error:', error);
+    res.status(500).json({ 
+      message: 'Error updating fee schedule',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Delete a fee schedule (only if no tip was charged under it)
+// @route   DELETE /api/admin/fee-schedules/:id
+// @access  Private/Admin
+export const deleteFeeSchedule = async (req, res) => {
+  try {
+    const schedule = await FeeSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Fee schedule not found' });
+    }
+
+    if (await Tip.exists({ feeSchedule: schedule._id })) {
+      return res.status(409).json({ message: 'Schedule already applied to tips: deactivate it instead' });
+    }
+
+    await schedule.deleteOne();
+
+    res.json({ message: 'Fee schedule deleted' });
+  } catch (error) {
+    console.error('Delete fee schedule error:', error);
+    res.status(500).json({ 
+      message: 'Error deleting fee schedule',
+      error: error.message 
+    });
+  }
+};
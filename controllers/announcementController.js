@@ -0,0 +1,275 @@
+import { validationResult } from 'express-validator';
+import Creator from '../models/Creator.js';
+import AnnouncementChannel, {
+  ANNOUNCEMENT_PROVIDERS,
+  ANNOUNCEMENT_PLACEHOLDERS,
+  DEFAULT_ANNOUNCEMENT_TEMPLATE
+} from '../models/AnnouncementChannel.js';
+import announcementService from '../services/announcementService.js';
+import { toDrops } from '../utils/money.js';
+
+// @desc    List my Discord / Slack announcement channels (with recent failures)
+// @route   GET /api/creators/me/announcements
+// @access  Private
+export const getMyAnnouncementChannels = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const channels = await AnnouncementChannel.find({ creator: creator._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        providers: ANNOUNCEMENT_PROVIDERS,
+        placeholders: ANNOUNCEMENT_PLACEHOLDERS,
+        defaultTemplate: DEFAULT_ANNOUNCEMENT_TEMPLATE,
+        channels: channels.map(channel => channel.toSettingsJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Error getting announcement channels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching announcement channels'
+    });
+  }
+};
+
+// @desc    Add a Discord / Slack announcement channel
+// @route   POST /api/creators/me/announcements
+// @access  Private
+export const createMyAnnouncementChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const { provider, url, name, template, minAmount, perMinuteCap } = req.body;
+
+    const channel = await announcementService.createChannel(creator, {
+      provider,
+      url,
+      name,
+      template,
+      minAmount,
+      perMinuteCap
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement channel created',
+      data: channel.toSettingsJSON()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating announcement channel:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating announcement channel'
+    });
+  }
+};
+
+// @desc    Update one of my announcement channels
+// @route   PUT /api/creators/me/announcements/:id
+// @access  Private
+export const updateMyAnnouncementChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const channel = await AnnouncementChannel.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement channel not found'
+      });
+    }
+
+    const { url, name, template, minAmount, perMinuteCap, isActive } = req.body;
+
+    if (url !== undefined) {
+      announcementService.assertValidUrl(channel.provider, url);
+      channel.url = url;
+      channel.consecutiveFailures = 0;
+    }
+    if (name !== undefined) channel.name = name;
+    if (template !== undefined) channel.template = template || DEFAULT_ANNOUNCEMENT_TEMPLATE;
+    if (minAmount !== undefined) channel.minAmount = toDrops(minAmount);
+    if (perMinuteCap !== undefined) channel.perMinuteCap = perMinuteCap;
+    if (isActive !== undefined) channel.isActive = isActive;
+
+    await channel.save();
+
+    res.json({
+      success: true,
+      message: 'Announcement channel updated successfully',
+      data: channel.toSettingsJSON()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating announcement channel:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating announcement channel'
+    });
+  }
+};
+
+// @desc    Delete one of my announcement channels
+// @route   DELETE /api/creators/me/announcements/:id
+// @access  Private
+export const deleteMyAnnouncementChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid announcement channel id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const channel = await AnnouncementChannel.findOneAndDelete({ _id: req.params.id, creator: creator._id });
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement channel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Announcement channel deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting announcement channel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting announcement channel'
+    });
+  }
+};
+
+// @desc    Send a test announcement to one of my channels
+// @route   POST /api/creators/me/announcements/:id/test
+// @access  Private
+export const testMyAnnouncementChannel = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid announcement channel id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const channel = await AnnouncementChannel.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement channel not found'
+      });
+    }
+
+    const result = await announcementService.sendTest(channel, creator);
+
+    res.json({
+      success: true,
+      message: result.ok ? 'Test announcement sent' : `Test announcement failed: ${result.error}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending test announcement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending test announcement'
+    });
+  }
+};
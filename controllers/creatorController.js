@@ -1,5 +1,10 @@
 import { validationResult } from 'express-validator';
 import Creator from '../models/Creator.js';
+import CreatorLedgerEntry from '../models/CreatorLedgerEntry.js';
+import Payout from '../models/Payout.js';
+import { toDrops } from '../utils/money.js';
+import { buildPaymentUri, renderQrCode, getThemeColor } from '../utils/paymentQr.js';
+import { PLATFORM_WALLET_CONFIG, isPlatformWalletConfigured } from '../config/platformWallet.js';
 
 // @desc    Get my creator profile
 // @route   GET /api/creators/me/profile
@@ -29,6 +34,214 @@ export const getMyCreatorProfile = async (req, res) => {
   }
 };
 
+// @desc    Get my balance and payout policy
+// @route   GET /api/creators/me/balance
+// @access  Private
+export const getMyBalance = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const balances = await CreatorLedgerEntry.getBalances(creator._id);
+
+    res.json({
+      success: true,
+      data: {
+        payoutPolicy: creator.payoutPolicy,
+        balances
+      }
+    });
+  } catch (error) {
+    console.error('Error getting creator balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching balance'
+    });
+  }
+};
+
+// @desc    Update my payout policy
+// @route   PUT /api/creators/me/payout-policy
+// @access  Private
+export const updateMyPayoutPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const { mode, threshold } = req.body;
+
+    if (mode === 'threshold' && !threshold) {
+      return res.status(400).json({
+        success: false,
+        message: 'Threshold is required for threshold payouts'
+      });
+    }
+
+    creator.payoutPolicy = {
+      mode,
+      threshold: mode === 'threshold' ? toDrops(threshold) : null
+    };
+    await creator.save();
+
+    res.json({
+      success: true,
+      message: 'Payout policy updated successfully',
+      data: creator.payoutPolicy
+    });
+  } catch (error) {
+    console.error('Error updating payout policy:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating payout policy'
+    });
+  }
+};
+
+// @desc    Get my payout history (paginated, filterable by date and status)
+// @route   GET /api/creators/me/payouts
+// @access  Private
+export const getMyPayouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { creator: creator._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) {
+        filter.createdAt.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        filter.createdAt.$lte = new Date(req.query.to);
+      }
+    }
+
+    const payouts = await Payout.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payout.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: payouts.map(p => p.toCreatorJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payouts'
+    });
+  }
+};
+
+// @desc    Get one of my payouts with its tips
+// @route   GET /api/creators/me/payouts/:id
+// @access  Private
+export const getMyPayoutById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payout id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const payout = await Payout.findOne({ _id: req.params.id, creator: creator._id })
+      .populate('tips', 'amount totalAmount platformFee currency issuer senderAddress message transactionHash ledgerIndex confirmedAt createdAt');
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...payout.toCreatorJSON(),
+        tips: payout.tips
+      }
+    });
+  } catch (error) {
+    console.error('Error getting payout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout'
+    });
+  }
+};
+
 // @desc    Get all creators
 // @route   GET /api/creators
 // @access  Public
@@ -99,6 +312,83 @@ export const getCreatorByUsername = async (req, res) => {
   }
 };
 
+// @desc    Get a payment QR code (SVG/PNG) and xrpl:/ripple: URI for a creator
+// @route   GET /api/creators/:username/payment-qr?format=svg|png|json&amount=&memo=&size=&dark=&light=&ecc=&scheme=
+// @access  Public
+export const getCreatorPaymentQr = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({
+      username: req.params.username.toLowerCase(),
+      isActive: true
+    });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Creator not found'
+      });
+    }
+
+    // Wallet plateforme (redistribution) si configuré, sinon paiement direct au créateur
+    const payment = {
+      address: isPlatformWalletConfigured() ? PLATFORM_WALLET_CONFIG.address : creator.xrpAddress,
+      destinationTag: creator.getCurrentDestinationTag(),
+      amount: req.query.amount ? toDrops(req.query.amount) : null,
+      memo: req.query.memo || null
+    };
+
+    const uris = {
+      xrpl: buildPaymentUri('xrpl', payment),
+      ripple: buildPaymentUri('ripple', payment)
+    };
+    const uri = uris[req.query.scheme || 'xrpl'];
+
+    const format = req.query.format || 'svg';
+    const qrOptions = {
+      format: format === 'png' ? 'png' : 'svg',
+      size: parseInt(req.query.size) || 256,
+      dark: req.query.dark ? `#${req.query.dark.replace(/^#/, '')}` : getThemeColor(creator.theme),
+      light: req.query.light ? `#${req.query.light.replace(/^#/, '')}` : undefined,
+      errorCorrectionLevel: req.query.ecc || 'M'
+    };
+    const qr = await renderQrCode(uri, qrOptions);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          uri,
+          uris,
+          address: payment.address,
+          destinationTag: payment.destinationTag,
+          amount: payment.amount,
+          memo: payment.memo,
+          svg: qr
+        }
+      });
+    }
+
+    res.set('X-Payment-URI', uri);
+    res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+    res.send(qr);
+  } catch (error) {
+    console.error('Error generating payment QR code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating payment QR code'
+    });
+  }
+};
+
 // @desc    Check username availability
 // @route   GET /api/creators/check-username/:username
 // @access  Public
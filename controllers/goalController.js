@@ -0,0 +1,293 @@
+import { validationResult } from 'express-validator';
+import Creator from '../models/Creator.js';
+import tipEvents from '../services/tipEvents.js';
+import { findAcceptedToken, isXrp } from '../config/tokens.js';
+import { toDrops } from '../utils/money.js';
+
+// Objectifs actifs simultanés et historique conservé par créateur
+const MAX_ACTIVE_GOALS = 3;
+const MAX_GOALS_HISTORY = 50;
+
+// Objectifs du plus récent au plus ancien
+const sortGoals = (goals) => [...goals].sort((a, b) => b.createdAt - a.createdAt);
+
+// @desc    Get a creator's funding goals (active and past)
+// @route   GET /api/creators/:username/goals
+// @access  Public
+export const getCreatorGoals = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({
+      username: req.params.username.toLowerCase(),
+      isActive: true
+    });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Creator not found'
+      });
+    }
+
+    const goals = sortGoals(creator.goals.filter(goal => goal.status !== 'cancelled'));
+
+    res.json({
+      success: true,
+      data: {
+        active: goals.filter(goal => goal.status === 'active').map(goal => goal.toProgressJSON()),
+        history: goals.filter(goal => goal.status !== 'active').map(goal => goal.toProgressJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Error getting creator goals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching goals'
+    });
+  }
+};
+
+// @desc    Get all my funding goals (including cancelled ones)
+// @route   GET /api/creators/me/goals
+// @access  Private
+export const getMyGoals = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sortGoals(creator.goals).map(goal => goal.toProgressJSON())
+    });
+  } catch (error) {
+    console.error('Error getting my goals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching goals'
+    });
+  }
+};
+
+// @desc    Create a funding goal
+// @route   POST /api/creators/me/goals
+// @access  Private
+export const createMyGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    if (creator.goals.filter(goal => goal.status === 'active').length >= MAX_ACTIVE_GOALS) {
+      return res.status(409).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_GOALS} active goals`
+      });
+    }
+
+    const { title, description, target, deadline, mode } = req.body;
+    const currency = req.body.currency || 'XRP';
+
+    // Objectif en token : uniquement les tokens acceptés par la plateforme
+    const token = isXrp(currency) ? null : findAcceptedToken(currency, req.body.issuer);
+    if (!isXrp(currency) && !token) {
+      return res.status(400).json({
+        success: false,
+        message: `Token ${currency} from issuer ${req.body.issuer} is not accepted`
+      });
+    }
+
+    creator.goals.push({
+      title,
+      description,
+      target: toDrops(target),
+      currency: token ? token.code : 'XRP',
+      issuer: token ? token.issuer : null,
+      mode,
+      deadline: deadline ? new Date(deadline) : null
+    });
+
+    // Historique borné : retirer les plus anciens objectifs terminés
+    const ended = creator.goals
+      .filter(goal => goal.status !== 'active')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    while (creator.goals.length > MAX_GOALS_HISTORY && ended.length > 0) {
+      creator.goals.pull(ended.shift()._id);
+    }
+
+    await creator.save();
+    tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+
+    const goal = creator.goals[creator.goals.length - 1];
+
+    console.log(`🎯 Goal "${goal.title}" created for ${creator.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      data: goal.toProgressJSON()
+    });
+  } catch (error) {
+    console.error('Error creating goal:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating goal'
+    });
+  }
+};
+
+// @desc    Update an active funding goal (title, description, target, deadline)
+// @route   PUT /api/creators/me/goals/:goalId
+// @access  Private
+export const updateMyGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const goal = creator.goals.id(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (goal.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Goal is ${goal.status}`
+      });
+    }
+
+    const { title, description, target, deadline } = req.body;
+
+    if (title !== undefined) goal.title = title;
+    if (description !== undefined) goal.description = description;
+    if (target !== undefined) goal.target = toDrops(target);
+    if (deadline !== undefined) goal.deadline = deadline ? new Date(deadline) : null;
+
+    await creator.save();
+    // Nouvelle cible ou échéance : l'objectif peut être atteint ou échu dès maintenant
+    tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      data: goal.toProgressJSON()
+    });
+  } catch (error) {
+    console.error('Error updating goal:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating goal'
+    });
+  }
+};
+
+// @desc    Cancel an active funding goal (kept in my history)
+// @route   DELETE /api/creators/me/goals/:goalId
+// @access  Private
+export const cancelMyGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid goal id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const goal = creator.goals.id(req.params.goalId);
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (goal.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Goal is already ${goal.status}`
+      });
+    }
+
+    goal.status = 'cancelled';
+    goal.endedAt = new Date();
+    await creator.save();
+
+    res.json({
+      success: true,
+      message: 'Goal cancelled',
+      data: goal.toProgressJSON()
+    });
+  } catch (error) {
+    console.error('Error cancelling goal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling goal'
+    });
+  }
+};
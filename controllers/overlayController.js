@@ -0,0 +1,335 @@
+import { validationResult } from 'express-validator';
+import Creator from '../models/Creator.js';
+import OverlayAlert from '../models/OverlayAlert.js';
+import overlayService from '../services/overlayService.js';
+import { toDrops } from '../utils/money.js';
+
+// URL de l'overlay à coller dans la source navigateur (OBS, Streamlabs...)
+// Token dans le fragment : jamais envoyé au serveur, donc absent des logs ; la page
+// d'overlay le transmet à l'API dans le header X-Overlay-Token
+const buildOverlayUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/overlay#token=${token}`;
+
+// Créateur de l'utilisateur connecté (avec le hash du token pour savoir s'il existe)
+const findMyCreator = (req) => Creator.findOne({ user: req.user.id }).select('+overlay.tokenHash');
+
+// @desc    Get my overlay settings
+// @route   GET /api/creators/me/overlay
+// @access  Private
+export const getMyOverlaySettings = async (req, res) => {
+  try {
+    const creator = await findMyCreator(req);
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...creator.getOverlaySettings(),
+        hasToken: Boolean(creator.overlay.tokenHash)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting overlay settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overlay settings'
+    });
+  }
+};
+
+// @desc    Update my overlay settings
+// @route   PUT /api/creators/me/overlay
+// @access  Private
+export const updateMyOverlaySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await findMyCreator(req);
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const { enabled, minAmount, alertDuration, blockedWords, hideLinks, ttsEnabled } = req.body;
+
+    if (enabled !== undefined) creator.overlay.enabled = enabled;
+    if (minAmount !== undefined) creator.overlay.minAmount = toDrops(minAmount);
+    if (alertDuration !== undefined) creator.overlay.alertDuration = alertDuration;
+    if (hideLinks !== undefined) creator.overlay.hideLinks = hideLinks;
+    if (ttsEnabled !== undefined) creator.overlay.ttsEnabled = ttsEnabled;
+    if (blockedWords !== undefined) {
+      creator.overlay.blockedWords = [...new Set(blockedWords.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    await creator.save();
+
+    res.json({
+      success: true,
+      message: 'Overlay settings updated successfully',
+      data: {
+        ...creator.getOverlaySettings(),
+        hasToken: Boolean(creator.overlay.tokenHash)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating overlay settings:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating overlay settings'
+    });
+  }
+};
+
+// @desc    Generate (or rotate) my overlay token - the previous overlay URL stops working
+// @route   POST /api/creators/me/overlay/token
+// @access  Private
+export const regenerateMyOverlayToken = async (req, res) => {
+  try {
+    const creator = await findMyCreator(req);
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const token = creator.generateOverlayToken();
+    await creator.save();
+
+    console.log(`🎬 Overlay token generated for ${creator.username}`);
+
+    res.json({
+      success: true,
+      message: 'Overlay token generated - store it now, it will not be shown again',
+      data: {
+        token,
+        overlayUrl: buildOverlayUrl(token)
+      }
+    });
+  } catch (error) {
+    console.error('Error generating overlay token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating overlay token'
+    });
+  }
+};
+
+// @desc    Get my recent overlay alerts (history, replayable)
+// @route   GET /api/creators/me/overlay/alerts
+// @access  Private
+export const getMyOverlayAlerts = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const alerts = await OverlayAlert.find({ creator: creator._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: alerts.map(alert => ({
+        ...alert.toFeedJSON(),
+        tip: alert.tip,
+        status: alert.status,
+        shownAt: alert.shownAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting overlay alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overlay alerts'
+    });
+  }
+};
+
+// @desc    Queue a test alert on my overlay
+// @route   POST /api/creators/me/overlay/test
+// @access  Private
+export const sendMyOverlayTestAlert = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const alert = await overlayService.queueTestAlert(creator);
+
+    res.status(201).json({
+      success: true,
+      message: 'Test alert queued',
+      data: alert.toFeedJSON()
+    });
+  } catch (error) {
+    console.error('Error queuing test alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queuing test alert'
+    });
+  }
+};
+
+// @desc    Replay one of my overlay alerts
+// @route   POST /api/creators/me/overlay/alerts/:id/replay
+// @access  Private
+export const replayMyOverlayAlert = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const alert = await overlayService.replay(creator, req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert queued for replay',
+      data: alert.toFeedJSON()
+    });
+  } catch (error) {
+    console.error('Error replaying overlay alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying overlay alert'
+    });
+  }
+};
+
+// @desc    Queued alerts to display (polled by the overlay)
+// @route   GET /api/overlay/alerts
+// @access  Public (token d'overlay, header X-Overlay-Token)
+export const getOverlayFeed = async (req, res) => {
+  try {
+    const creator = await Creator.findByOverlayToken(req.get('X-Overlay-Token'));
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overlay not found'
+      });
+    }
+
+    const alerts = creator.overlay.enabled ? await overlayService.getFeed(creator) : [];
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        enabled: creator.overlay.enabled,
+        alerts: alerts.map(alert => alert.toFeedJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Error getting overlay feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overlay feed'
+    });
+  }
+};
+
+// @desc    Mark an alert as displayed (removed from the feed)
+// @route   POST /api/overlay/alerts/:id/ack
+// @access  Public (token d'overlay, header X-Overlay-Token)
+export const acknowledgeOverlayAlert = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findByOverlayToken(req.get('X-Overlay-Token'));
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overlay not found'
+      });
+    }
+
+    const alert = await OverlayAlert.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'queued') {
+      await alert.markShown();
+    }
+
+    res.json({
+      success: true,
+      data: { id: alert._id, status: alert.status }
+    });
+  } catch (error) {
+    console.error('Error acknowledging overlay alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging overlay alert'
+    });
+  }
+};
@@ -0,0 +1,239 @@
+import { validationResult } from 'express-validator';
+import Tip from '../models/Tip.js';
+import WalletSignRequest from '../models/WalletSignRequest.js';
+import signRequestService from '../services/signRequestService.js';
+import { renderQrCode } from '../utils/paymentQr.js';
+
+// Réponse publique d'une demande de signature
+const toSignRequestJSON = async (request) => ({
+  id: request._id,
+  tip: request.tip,
+  provider: request.provider,
+  status: request.status,
+  deepLink: request.deepLink,
+  qrUrl: request.qrUrl,
+  qrCode: request.status === 'pending'
+    ? await renderQrCode(request.deepLink, { dark: '#000000' })
+    : null,
+  expiresAt: request.expiresAt,
+  txHash: request.txHash,
+  resolvedAt: request.resolvedAt
+});
+
+// @desc    Create a wallet sign request for a pending tip
+// @route   POST /api/sign-requests
+// @access  Public
+export const createSignRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tip = await Tip.findById(req.body.tipId);
+
+    if (!tip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tip not found'
+      });
+    }
+
+    const request = await signRequestService.createForTip(tip);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sign request created',
+      data: await toSignRequestJSON(request)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating sign request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating sign request'
+    });
+  }
+};
+
+// @desc    Get a sign request (status refreshed from the provider)
+// @route   GET /api/sign-requests/:id
+// @access  Public
+export const getSignRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sign request id'
+      });
+    }
+
+    const request = await WalletSignRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign request not found'
+      });
+    }
+
+    const current = await signRequestService.refresh(request);
+
+    res.json({
+      success: true,
+      data: await toSignRequestJSON(current)
+    });
+  } catch (error) {
+    console.error('Error getting sign request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sign request'
+    });
+  }
+};
+
+// @desc    Cancel a pending sign request
+// @route   POST /api/sign-requests/:id/cancel
+// @access  Public
+export const cancelSignRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sign request id'
+      });
+    }
+
+    const request = await WalletSignRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign request not found'
+      });
+    }
+
+    const current = await signRequestService.cancel(request);
+
+    res.json({
+      success: true,
+      message: current.status === 'cancelled' ? 'Sign request cancelled' : `Sign request already ${current.status}`,
+      data: await toSignRequestJSON(current)
+    });
+  } catch (error) {
+    console.error('Error cancelling sign request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling sign request'
+    });
+  }
+};
+
+// @desc    Provider callback (webhook): signed / rejected / expired
+// @route   POST /api/sign-requests/callback/:provider
+// @access  Public (le résultat est relu auprès du fournisseur)
+export const signRequestCallback = async (req, res) => {
+  try {
+    const request = await signRequestService.handleCallback(req.params.provider, req.body);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: request._id, status: request.status }
+    });
+  } catch (error) {
+    console.error('Error handling sign request callback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error handling sign request callback'
+    });
+  }
+};
+
+// @desc    Mock provider: show the payload to sign (deep link target)
+// @route   GET /api/sign-requests/mock/:providerId
+// @access  Public (mock provider only)
+export const getMockPayload = async (req, res) => {
+  try {
+    const request = await WalletSignRequest.findOne({ provider: 'mock', providerId: req.params.providerId });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock payload not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: request.status,
+        txJson: request.txJson,
+        expiresAt: request.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error getting mock payload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching mock payload'
+    });
+  }
+};
+
+// @desc    Mock provider: sign or reject the payload, then trigger the callback
+// @route   POST /api/sign-requests/mock/:providerId/:decision (sign | reject)
+// @access  Public (mock provider only)
+export const resolveMockPayload = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const request = await signRequestService.resolveMock(req.params.providerId, {
+      signed: req.params.decision === 'sign',
+      account: req.body.account
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open mock payload (unknown, resolved or expired)'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toSignRequestJSON(request)
+    });
+  } catch (error) {
+    console.error('Error resolving mock payload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving mock payload'
+    });
+  }
+};
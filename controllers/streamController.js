@@ -0,0 +1,175 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Creator from '../models/Creator.js';
+import tipEvents from '../services/tipEvents.js';
+import { jsonReplacer } from '../utils/money.js';
+
+// Intervalle des commentaires keep-alive (proxies qui coupent les connexions inactives)
+const HEARTBEAT_INTERVAL = 25000;
+
+// Durée de vie d'un ticket de flux (EventSource ne peut pas envoyer de header Authorization)
+const STREAM_TICKET_TTL = '60s';
+
+// Secret dérivé : un ticket n'est pas accepté comme token d'API (middleware protect)
+const streamTicketSecret = () => `${process.env.JWT_SECRET}:stream`;
+
+/**
+ * Utilisateur du flux : header Authorization (clients fetch) ou ticket ?ticket=
+ * (jamais le JWT principal dans l'URL : il finirait dans les logs)
+ */
+const resolveStreamUser = async (req) => {
+  if (req.user) {
+    return req.user;
+  }
+
+  const { ticket } = req.query;
+  if (!ticket) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(ticket, streamTicketSecret());
+    if (decoded.scope !== 'stream') {
+      return null;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ouvrir un flux SSE : rejoue les événements manqués (Last-Event-ID) puis pousse les nouveaux
+ */
+const openEventStream = (req, res, { filter, includePrivate }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    const payload = tipEvents.toPayload(event, { includePrivate });
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload, jsonReplacer)}\n\n`);
+  };
+
+  // Reprise après coupure
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (!Number.isNaN(lastEventId)) {
+    const missed = tipEvents.since(lastEventId, filter);
+
+    if (missed === null) {
+      // Trop ancien : le client doit recharger l'historique via l'API REST
+      res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId: tipEvents.lastId })}\n\n`);
+    } else {
+      missed.forEach(send);
+    }
+  }
+
+  res.write(`retry: 5000\n: connected\n\n`);
+
+  const onEvent = (event) => {
+    if (filter(event)) {
+      send(event);
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  tipEvents.on('event', onEvent);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    tipEvents.off('event', onEvent);
+  });
+};
+
+// @desc    Get a short-lived ticket to authenticate an EventSource stream
+// @route   POST /api/streams/ticket
+// @access  Private
+export const createStreamTicket = async (req, res) => {
+  const ticket = jwt.sign(
+    { id: req.user._id, scope: 'stream' },
+    streamTicketSecret(),
+    { expiresIn: STREAM_TICKET_TTL }
+  );
+
+  res.json({
+    success: true,
+    data: { ticket, expiresIn: STREAM_TICKET_TTL }
+  });
+};
+
+// @desc    Real-time tip events for a creator (SSE)
+// @route   GET /api/streams/creators/:username?ticket=&lastEventId=
+// @access  Public (champs privés : créateur propriétaire ou admin)
+export const streamCreatorTips = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({
+      username: req.params.username.toLowerCase(),
+      isActive: true
+    });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Creator not found'
+      });
+    }
+
+    const user = await resolveStreamUser(req);
+    const includePrivate = Boolean(user) &&
+      (user.role === 'admin' || creator.user.toString() === user._id.toString());
+
+    const creatorId = creator._id.toString();
+
+    openEventStream(req, res, {
+      filter: (event) => event.creator === creatorId,
+      includePrivate
+    });
+  } catch (error) {
+    console.error('Error opening creator stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening creator stream'
+    });
+  }
+};
+
+// @desc    Real-time tip events for the whole platform (SSE)
+// @route   GET /api/streams/admin?ticket=&lastEventId=
+// @access  Private/Admin
+export const streamAllTips = async (req, res) => {
+  try {
+    const user = await resolveStreamUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Non autorisé'
+      });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé - Privilèges insuffisants'
+      });
+    }
+
+    openEventStream(req, res, {
+      filter: () => true,
+      includePrivate: true
+    });
+  } catch (error) {
+    console.error('Error opening admin stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening admin stream'
+    });
+  }
+};
@@ -1,6 +1,51 @@
 import { validationResult } from 'express-validator';
 import Tip from '../models/Tip.js';
 import Creator from '../models/Creator.js';
+import xrplClient from '../services/xrplClient.js';
+import xrplService from '../services/xrplService.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import TipQuote from '../models/TipQuote.js';
+import { PLATFORM_WALLET_CONFIG, calculateGrossAmount, isPlatformWalletConfigured } from '../config/platformWallet.js';
+import { ACCEPTED_TOKENS, findAcceptedToken, fromCurrencyCode, isXrp } from '../config/tokens.js';
+import { toDrops, fromStored } from '../utils/money.js';
+import { buildInvoiceMemo } from '../utils/memos.js';
+
+/**
+ * Vérifier qu'un créateur peut recevoir la devise demandée
+ * Retourne { token } (null pour XRP) ou { error: { status, message } }
+ */
+const checkTipCurrency = async (creator, currency, issuer) => {
+  if (isXrp(currency)) {
+    return { token: null };
+  }
+
+  const token = findAcceptedToken(currency, issuer);
+
+  if (!token) {
+    return { error: { status: 400, message: 'Token not accepted' } };
+  }
+
+  try {
+    // Sans wallet plateforme, le tip est payé directement au créateur
+    const [creatorLine, platformLine] = await Promise.all([
+      xrplClient.getTrustLine(creator.xrpAddress, token.currency, token.issuer),
+      isPlatformWalletConfigured() ? xrplClient.getTrustLine(PLATFORM_WALLET_CONFIG.address, token.currency, token.issuer) : null
+    ]);
+
+    if (!creatorLine || creatorLine.frozen) {
+      return { error: { status: 400, message: `Creator cannot receive ${token.code} (missing or frozen trust line)` } };
+    }
+
+    if (isPlatformWalletConfigured() && (!platformLine || platformLine.frozen)) {
+      return { error: { status: 400, message: `Platform cannot receive ${token.code} (missing or frozen trust line)` } };
+    }
+  } catch (error) {
+    console.error('Error checking trust lines:', error);
+    return { error: { status: 503, message: 'Unable to verify trust lines, please retry' } };
+  }
+
+  return { token };
+};
 
 // @desc    Create a new tip
 // @route   POST /api/tips
@@ -16,7 +61,8 @@ export const createTip = async (req, res) => {
       });
     }
 
-    const { creatorUsername, amount, senderAddress, message } = req.body;
+    const { creatorUsername, amount, senderAddress, senderName, message } = req.body;
+    const currency = req.body.currency || 'XRP';
 
     // Find the creator
     const creator = await Creator.findOne({ 
@@ -31,14 +77,49 @@ export const createTip = async (req, res) => {
       });
     }
 
-    // Create tip record
+    // ✅ Tip en token : allowlist + trust lines du créateur et de la plateforme
+    const { token, error } = await checkTipCurrency(creator, currency, req.body.issuer);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Tip fléché vers un objectif de financement (même devise que l'objectif)
+    let goal = null;
+    if (req.body.goalId) {
+      goal = creator.getActiveGoal(req.body.goalId);
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Goal not found or no longer active'
+        });
+      }
+
+      if (goal.currency !== (token ? token.code : 'XRP') || goal.issuer !== (token ? token.issuer : null)) {
+        return res.status(400).json({
+          success: false,
+          message: `This goal only accepts ${fromCurrencyCode(goal.currency)} tips`
+        });
+      }
+    }
+
+    // Create tip record (référence de paiement : rapprochement automatique par le monitoring)
     const tip = new Tip({
       creator: creator._id,
       creatorUsername: creator.username,
-      amount,
+      amount: toDrops(amount),
+      currency: token ? token.code : 'XRP',
+      issuer: token ? token.issuer : null,
+      destinationTag: creator.getCurrentDestinationTag(),
+      goal: goal ? goal._id : null,
       senderAddress: senderAddress || '',
+      senderName: senderName || '',
       message: message || '',
-      status: 'pending'
+      status: 'pending',
+      ...Tip.generatePaymentReference()
     });
 
     await tip.save();
@@ -49,9 +130,21 @@ export const createTip = async (req, res) => {
       data: {
         id: tip._id,
         amount: tip.amount,
+        currency: tip.currency,
+        issuer: tip.issuer,
         creatorUsername: tip.creatorUsername,
         status: tip.status,
-        createdAt: tip.createdAt
+        goal: tip.goal,
+        createdAt: tip.createdAt,
+        // Instructions de paiement : memo facture OU InvoiceID (l'un des deux suffit)
+        // Wallet plateforme (redistribution) si configuré, sinon paiement direct au créateur
+        payment: {
+          destinationAddress: isPlatformWalletConfigured() ? PLATFORM_WALLET_CONFIG.address : creator.xrpAddress,
+          destinationTag: creator.getCurrentDestinationTag(),
+          paymentReference: tip.paymentReference,
+          invoiceId: tip.invoiceId,
+          memos: [buildInvoiceMemo(tip.paymentReference)]
+        }
       }
     });
   } catch (error) {
@@ -63,6 +156,113 @@ export const createTip = async (req, res) => {
   }
 };
 
+// @desc    Quote a tip: exact amount to send so the creator receives `amount`
+// @route   GET /api/tips/quote?username=&amount=&currency=&issuer=
+// @access  Public (rate limited)
+export const getTipQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Sans wallet plateforme, pas de frais ni d'adresse de paiement à garantir
+    if (!isPlatformWalletConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Tip quotes are unavailable: platform wallet not configured'
+      });
+    }
+
+    const amount = toDrops(req.query.amount);
+    const currency = req.query.currency || 'XRP';
+
+    const creator = await Creator.findOne({
+      username: req.query.username.toLowerCase(),
+      isActive: true
+    });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Creator not found'
+      });
+    }
+
+    const { token, error } = await checkTipCurrency(creator, currency, req.query.issuer);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const tokenCurrency = token ? token.code : 'XRP';
+    const tokenIssuer = token ? token.issuer : null;
+
+    // Grille en vigueur pour ce créateur (garantie jusqu'à expiration du devis)
+    const schedule = await FeeSchedule.resolve(creator._id);
+    const { totalAmount, creatorAmount, platformFee } = calculateGrossAmount(amount, tokenCurrency, tokenIssuer, schedule);
+
+    const quote = await TipQuote.create({
+      creator: creator._id,
+      creatorUsername: creator.username,
+      currency: tokenCurrency,
+      issuer: tokenIssuer,
+      totalAmount,
+      creatorAmount,
+      platformFee,
+      feeSchedule: schedule ? schedule._id : null,
+      destinationAddress: PLATFORM_WALLET_CONFIG.address,
+      destinationTag: creator.getCurrentDestinationTag(),
+      ...Tip.generatePaymentReference(),
+      expiresAt: new Date(Date.now() + PLATFORM_WALLET_CONFIG.quoteTtlMinutes * 60 * 1000)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quoteId: quote._id,
+        totalAmount: quote.totalAmount,
+        creatorAmount: quote.creatorAmount,
+        platformFee: quote.platformFee,
+        currency: quote.currency,
+        issuer: quote.issuer,
+        destinationAddress: quote.destinationAddress,
+        destinationTag: quote.destinationTag,
+        // Référence à joindre au paiement : memo facture OU InvoiceID (l'un des deux suffit)
+        paymentReference: quote.paymentReference,
+        invoiceId: quote.invoiceId,
+        memos: [buildInvoiceMemo(quote.paymentReference)],
+        expiresAt: quote.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error creating tip quote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tip quote'
+    });
+  }
+};
+
+// @desc    List accepted currencies (XRP + allowlisted tokens)
+// @route   GET /api/tips/currencies
+// @access  Public
+export const getAcceptedCurrencies = async (req, res) => {
+  res.json({
+    success: true,
+    data: [
+      { code: 'XRP', issuer: null },
+      ...ACCEPTED_TOKENS.map(t => ({ code: t.code, currency: t.currency, issuer: t.issuer }))
+    ]
+  });
+};
+
 // @desc    Get tips for a creator
 // @route   GET /api/tips/creator/:username
 // @access  Public
@@ -98,7 +298,7 @@ export const getTipsByCreator = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('-creator -__v')
+      .select('-creator -__v -paymentReference -invoiceId')
       .lean();
 
     const total = await Tip.countDocuments({ 
@@ -138,8 +338,6 @@ export const getTipStats = async (req, res) => {
     const creator = await Creator.findOne({ 
       username: username.toLowerCase() 
     });
-    const User = (await import('../models/User.js')).default;
-    const user = await User.findById(creator.user);
 
     if (!creator) {
       return res.status(404).json({
@@ -151,20 +349,10 @@ export const getTipStats = async (req, res) => {
     // ✅ Utiliser TOUS les destination tags valides
     const validDestinationTags = creator.getAllValidDestinationTags();
 
-    // Get all-time stats
-    const allTimeTips = await Tip.find({
-      creator: creator._id,
-      destinationTag: { $in: validDestinationTags },
-      status: 'confirmed'
-    }).lean();
-
-    const allTimeStats = {
-      totalTips: allTimeTips.length,
-      totalAmount: allTimeTips.reduce((sum, tip) => sum + tip.amount, 0),
-      uniqueSupporters: [...new Set(allTimeTips.map(t => t.senderAddress))].length
-    };
+    // Get all-time stats (lecture seule : stats et objectifs enregistrés par les chemins de paiement)
+    const { stats: allTimeStats } = await creator.computeStats();
 
-    // Get monthly stats
+    // Get monthly stats (XRP)
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
@@ -174,6 +362,7 @@ export const getTipStats = async (req, res) => {
           creator: creator._id,
           destinationTag: { $in: validDestinationTags },
           status: 'confirmed',
+          currency: 'XRP',
           createdAt: { $gte: thirtyDaysAgo }
         }
       },
@@ -188,23 +377,16 @@ export const getTipStats = async (req, res) => {
 
     const monthly = monthlyStats[0] || {
       totalTips: 0,
-      totalAmount: 0
+      totalAmount: 0n
     };
 
-    // Update creator stats
-    creator.user = user;
-    creator.stats.totalTips = allTimeStats.totalTips;
-    creator.stats.totalAmount = allTimeStats.totalAmount;
-    creator.stats.uniqueSupporters = allTimeStats.uniqueSupporters;
-    await creator.save();
-
     res.json({
       success: true,
       data: {
         allTime: allTimeStats,
         last30Days: {
           totalTips: monthly.totalTips,
-          totalAmount: monthly.totalAmount
+          totalAmount: fromStored(monthly.totalAmount)
         }
       }
     });
@@ -218,13 +400,13 @@ export const getTipStats = async (req, res) => {
   }
 };
 
-// @desc    Confirm a tip (update with transaction hash)
+// @desc    Confirm a tip (transaction verified on the ledger)
 // @route   PUT /api/tips/:tipId/confirm
-// @access  Public (TODO: Should be webhook or authenticated)
+// @access  Public
 export const confirmTip = async (req, res) => {
   try {
     const { tipId } = req.params;
-    const { transactionHash, ledgerIndex } = req.body;
+    const { transactionHash } = req.body;
 
     if (!transactionHash) {
       return res.status(400).json({
@@ -242,42 +424,34 @@ export const confirmTip = async (req, res) => {
       });
     }
 
-    if (tip.status === 'confirmed') {
+    // Seul un tip en attente peut être confirmé (remboursé et rejeté sont définitifs)
+    if (tip.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        message: 'Tip already confirmed'
+        message: tip.status === 'confirmed' ? 'Tip already confirmed' : `Tip is ${tip.status} and can no longer be confirmed`
       });
     }
 
-    // Confirm the tip
-    await tip.confirm(transactionHash, ledgerIndex);
-
-    // ✅ Update creator stats en utilisant tous les destination tags
-    const creator = await Creator.findById(tip.creator);
-    if (creator) {
-      const validDestinationTags = creator.getAllValidDestinationTags();
-      
-      const allTips = await Tip.find({
-        creator: creator._id,
-        destinationTag: { $in: validDestinationTags },
-        status: 'confirmed'
-      }).lean();
-
-      creator.stats.totalTips = allTips.length;
-      creator.stats.totalAmount = allTips.reduce((sum, t) => sum + t.amount, 0);
-      creator.stats.uniqueSupporters = [...new Set(allTips.map(t => t.senderAddress))].length;
-      
-      await creator.save();
+    // ✅ Vérifier la transaction sur XRPL avant de compter le tip (stats, objectifs, événements)
+    const result = await xrplService.verifyAndConfirmTip(tip._id, transactionHash);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
     }
 
+    const confirmed = await Tip.findById(tip._id);
+
     res.json({
       success: true,
       message: 'Tip confirmed successfully',
       data: {
-        id: tip._id,
-        status: tip.status,
-        transactionHash: tip.transactionHash,
-        confirmedAt: tip.confirmedAt
+        id: confirmed._id,
+        status: confirmed.status,
+        transactionHash: confirmed.transactionHash,
+        confirmedAt: confirmed.confirmedAt
       }
     });
   } catch (error) {
@@ -0,0 +1,433 @@
+import { validationResult } from 'express-validator';
+import Creator from '../models/Creator.js';
+import WebhookEndpoint, { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import webhookService from '../services/webhookService.js';
+
+// @desc    List my webhook endpoints
+// @route   GET /api/creators/me/webhooks
+// @access  Private
+export const getMyWebhooks = async (req, res) => {
+  try {
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const endpoints = await WebhookEndpoint.find({ creator: creator._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        availableEvents: WEBHOOK_EVENTS,
+        endpoints: endpoints.map(endpoint => endpoint.toSettingsJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Error getting webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks'
+    });
+  }
+};
+
+// @desc    Register a webhook endpoint (the signing secret is only returned here)
+// @route   POST /api/creators/me/webhooks
+// @access  Private
+export const createMyWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const { endpoint, secret } = await webhookService.createEndpoint(creator, {
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created - store the secret now, it will not be shown again',
+      data: {
+        ...endpoint.toSettingsJSON(),
+        secret
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook'
+    });
+  }
+};
+
+// @desc    Update one of my webhook endpoints (url, events, description, isActive)
+// @route   PUT /api/creators/me/webhooks/:id
+// @access  Private
+export const updateMyWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+
+    if (url !== undefined) {
+      webhookService.assertValidUrl(url);
+      endpoint.url = url;
+    }
+    if (events !== undefined) endpoint.events = [...new Set(events)];
+    if (description !== undefined) endpoint.description = description;
+    if (isActive !== undefined) endpoint.isActive = isActive;
+
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint updated successfully',
+      data: endpoint.toSettingsJSON()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating webhook:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+};
+
+// @desc    Delete one of my webhook endpoints (pending deliveries are dropped)
+// @route   DELETE /api/creators/me/webhooks/:id
+// @access  Private
+export const deleteMyWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: req.params.id, creator: creator._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id, status: 'pending' });
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook'
+    });
+  }
+};
+
+// @desc    Rotate the signing secret of one of my webhook endpoints
+// @route   POST /api/creators/me/webhooks/:id/secret
+// @access  Private
+export const rotateMyWebhookSecret = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const secret = endpoint.generateSecret();
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated - store it now, it will not be shown again',
+      data: { id: endpoint._id, secret }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating webhook secret'
+    });
+  }
+};
+
+// @desc    Send a signed test ping to one of my webhook endpoints
+// @route   POST /api/creators/me/webhooks/:id/ping
+// @access  Private
+export const pingMyWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, creator: creator._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const delivery = await webhookService.ping(endpoint);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : `Ping failed: ${delivery.lastError}`,
+      data: delivery.toHistoryJSON()
+    });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pinging webhook'
+    });
+  }
+};
+
+// @desc    Get the delivery history of one of my webhook endpoints (paginated)
+// @route   GET /api/creators/me/webhooks/:id/deliveries?status=&event=&page=&limit=
+// @access  Private
+export const getMyWebhookDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { endpoint: req.params.id, creator: creator._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: deliveries.map(delivery => delivery.toHistoryJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+};
+
+// @desc    Resend a delivery now (same body and event id, new signature)
+// @route   POST /api/creators/me/webhooks/:id/deliveries/:deliveryId/resend
+// @access  Private
+export const resendMyWebhookDelivery = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook or delivery id'
+      });
+    }
+
+    const creator = await Creator.findOne({ user: req.user.id });
+
+    if (!creator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vous n\'avez pas encore de profil créateur'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      endpoint: req.params.id,
+      creator: creator._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const result = await webhookService.resend(delivery);
+
+    res.json({
+      success: true,
+      message: result.status === 'succeeded' ? 'Delivery resent' : `Resend failed: ${result.lastError}`,
+      data: result.toHistoryJSON()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error resending webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending webhook delivery'
+    });
+  }
+};
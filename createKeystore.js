@@ -0,0 +1,104 @@
+/**
+ * Script de création du keystore chiffré du wallet plateforme
+ * 
+ * Usage: node createKeystore.js [chemin]           (seed existante, saisie masquée)
+ *        node createKeystore.js [chemin] --generate (nouveau wallet)
+ *
+ * Le chemin par défaut est SIGNER_KEYSTORE_PATH (./keystore/platform-wallet.json).
+ * Une fois le keystore créé, retirer PLATFORM_WALLET_SECRET du .env et définir SIGNER_TYPE=keystore.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { Wallet } from 'xrpl';
+import { SIGNER_CONFIG } from './config/signer.js';
+import { encryptSeed } from './utils/keystore.js';
+
+// Saisie sans écho (seed, passphrase)
+const askHidden = (question) => {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = (text) => {
+      if (!rl.stdoutMuted) {
+        process.stdout.write(text);
+      }
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+    rl.stdoutMuted = true;
+  });
+};
+
+async function createKeystore() {
+  const args = process.argv.slice(2);
+  const generate = args.includes('--generate');
+  const target = args.find(a => !a.startsWith('--')) || SIGNER_CONFIG.keystore.path;
+
+  console.log('🔐 Création du keystore du wallet plateforme\n');
+
+  try {
+    await fs.access(target);
+    console.error(`❌ ERREUR: ${target} existe déjà (supprimez-le d'abord pour le remplacer)\n`);
+    return false;
+  } catch (error) {
+    // Le fichier n'existe pas : OK
+  }
+
+  let wallet;
+  if (generate) {
+    wallet = Wallet.generate();
+    console.log('🆕 Nouveau wallet généré');
+  } else {
+    const seed = await askHidden('Seed du wallet plateforme: ');
+    try {
+      wallet = Wallet.fromSeed(seed);
+    } catch (error) {
+      console.error('❌ ERREUR: Seed invalide -', error.message, '\n');
+      return false;
+    }
+  }
+
+  console.log('  Address:', wallet.address, '\n');
+
+  const passphrase = await askHidden('Passphrase (12 caractères minimum): ');
+  if (passphrase.length < 12) {
+    console.error('❌ ERREUR: Passphrase trop courte\n');
+    return false;
+  }
+
+  const confirmation = await askHidden('Confirmer la passphrase: ');
+  if (confirmation !== passphrase) {
+    console.error('❌ ERREUR: Les passphrases ne correspondent pas\n');
+    return false;
+  }
+
+  const keystore = encryptSeed(wallet.seed, passphrase, wallet.address);
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+
+  console.log(`\n✅ Keystore écrit dans ${target}`);
+  console.log('\n💡 Étapes suivantes :');
+  console.log('  1. SIGNER_TYPE=keystore et PLATFORM_WALLET_ADDRESS=' + wallet.address + ' dans .env');
+  console.log('  2. Supprimer PLATFORM_WALLET_SECRET du .env');
+  console.log('  3. Déverrouiller au démarrage (SIGNER_KEYSTORE_PASSPHRASE_FILE) ou via POST /api/admin/signer/unlock\n');
+
+  return true;
+}
+
+createKeystore()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('\n❌ Erreur inattendue:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+/**
+ * Middleware de limitation du nombre de requêtes par IP (fenêtre fixe, en mémoire)
+ * À placer devant les routes publiques qui écrivent en base
+ */
+export const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  // IP -> { count, resetAt }
+  const hits = new Map();
+
+  // Purger les fenêtres expirées pour que la table ne grossisse pas
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import Payout from '../models/Payout.js';
+
+dotenv.config();
+
+// Créer un Payout pour chaque tip déjà redistribué avant l'existence de l'historique
+// (après migrations/convertAmountsToDrops.js : montants en drops)
+const backfillPayouts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { useBigInt64: true });
+    console.log('✅ Database connected');
+
+    const tips = await Tip.find({
+      redistributed: true,
+      redistributionTxHash: { $exists: true, $ne: null },
+      payout: null
+    });
+    console.log(`📊 Found ${tips.length} redistributed tips without payout`);
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const tip of tips) {
+      const creator = await Creator.findById(tip.creator);
+
+      if (!creator) {
+        skipped++;
+        console.error(`❌ Creator not found for tip ${tip._id}`);
+        continue;
+      }
+
+      // Adresse et tag en vigueur au moment du tip (le créateur a pu changer de wallet)
+      const wallet = creator.walletHistory.find(w =>
+        w.activeFrom <= tip.createdAt && (!w.activeTo || w.activeTo > tip.createdAt)
+      ) || creator;
+
+      // Un même hash ne donne qu'un payout (migration relancée)
+      let payout = await Payout.findOne({ txHash: tip.redistributionTxHash });
+
+      if (!payout) {
+        // Date du versement inconnue : la date de confirmation du tip est la meilleure approximation
+        const settledAt = tip.confirmedAt || tip.createdAt;
+
+        payout = new Payout({
+          creator: tip.creator,
+          tips: [tip._id],
+          amount: tip.creatorAmount ?? tip.amount,
+          platformFee: tip.platformFee ?? 0n,
+          currency: tip.currency || 'XRP',
+          issuer: tip.issuer || null,
+          policy: 'immediate',
+          destination: wallet.xrpAddress,
+          destinationTag: tip.destinationTag ?? null,
+          // Le versement a suivi la transaction source : sa recherche on-ledger part de ce ledger
+          sinceLedger: tip.ledgerIndex ?? null,
+          status: 'completed',
+          txHash: tip.redistributionTxHash,
+          settledAt,
+          createdAt: settledAt
+        });
+        await payout.save();
+      }
+
+      tip.payout = payout._id;
+      await tip.save();
+      created++;
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   💾 Payouts created: ${created}`);
+    console.log(`   ❌ Skipped: ${skipped}`);
+
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+backfillPayouts();
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import xrplClient from '../services/xrplClient.js';
+
+dotenv.config();
+
+// Renseigner le destination tag des tips confirmés enregistrés avant que le champ
+// soit persisté (relu sur la transaction du ledger), puis recalculer les stats et objectifs
+const backfillTipDestinationTags = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { useBigInt64: true });
+    console.log('✅ Database connected');
+
+    await xrplClient.connect();
+    console.log('✅ XRPL connected');
+
+    const tips = await Tip.find({
+      status: 'confirmed',
+      destinationTag: null,
+      transactionHash: { $exists: true, $ne: null }
+    });
+    console.log(`📊 Found ${tips.length} confirmed tips without destination tag`);
+
+    const creatorIds = new Set();
+    let updated = 0;
+    let noTag = 0;
+    let failed = 0;
+
+    for (const tip of tips) {
+      let tx;
+      try {
+        tx = await xrplClient.getTransaction(tip.transactionHash);
+      } catch (error) {
+        failed++;
+        console.error(`❌ Transaction ${tip.transactionHash} not readable for tip ${tip._id}`);
+        continue;
+      }
+
+      // Paiement sans tag (wallet personnel) : rien à renseigner
+      if (tx.DestinationTag === undefined || tx.DestinationTag === null) {
+        noTag++;
+        continue;
+      }
+
+      tip.destinationTag = tx.DestinationTag;
+      await tip.save();
+      creatorIds.add(tip.creator.toString());
+      updated++;
+    }
+
+    for (const creatorId of creatorIds) {
+      const creator = await Creator.findById(creatorId);
+      if (creator) {
+        await creator.refreshStats();
+        console.log(`✅ Stats refreshed for ${creator.username}`);
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   💾 Tips updated: ${updated}`);
+    console.log(`   ⏭️  Without destination tag: ${noTag}`);
+    console.log(`   ❌ Failed: ${failed}`);
+    console.log(`   👤 Creators refreshed: ${creatorIds.size}`);
+
+    await xrplClient.disconnect();
+
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+backfillTipDestinationTags();
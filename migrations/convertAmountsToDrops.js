@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import CreatorLedgerEntry from '../models/CreatorLedgerEntry.js';
+import Payout from '../models/Payout.js';
+import PayoutJob from '../models/PayoutJob.js';
+import UnattributedPayment from '../models/UnattributedPayment.js';
+import TipQuote from '../models/TipQuote.js';
+import { toDrops } from '../utils/money.js';
+
+dotenv.config();
+
+// Montants stockés en XRP décimal (double) -> drops entiers (Int64)
+// À lancer avant de redémarrer le serveur, et avant migrations/backfillPayouts.js
+// Relançable : seuls les champs encore en double/int sont convertis
+const AMOUNT_FIELDS = [
+  { model: Tip, fields: ['amount', 'platformFee', 'creatorAmount', 'totalAmount', 'refundAmount', 'quoteDifference'] },
+  { model: Creator, fields: ['stats.totalAmount', 'payoutPolicy.threshold'], arrays: { 'stats.tokenTotals': 'amount' } },
+  { model: CreatorLedgerEntry, fields: ['amount', 'platformFee'] },
+  { model: Payout, fields: ['amount', 'platformFee'] },
+  { model: PayoutJob, fields: ['amount'] },
+  { model: UnattributedPayment, fields: ['amount', 'refundAmount'] },
+  { model: TipQuote, fields: ['totalAmount', 'creatorAmount', 'platformFee', 'receivedAmount'] }
+];
+
+const NUMBER_TYPES = ['double', 'int', 'decimal'];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Arrondi au drop le plus proche (les doubles stockés portent du bruit binaire)
+const convert = (value) => toDrops(typeof value === 'number' ? value : value.toString());
+
+const isStoredNumber = (value) => typeof value === 'number' || value?._bsontype === 'Decimal128';
+
+const convertAmounts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { useBigInt64: true });
+    console.log('✅ Database connected');
+
+    let total = 0;
+
+    for (const { model, fields, arrays = {} } of AMOUNT_FIELDS) {
+      const collection = model.collection;
+      const arrayPaths = Object.entries(arrays).map(([path, field]) => `${path}.${field}`);
+
+      const filter = {
+        $or: [...fields, ...arrayPaths].map(path => ({ [path]: { $type: NUMBER_TYPES } }))
+      };
+
+      const docs = await collection.find(filter).toArray();
+      const operations = [];
+
+      for (const doc of docs) {
+        const $set = {};
+
+        for (const path of fields) {
+          const value = getPath(doc, path);
+          if (isStoredNumber(value)) {
+            $set[path] = convert(value);
+          }
+        }
+
+        for (const [path, field] of Object.entries(arrays)) {
+          const items = getPath(doc, path);
+          if (Array.isArray(items) && items.some(item => isStoredNumber(item[field]))) {
+            $set[path] = items.map(item => ({
+              ...item,
+              [field]: isStoredNumber(item[field]) ? convert(item[field]) : item[field]
+            }));
+          }
+        }
+
+        if (Object.keys($set).length > 0) {
+          operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+        }
+      }
+
+      if (operations.length > 0) {
+        await collection.bulkWrite(operations);
+      }
+
+      total += operations.length;
+      console.log(`💱 ${model.modelName}: ${operations.length} documents converted`);
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   💾 Documents converted: ${total}`);
+
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+convertAmounts();
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { dropsField } from '../utils/money.js';
+
+export const ANNOUNCEMENT_PROVIDERS = ['discord', 'slack'];
+
+// Placeholders disponibles dans le modèle de message
+export const ANNOUNCEMENT_PLACEHOLDERS = ['senderName', 'amount', 'currency', 'message', 'creator', 'username'];
+
+export const DEFAULT_ANNOUNCEMENT_TEMPLATE = '🎉 {senderName} just tipped {amount} {currency} to {creator}! {message}';
+
+// Salon communautaire (webhook entrant Discord ou Slack) qui annonce les tips d'un créateur
+const announcementChannelSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ANNOUNCEMENT_PROVIDERS,
+    required: [true, 'Provider is required']
+  },
+  // URL du webhook entrant (contient son token : jamais renvoyée en entier)
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [500, 'URL must be less than 500 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name must be less than 50 characters'],
+    default: ''
+  },
+  template: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template must be less than 500 characters'],
+    default: DEFAULT_ANNOUNCEMENT_TEMPLATE
+  },
+  // Montant minimum annoncé en XRP (non appliqué aux tips en token)
+  minAmount: dropsField({ default: 0n }),
+  // Annonces par minute au maximum (les suivantes sont ignorées)
+  perMinuteCap: {
+    type: Number,
+    default: 5,
+    min: [1, 'Per-minute cap must be at least 1'],
+    max: [30, 'Per-minute cap must be at most 30']
+  },
+  // Minute en cours et annonces déjà envoyées (plafond partagé entre instances)
+  capWindow: {
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Suivi des envois, visible dans les réglages
+  stats: {
+    sent: {
+      type: Number,
+      default: 0
+    },
+    capped: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  lastSentAt: Date,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Derniers échecs (10 au plus)
+  recentFailures: [{
+    _id: false,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    responseStatus: Number,
+    error: String,
+    attempts: Number,
+    tip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tip'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+announcementChannelSchema.index({ creator: 1, isActive: 1 });
+
+// Static method pour réserver une annonce dans la minute en cours (false si plafond atteint)
+// Mise à jour atomique : le plafond tient entre instances et après un redémarrage
+announcementChannelSchema.statics.takeSlot = async function(channel, now = new Date()) {
+  const windowStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
+
+  const increment = () => this.updateOne(
+    { _id: channel._id, 'capWindow.startedAt': windowStart, 'capWindow.count': { $lt: channel.perMinuteCap } },
+    { $inc: { 'capWindow.count': 1 } }
+  );
+
+  if ((await increment()).modifiedCount > 0) {
+    return true;
+  }
+
+  // Nouvelle minute : repartir de zéro
+  const reset = await this.updateOne(
+    { _id: channel._id, 'capWindow.startedAt': { $ne: windowStart } },
+    { $set: { 'capWindow.startedAt': windowStart, 'capWindow.count': 1 } }
+  );
+
+  if (reset.modifiedCount > 0) {
+    return true;
+  }
+
+  // Une autre instance vient d'ouvrir la minute
+  return (await increment()).modifiedCount > 0;
+};
+
+// Method pour la réponse envoyée au créateur (URL masquée)
+announcementChannelSchema.methods.toSettingsJSON = function() {
+  const url = new URL(this.url);
+
+  return {
+    id: this._id,
+    provider: this.provider,
+    name: this.name,
+    url: `${url.origin}${url.pathname.slice(0, 24)}...`,
+    template: this.template,
+    minAmount: this.minAmount,
+    perMinuteCap: this.perMinuteCap,
+    isActive: this.isActive,
+    stats: this.stats,
+    lastSentAt: this.lastSentAt,
+    consecutiveFailures: this.consecutiveFailures,
+    recentFailures: this.recentFailures,
+    createdAt: this.createdAt
+  };
+};
+
+const AnnouncementChannel = mongoose.model('AnnouncementChannel', announcementChannelSchema);
+
+export default AnnouncementChannel;
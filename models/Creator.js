@@ -1,4 +1,114 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { fromCurrencyCode } from '../config/tokens.js';
+import { dropsField, fromStored } from '../utils/money.js';
+
+// Objectif de financement ("nouveau micro - 500 XRP"), progression calculée par refreshStats
+const fundingGoalSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Goal title is required'],
+    trim: true,
+    maxlength: [80, 'Goal title must be less than 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Goal description must be less than 200 characters'],
+    default: ''
+  },
+  target: dropsField({
+    required: [true, 'Goal target is required'],
+    validate: {
+      validator: (v) => v > 0n,
+      message: 'Goal target must be greater than 0'
+    }
+  }),
+  // Code lisible (XRP, RLUSD...) et émetteur du token
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  // all : tous les tips comptent ; earmarked : seulement les tips fléchés vers cet objectif
+  mode: {
+    type: String,
+    enum: ['all', 'earmarked'],
+    default: 'all'
+  },
+  // Tips comptés entre startsAt et deadline (optionnelle)
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  raised: dropsField({ default: 0n }),
+  tipCount: {
+    type: Number,
+    default: 0
+  },
+  supporters: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'expired', 'cancelled'],
+    default: 'active'
+  },
+  completedAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// Method pour savoir si un tip confirmé compte pour l'objectif
+fundingGoalSchema.methods.counts = function(tip) {
+  // Code lisible des deux côtés (les paiements portent le code XRPL)
+  if (fromCurrencyCode(tip.currency || 'XRP') !== this.currency || (tip.issuer || null) !== (this.issuer || null)) {
+    return false;
+  }
+
+  const at = tip.confirmedAt || tip.createdAt;
+  if (at < this.startsAt || (this.deadline && at > this.deadline)) {
+    return false;
+  }
+
+  return this.mode === 'all' || (tip.goal && tip.goal.toString() === this._id.toString());
+};
+
+// Method pour la progression affichée sur le profil
+fundingGoalSchema.methods.toProgressJSON = function() {
+  const raised = this.raised ?? 0n;
+  // Échéance dépassée mais pas encore clôturée par refreshStats
+  const status = this.status === 'active' && this.deadline && this.deadline < new Date() ? 'expired' : this.status;
+
+  return {
+    id: this._id,
+    title: this.title,
+    description: this.description,
+    target: this.target,
+    raised,
+    remaining: raised >= this.target ? 0n : this.target - raised,
+    percentage: Number((raised * 10000n) / this.target) / 100,
+    currency: this.currency,
+    issuer: this.issuer,
+    mode: this.mode,
+    startsAt: this.startsAt,
+    deadline: this.deadline,
+    tipCount: this.tipCount,
+    supporters: this.supporters,
+    status,
+    completedAt: this.completedAt,
+    endedAt: this.endedAt
+  };
+};
 
 const creatorSchema = new mongoose.Schema({
   user: {
@@ -159,15 +269,78 @@ const creatorSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
-    totalAmount: {
+    totalAmount: dropsField({ default: 0n }), // XRP uniquement, en drops
+    uniqueSupporters: {
       type: Number,
       default: 0
     },
-    uniqueSupporters: {
+    // Totaux des tips en tokens (un par devise/émetteur)
+    tokenTotals: [{
+      _id: false,
+      currency: String,
+      issuer: String,
+      amount: dropsField()
+    }]
+  },
+  // Politique de versement : à chaque tip, ou regroupé (quotidien, hebdomadaire, seuil)
+  payoutPolicy: {
+    mode: {
+      type: String,
+      enum: ['immediate', 'daily', 'weekly', 'threshold'],
+      default: 'immediate'
+    },
+    // Solde dû (drops, dans la devise du solde) qui déclenche le versement
+    threshold: dropsField({
+      validate: {
+        validator: (v) => v === null || v === undefined || v > 0n,
+        message: 'Threshold must be greater than 0'
+      }
+    })
+  },
+  // Alertes à l'écran pour les lives (Twitch, YouTube...)
+  overlay: {
+    // Hash SHA-256 du token secret de l'URL d'overlay (jamais stocké en clair)
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Montant minimum en XRP pour déclencher une alerte (non appliqué aux tips en token)
+    minAmount: dropsField({ default: 0n }),
+    // Durée d'affichage d'une alerte, en secondes
+    alertDuration: {
       type: Number,
-      default: 0
+      default: 8,
+      min: [2, 'Alert duration must be at least 2 seconds'],
+      max: [60, 'Alert duration must be at most 60 seconds']
+    },
+    // Filtrage des messages affichés et lus
+    blockedWords: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (v) => v.length <= 100,
+        message: 'Too many blocked words (max 100)'
+      }
+    },
+    hideLinks: {
+      type: Boolean,
+      default: true
+    },
+    ttsEnabled: {
+      type: Boolean,
+      default: true
     }
   },
+  // Objectifs de financement (actifs et historique)
+  goals: {
+    type: [fundingGoalSchema],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -180,6 +353,7 @@ const creatorSchema = new mongoose.Schema({
 creatorSchema.index({ username: 1 }, { unique: true });
 creatorSchema.index({ createdAt: -1 });
 creatorSchema.index({ destinationTag: 1 });
+creatorSchema.index({ 'overlay.tokenHash': 1 }, { sparse: true });
 
 // Virtual for profile URL
 creatorSchema.virtual('profileUrl').get(function() {
@@ -215,6 +389,99 @@ creatorSchema.methods.getAllValidDestinationTags = function() {
   return tags;
 };
 
+// ✅ Méthode pour calculer les stats à partir des tips confirmés (tous les tags valides), sans écriture
+// Retourne { stats, tips }
+creatorSchema.methods.computeStats = async function() {
+  const Tip = mongoose.model('Tip');
+
+  const allTips = await Tip.find({
+    creator: this._id,
+    destinationTag: { $in: this.getAllValidDestinationTags() },
+    status: 'confirmed'
+  }).lean();
+
+  const tokenTotals = new Map();
+  let totalAmount = 0n;
+
+  for (const tip of allTips) {
+    if (!tip.currency || tip.currency === 'XRP') {
+      totalAmount += fromStored(tip.amount);
+      continue;
+    }
+
+    const key = `${tip.currency}:${tip.issuer}`;
+    const entry = tokenTotals.get(key) || { currency: tip.currency, issuer: tip.issuer, amount: 0n };
+    entry.amount += fromStored(tip.amount);
+    tokenTotals.set(key, entry);
+  }
+
+  return {
+    stats: {
+      totalTips: allTips.length,
+      totalAmount,
+      tokenTotals: [...tokenTotals.values()],
+      uniqueSupporters: [...new Set(allTips.map(t => t.senderAddress))].length
+    },
+    tips: allTips
+  };
+};
+
+// ✅ Méthode pour recalculer et enregistrer les stats et les objectifs (chemins de paiement et de confirmation)
+// Retourne les objectifs atteints lors de ce calcul (goal.completed publié par l'appelant)
+creatorSchema.methods.refreshStats = async function() {
+  const { stats, tips } = await this.computeStats();
+
+  this.stats.totalTips = stats.totalTips;
+  this.stats.totalAmount = stats.totalAmount;
+  this.stats.tokenTotals = stats.tokenTotals;
+  this.stats.uniqueSupporters = stats.uniqueSupporters;
+
+  const completedGoals = this.updateGoals(tips);
+
+  await this.save();
+
+  return completedGoals;
+};
+
+// ✅ Méthode pour recalculer les objectifs actifs et clôturer les objectifs atteints ou échus
+// Retourne les objectifs atteints lors de ce calcul
+creatorSchema.methods.updateGoals = function(confirmedTips) {
+  const now = new Date();
+  const completed = [];
+
+  for (const goal of this.goals) {
+    if (goal.status !== 'active') {
+      continue;
+    }
+
+    const tips = confirmedTips.filter(tip => goal.counts(tip));
+
+    goal.raised = tips.reduce((sum, tip) => sum + fromStored(tip.amount), 0n);
+    goal.tipCount = tips.length;
+    goal.supporters = new Set(tips.map(t => t.senderAddress)).size;
+
+    if (goal.raised >= goal.target) {
+      goal.status = 'completed';
+      goal.completedAt = now;
+      goal.endedAt = now;
+      completed.push(goal);
+      console.log(`🎯 Goal "${goal.title}" completed for ${this.username}`);
+    } else if (goal.deadline && goal.deadline < now) {
+      goal.status = 'expired';
+      goal.endedAt = goal.deadline;
+      console.log(`⌛ Goal "${goal.title}" expired for ${this.username}`);
+    }
+  }
+
+  return completed;
+};
+
+// ✅ Méthode pour obtenir un objectif actif (tips fléchés)
+creatorSchema.methods.getActiveGoal = function(goalId) {
+  const goal = this.goals.id(goalId);
+  return goal && goal.status === 'active' && (!goal.deadline || goal.deadline > new Date()) ? goal : null;
+};
+
 // ✅ Méthode pour obtenir le destination tag actuel
 creatorSchema.methods.getCurrentDestinationTag = function() {
   return this.walletType === 'exchange' 
@@ -264,6 +531,36 @@ creatorSchema.pre('save', async function(next) {
   next();
 });
 
+// Hash d'un token d'overlay
+const hashOverlayToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ✅ Méthode pour générer (ou régénérer) le token d'overlay : retourné une seule fois
+creatorSchema.methods.generateOverlayToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.overlay.tokenHash = hashOverlayToken(token);
+  return token;
+};
+
+// ✅ Static pour retrouver un créateur actif à partir de son token d'overlay
+creatorSchema.statics.findByOverlayToken = function(token) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+  return this.findOne({ 'overlay.tokenHash': hashOverlayToken(token), isActive: true });
+};
+
+// Réglages d'overlay visibles par le créateur (sans le hash du token)
+creatorSchema.methods.getOverlaySettings = function() {
+  return {
+    enabled: this.overlay.enabled,
+    minAmount: this.overlay.minAmount,
+    alertDuration: this.overlay.alertDuration,
+    blockedWords: this.overlay.blockedWords,
+    hideLinks: this.overlay.hideLinks,
+    ttsEnabled: this.overlay.ttsEnabled
+  };
+};
+
 // Method to safely return public profile data
 creatorSchema.methods.toPublicJSON = function() {
   return {
@@ -278,6 +575,9 @@ creatorSchema.methods.toPublicJSON = function() {
     theme: this.theme,
     links: this.links,
     stats: this.stats,
+    goals: this.goals
+      .filter(goal => goal.status === 'active')
+      .map(goal => goal.toProgressJSON()),
     createdAt: this.createdAt
   };
 };
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { dropsField, fromStored } from '../utils/money.js';
+
+// Écriture du solde créateur : crédit (tip dû, non encore payé) ou débit (payout réglé)
+const creatorLedgerEntrySchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: dropsField({ required: true }), // Part du créateur (frais plateforme déjà retenus)
+  platformFee: dropsField({ default: 0n }),
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  // Crédit : tip à l'origine de la dette
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip'
+  },
+  // Crédit : payout qui le règle (null tant qu'il est dû) ; débit : payout réglé
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Un seul crédit par tip (rejouer un paiement ne crédite pas deux fois)
+creatorLedgerEntrySchema.index(
+  { tip: 1, type: 1 },
+  { unique: true, partialFilterExpression: { tip: { $type: 'objectId' } } }
+);
+// Un seul débit par payout
+creatorLedgerEntrySchema.index(
+  { payout: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'debit' } }
+);
+creatorLedgerEntrySchema.index({ creator: 1, payout: 1, type: 1 });
+
+// Static pour créditer la part d'un tip au solde du créateur (idempotent)
+creatorLedgerEntrySchema.statics.credit = function(tip) {
+  return this.findOneAndUpdate(
+    { tip: tip._id, type: 'credit' },
+    {
+      $setOnInsert: {
+        creator: tip.creator,
+        amount: tip.creatorAmount ?? tip.amount,
+        platformFee: tip.platformFee || 0n,
+        currency: tip.currency || 'XRP',
+        issuer: tip.issuer || null
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static pour obtenir les soldes d'un créateur par devise
+// (owed : crédits non encore inclus dans un payout ; inPayout : en cours de règlement)
+creatorLedgerEntrySchema.statics.getBalances = async function(creatorId) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        creator: new mongoose.Types.ObjectId(creatorId)
+      }
+    },
+    {
+      $group: {
+        _id: { currency: '$currency', issuer: '$issuer' },
+        credited: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+        paid: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+        owed: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$type', 'credit'] }, { $eq: ['$payout', null] }] }, '$amount', 0]
+          }
+        },
+        owedTips: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$type', 'credit'] }, { $eq: ['$payout', null] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return rows.map(row => {
+    const credited = fromStored(row.credited);
+    const paid = fromStored(row.paid);
+    const owed = fromStored(row.owed);
+
+    return {
+      currency: row._id.currency,
+      issuer: row._id.issuer,
+      balance: credited - paid,
+      owed,
+      inPayout: credited - paid - owed,
+      owedTips: row.owedTips
+    };
+  });
+};
+
+const CreatorLedgerEntry = mongoose.model('CreatorLedgerEntry', creatorLedgerEntrySchema);
+
+export default CreatorLedgerEntry;
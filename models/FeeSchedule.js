@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { calculateBackendFees } from '../config/platformWallet.js';
+import { toDrops } from '../utils/money.js';
+
+// Grille de frais de la plateforme (creator null = grille par défaut, sinon dérogation du créateur)
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must be less than 500 characters'],
+    default: ''
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    default: null
+  },
+  // Paliers par montant total : le palier applicable est celui dont minAmount est le plus élevé <= montant
+  tiers: {
+    type: [{
+      _id: false,
+      minAmount: {
+        type: Number,
+        min: [0, 'Tier minAmount must be positive'],
+        default: 0
+      },
+      percentage: {
+        type: Number,
+        required: [true, 'Tier percentage is required'],
+        min: [0, 'Percentage must be between 0 and 1'],
+        max: [1, 'Percentage must be between 0 and 1']
+      }
+    }],
+    validate: {
+      validator: (tiers) => tiers.length > 0 && tiers.some(t => (t.minAmount || 0) === 0),
+      message: 'At least one tier starting at 0 is required'
+    }
+  },
+  // Minimums en XRP décimal, convertis en drops au calcul (tokens : minimums de ACCEPTED_TOKENS)
+  minAmountForFees: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  minFee: {
+    type: Number,
+    min: 0,
+    default: 0.1
+  },
+  maxFee: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'effectiveFrom is required']
+  },
+  // null = sans date de fin
+  effectiveUntil: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.effectiveFrom || v > this.effectiveFrom;
+      },
+      message: 'effectiveUntil must be after effectiveFrom'
+    }
+  },
+  // Une grille désactivée est ignorée mais conservée (tips déjà calculés avec)
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ creator: 1, isActive: 1, effectiveFrom: -1 });
+
+// Champs qui déterminent le calcul : figés dès qu'un tip référence la grille
+feeScheduleSchema.statics.RATE_FIELDS = ['tiers', 'minAmountForFees', 'minFee', 'maxFee', 'effectiveFrom'];
+
+// Method pour obtenir le pourcentage applicable à un montant (drops)
+feeScheduleSchema.methods.getPercentage = function(totalAmount) {
+  const total = toDrops(totalAmount);
+  const tier = [...this.tiers]
+    .sort((a, b) => (b.minAmount || 0) - (a.minAmount || 0))
+    .find(t => total >= toDrops(t.minAmount || 0));
+
+  return tier ? tier.percentage : 0;
+};
+
+// Static method pour trouver la grille en vigueur (dérogation du créateur en priorité)
+feeScheduleSchema.statics.resolve = async function(creatorId, date = new Date()) {
+  const inEffect = {
+    isActive: true,
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveUntil: null }, { effectiveUntil: { $gt: date } }]
+  };
+
+  if (creatorId) {
+    const override = await this.findOne({ ...inEffect, creator: creatorId }).sort({ effectiveFrom: -1 });
+    if (override) {
+      return override;
+    }
+  }
+
+  return this.findOne({ ...inEffect, creator: null }).sort({ effectiveFrom: -1 });
+};
+
+/**
+ * Static method pour calculer les frais d'un paiement selon la grille en vigueur
+ * Sans grille en base, la configuration statique (PLATFORM_WALLET_CONFIG.fees) s'applique
+ * Retourne { creatorAmount, platformFee, feeSchedule } (feeSchedule = id ou null)
+ */
+feeScheduleSchema.statics.computeFees = async function(totalAmount, { creator = null, currency = 'XRP', issuer = null, date = new Date(), feeSchedule } = {}) {
+  // feeSchedule fourni (devis accepté) : appliquer cette grille plutôt que celle en vigueur
+  const schedule = feeSchedule !== undefined
+    ? (feeSchedule ? await this.findById(feeSchedule) : null)
+    : await this.resolve(creator, date);
+  const { creatorAmount, platformFee } = calculateBackendFees(totalAmount, currency, issuer, schedule);
+
+  return {
+    creatorAmount,
+    platformFee,
+    feeSchedule: schedule ? schedule._id : null
+  };
+};
+
+const FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
+
+export default FeeSchedule;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Curseur de synchronisation : dernier ledger entièrement traité pour un flux donné
+const ledgerCursorSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  ledgerIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method pour lire la position d'un curseur (null si jamais initialisé)
+ledgerCursorSchema.statics.getLedgerIndex = async function(key) {
+  const cursor = await this.findOne({ key }).lean();
+  return cursor ? cursor.ledgerIndex : null;
+};
+
+// Static method pour avancer un curseur (ne recule jamais)
+ledgerCursorSchema.statics.advance = function(key, ledgerIndex) {
+  return this.findOneAndUpdate(
+    { key },
+    { $max: { ledgerIndex } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const LedgerCursor = mongoose.model('LedgerCursor', ledgerCursorSchema);
+
+export default LedgerCursor;
\ No newline at end of file
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { dropsField } from '../utils/money.js';
+
+// Alerte en file pour l'overlay de live d'un créateur (tip confirmé ou alerte de test)
+const overlayAlertSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  // Tip à l'origine de l'alerte (null pour une alerte de test)
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip',
+    default: null
+  },
+  test: {
+    type: Boolean,
+    default: false
+  },
+  // Contenu figé à la mise en file (message déjà filtré)
+  senderName: {
+    type: String,
+    default: ''
+  },
+  amount: dropsField({ required: true }),
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Texte prêt pour la synthèse vocale (null si désactivée)
+  ttsText: {
+    type: String,
+    default: null
+  },
+  // Durée d'affichage en millisecondes
+  duration: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'shown'],
+    default: 'queued'
+  },
+  // Mise en file (ou remise en file par un replay)
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  shownAt: Date
+}, {
+  timestamps: true
+});
+
+overlayAlertSchema.index({ creator: 1, status: 1, queuedAt: 1 });
+overlayAlertSchema.index({ creator: 1, tip: 1 }, { unique: true, partialFilterExpression: { test: false } });
+// Historique conservé 30 jours (rejouable depuis les réglages)
+overlayAlertSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Method pour remettre l'alerte en file (replay)
+overlayAlertSchema.methods.requeue = function() {
+  this.status = 'queued';
+  this.queuedAt = new Date();
+  this.shownAt = null;
+  return this.save();
+};
+
+// Method pour marquer l'alerte comme affichée
+overlayAlertSchema.methods.markShown = function() {
+  this.status = 'shown';
+  this.shownAt = new Date();
+  return this.save();
+};
+
+// Method pour la réponse envoyée à l'overlay
+overlayAlertSchema.methods.toFeedJSON = function() {
+  return {
+    id: this._id,
+    test: this.test,
+    senderName: this.senderName,
+    amount: this.amount,
+    currency: this.currency,
+    message: this.message,
+    ttsText: this.ttsText,
+    duration: this.duration,
+    queuedAt: this.queuedAt
+  };
+};
+
+const OverlayAlert = mongoose.model('OverlayAlert', overlayAlertSchema);
+
+export default OverlayAlert;
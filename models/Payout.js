@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { dropsField } from '../utils/money.js';
+
+// Paiement du wallet plateforme vers un créateur : redistribution d'un tip
+// ou règlement groupé de plusieurs tips (un paiement on-ledger)
+const payoutSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  // Tips inclus dans ce règlement
+  tips: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip'
+  }],
+  amount: dropsField({ required: true }), // Montant versé au créateur (drops)
+  platformFee: dropsField({ default: 0n }), // Frais plateforme retenus sur les tips inclus
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  // Politique qui a déclenché le règlement
+  policy: {
+    type: String,
+    enum: ['immediate', 'daily', 'weekly', 'threshold'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  destinationTag: {
+    type: Number,
+    default: null
+  },
+  // Borne de la recherche on-ledger du paiement : dernier ledger validé à la création
+  // (ledger du tip source pour une redistribution) ; sans elle, le versement n'est jamais renvoyé
+  sinceLedger: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  txHash: {
+    type: String,
+    trim: true
+  },
+  ledgerIndex: {
+    type: Number
+  },
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ creator: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ txHash: 1 }, { unique: true, sparse: true });
+
+// Static pour enregistrer la redistribution immédiate d'un tip (idempotent par tx hash)
+payoutSchema.statics.recordRedistribution = async function(tip, { txHash, ledgerIndex, destination, destinationTag }) {
+  const payout = await this.findOneAndUpdate(
+    { txHash },
+    {
+      $setOnInsert: {
+        creator: tip.creator,
+        tips: [tip._id],
+        amount: tip.creatorAmount ?? tip.amount,
+        platformFee: tip.platformFee || 0n,
+        currency: tip.currency || 'XRP',
+        issuer: tip.issuer || null,
+        policy: 'immediate',
+        destination,
+        destinationTag: destinationTag ?? null,
+        sinceLedger: tip.ledgerIndex ?? ledgerIndex ?? null,
+        status: 'completed',
+        ledgerIndex,
+        settledAt: new Date()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  tip.payout = payout._id;
+  return payout;
+};
+
+// Method to return the creator-facing view
+payoutSchema.methods.toCreatorJSON = function() {
+  return {
+    id: this._id,
+    amount: this.amount,
+    platformFee: this.platformFee,
+    currency: this.currency,
+    issuer: this.issuer,
+    policy: this.policy,
+    destination: this.destination,
+    destinationTag: this.destinationTag,
+    status: this.status,
+    txHash: this.txHash || null,
+    ledgerIndex: this.ledgerIndex ?? null,
+    tipCount: this.tips.length,
+    createdAt: this.createdAt,
+    settledAt: this.settledAt || null
+  };
+};
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
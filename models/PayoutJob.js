@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { dropsField } from '../utils/money.js';
+
+// Job de paiement sortant depuis le wallet plateforme (file persistante avec retries)
+const payoutJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['redistribution', 'refund', 'payout'],
+    default: 'redistribution'
+  },
+  // Tip concerné (absent pour un paiement non attribué ou un versement groupé)
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip',
+    required: [function() { return !this.unattributedPayment && !this.payout; }, 'Tip is required']
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  unattributedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UnattributedPayment'
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: [function() { return this.kind === 'redistribution'; }, 'Creator is required']
+  },
+  // Motif du remboursement (créateur désactivé, paiement non attribuable...)
+  refundReason: {
+    type: String,
+    default: null
+  },
+  // Transaction entrante qui a déclenché le paiement (remboursée à son expéditeur pour un refund,
+  // identifiant du Payout pour un versement groupé)
+  sourceTxHash: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  destinationTag: {
+    type: Number,
+    default: null
+  },
+  // Ledger de départ de la recherche on-ledger d'un paiement déjà effectué
+  // (ledger de la transaction source, sinon dernier ledger validé à la création du job)
+  sinceLedger: {
+    type: Number,
+    default: null
+  },
+  amount: dropsField({ required: true }), // Montant total reçu sur le wallet plateforme (drops)
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead_letter', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Historique des échecs (une entrée par tentative ratée)
+  failures: [{
+    attempt: Number,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Transaction signée avant soumission (reprise après crash sans double paiement)
+  intent: {
+    txHash: String,
+    txBlob: String,
+    lastLedgerSequence: Number,
+    signedAt: Date
+  },
+  txHash: {
+    type: String,
+    trim: true
+  },
+  completedAt: Date,
+  deadLetteredAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Un seul job par tip (ou paiement non attribué) et par type
+payoutJobSchema.index(
+  { tip: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { tip: { $type: 'objectId' } } }
+);
+payoutJobSchema.index(
+  { unattributedPayment: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { unattributedPayment: { $type: 'objectId' } } }
+);
+payoutJobSchema.index(
+  { payout: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { payout: { $type: 'objectId' } } }
+);
+payoutJobSchema.index({ status: 1, nextAttemptAt: 1 });
+payoutJobSchema.index({ creator: 1, createdAt: -1 });
+
+// Method pour enregistrer un échec (retry planifié ou passage en dead-letter)
+payoutJobSchema.methods.recordFailure = function(reason, retryDelay) {
+  this.lastError = reason;
+  this.failures.push({ attempt: this.attempts, reason });
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead_letter';
+    this.deadLetteredAt = new Date();
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryDelay);
+  }
+
+  return this.save();
+};
+
+// Method pour remettre un job en file immédiatement (retry manuel)
+payoutJobSchema.methods.requeue = function() {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.deadLetteredAt = undefined;
+  this.cancelledAt = undefined;
+  this.cancelledBy = undefined;
+  return this.save();
+};
+
+const PayoutJob = mongoose.model('PayoutJob', payoutJobSchema);
+
+export default PayoutJob;
\ No newline at end of file
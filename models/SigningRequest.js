@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Transaction à signer hors ligne (wallet plateforme air-gapped)
+const signingRequestSchema = new mongoose.Schema({
+  // Opération en attente de la signature (id du PayoutJob, référence de sweep...)
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['redistribution', 'refund', 'payout', 'sweep', 'other'],
+    default: 'other'
+  },
+  txJson: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  unsignedBlob: {
+    type: String,
+    required: true
+  },
+  lastLedgerSequence: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'signed', 'submitted', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  signedBlob: String,
+  hash: String,
+  signedAt: Date,
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date
+}, {
+  timestamps: true
+});
+
+signingRequestSchema.index({ reference: 1, status: 1 });
+signingRequestSchema.index({ status: 1, createdAt: -1 });
+
+const SigningRequest = mongoose.model('SigningRequest', signingRequestSchema);
+
+export default SigningRequest;
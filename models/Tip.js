@@ -1,4 +1,9 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { dropsField, fromStored } from '../utils/money.js';
+
+// Statuts définitifs : un tip remboursé ou rejeté ne change plus de statut
+export const TERMINAL_TIP_STATUSES = ['refunded', 'rejected'];
 
 const tipSchema = new mongoose.Schema({
   creator: {
@@ -10,15 +15,42 @@ const tipSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  amount: {
-    type: Number,
-    required: [true, 'Amount is required'],
-    min: [0.000001, 'Amount must be greater than 0']
-  },
+  // Montants en drops (BigInt, voir utils/money.js)
+  amount: dropsField({
+    // Un paiement rejeté n'a pas de montant livré fiable
+    required: [function() { return this.status !== 'rejected'; }, 'Amount is required'],
+    validate: {
+      validator: (v) => v === null || v === undefined || v > 0n,
+      message: 'Amount must be greater than 0'
+    }
+  }),
+  // 'XRP' ou code d'un token accepté (RLUSD...) ; l'allowlist est vérifiée à l'entrée
   currency: {
     type: String,
     default: 'XRP',
-    enum: ['XRP']
+    trim: true
+  },
+  issuer: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(v) {
+        if (this.currency === 'XRP') return !v;
+        return /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(v || '');
+      },
+      message: 'Token tips require a valid issuer (and XRP tips none)'
+    }
+  },
+  // Destination tag du paiement : rattache le tip aux tags valides du créateur (stats, objectifs)
+  destinationTag: {
+    type: Number,
+    default: null
+  },
+  // Objectif de financement visé par le tippeur (pris en compte par les objectifs "earmarked")
+  goal: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   },
   transactionHash: {
     type: String,
@@ -41,11 +73,41 @@ const tipSchema = new mongoose.Schema({
     maxlength: [200, 'Message must be less than 200 characters'],
     default: ''
   },
+  // Nom affiché de l'expéditeur (déclaré à la création du tip ou lu dans les memos du paiement)
+  senderName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Sender name must be less than 50 characters'],
+    default: ''
+  },
+  // Référence de paiement d'un tip en attente : memo facture ou InvoiceID (SHA-256 de la référence)
+  paymentReference: {
+    type: String,
+    default: undefined
+  },
+  invoiceId: {
+    type: String,
+    default: undefined
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'failed'],
+    enum: ['pending', 'confirmed', 'failed', 'rejected', 'refunded', 'expired'],
     default: 'pending'
   },
+  // Tip en attente sans paiement trouvé avant l'expiration (services/pendingTipReconciler.js)
+  expiredAt: {
+    type: Date
+  },
+  // Dernière recherche du paiement par le rapprochement (rotation des tips en attente)
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  // Raison du rejet (ex : paiement partiel sans delivered_amount)
+  rejectionReason: {
+    type: String,
+    default: null
+  },
   ledgerIndex: {
     type: Number
   },
@@ -61,18 +123,50 @@ const tipSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  platformFee: {
-    type: Number,
-    default: 0,
-    min: 0
+  platformFee: dropsField({ default: 0n }),
+  creatorAmount: dropsField(), // Montant effectif reçu par le créateur (amount - platformFee)
+  totalAmount: dropsField(), // Montant total reçu sur le wallet plateforme (amount + platformFee)
+  // Valeur exacte livrée pour un token (rejeté et remboursé au-delà de 6 décimales), null pour XRP
+  deliveredValue: {
+    type: String,
+    default: null
+  },
+  // Grille de frais appliquée (null = configuration statique PLATFORM_WALLET_CONFIG.fees)
+  feeSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule',
+    default: null
+  },
+  // Devis rapproché (GET /api/tips/quote) et écart entre montant reçu et devis
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TipQuote',
+    default: null
   },
-  creatorAmount: {
-    type: Number, // Montant effectif reçu par le créateur (amount - platformFee)
-    min: 0
+  quoteStatus: {
+    type: String,
+    enum: [null, 'exact', 'overpaid', 'underpaid'],
+    default: null
+  },
+  quoteDifference: dropsField({ signed: true }), // Montant reçu - montant du devis
+  // Versement groupé qui inclut ce tip (politique de payout non immédiate)
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  // Remboursement à l'expéditeur (statut terminal 'refunded')
+  refundReason: {
+    type: String,
+    default: null
   },
-  totalAmount: {
-    type: Number, // Montant total reçu sur le wallet plateforme (amount + platformFee)
-    min: 0
+  refundTxHash: {
+    type: String,
+    trim: true
+  },
+  refundAmount: dropsField(), // Montant renvoyé, net des frais réseau
+  refundedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -83,9 +177,64 @@ tipSchema.index({ creator: 1, createdAt: -1 });
 tipSchema.index({ creatorUsername: 1, createdAt: -1 });
 tipSchema.index({ transactionHash: 1 }, { unique: true, sparse: true });
 tipSchema.index({ status: 1, createdAt: -1 });
+tipSchema.index({ status: 1, lastCheckedAt: 1, createdAt: 1 });
+tipSchema.index({ feeSchedule: 1 });
+tipSchema.index({ paymentReference: 1 }, { unique: true, sparse: true });
+tipSchema.index({ invoiceId: 1 }, { unique: true, sparse: true });
+
+// Alphabet des références de paiement (sans I, L, O, U : pas de confusion à la saisie)
+const REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Static method pour générer une référence de paiement et son InvoiceID
+tipSchema.statics.generatePaymentReference = function() {
+  const code = [...crypto.randomBytes(10)]
+    .map(byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length])
+    .join('');
+  const paymentReference = `XT-${code}`;
+
+  return {
+    paymentReference,
+    invoiceId: crypto.createHash('sha256').update(paymentReference).digest('hex').toUpperCase()
+  };
+};
+
+/**
+ * Static method pour réserver le tip en attente désigné par un paiement (memo facture ou InvoiceID)
+ * La devise doit correspondre ; le hash est posé immédiatement (un paiement par tip)
+ * Un tip expiré payé en retard repasse en attente pour être confirmé
+ */
+tipSchema.statics.claimByReference = function({ reference, invoiceId, currency, issuer }, transactionHash) {
+  const or = [];
+  if (reference) {
+    or.push({ paymentReference: reference });
+  }
+  if (invoiceId) {
+    or.push({ invoiceId: invoiceId.toUpperCase() });
+  }
+
+  if (or.length === 0) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      $or: or,
+      status: { $in: ['pending', 'expired'] },
+      transactionHash: null,
+      currency: currency || 'XRP',
+      issuer: issuer || null
+    },
+    { $set: { transactionHash, status: 'pending' } },
+    { new: true }
+  );
+};
+
+// Method to mark tip as confirmed (uniquement depuis 'pending')
+tipSchema.methods.confirm = async function(transactionHash, ledgerIndex) {
+  if (this.status !== 'pending') {
+    throw new Error(`Tip ${this._id} is ${this.status} and cannot be confirmed`);
+  }
 
-// Method to mark tip as confirmed
-tipSchema.methods.confirm = function(transactionHash, ledgerIndex) {
   this.status = 'confirmed';
   this.transactionHash = transactionHash;
   this.ledgerIndex = ledgerIndex;
@@ -93,9 +242,57 @@ tipSchema.methods.confirm = function(transactionHash, ledgerIndex) {
   return this.save();
 };
 
+// Method to mark tip as rejected (payment received but not creditable)
+tipSchema.methods.reject = async function(reason, transactionHash, ledgerIndex) {
+  if (TERMINAL_TIP_STATUSES.includes(this.status)) {
+    throw new Error(`Tip ${this._id} is already ${this.status}`);
+  }
+
+  this.status = 'rejected';
+  this.rejectionReason = reason;
+  if (transactionHash) {
+    this.transactionHash = transactionHash;
+  }
+  if (ledgerIndex) {
+    this.ledgerIndex = ledgerIndex;
+  }
+  return this.save();
+};
+
+// Method to mark a pending tip as expired (no payment found in time)
+// Conditionnel : un paiement rapproché entre-temps l'emporte ; retourne true si expiré
+tipSchema.methods.expire = async function() {
+  const expiredAt = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending', transactionHash: null },
+    { $set: { status: 'expired', expiredAt } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  this.status = 'expired';
+  this.expiredAt = expiredAt;
+  return true;
+};
+
+// Method to mark tip as refunded to its sender
+tipSchema.methods.markRefunded = function(refundTxHash, refundAmount, reason) {
+  this.status = 'refunded';
+  this.refundTxHash = refundTxHash;
+  this.refundAmount = refundAmount;
+  this.refundedAt = new Date();
+  if (reason) {
+    this.refundReason = reason;
+  }
+  return this.save();
+};
+
 // Static method to get creator stats
+// Montants groupés par devise : totalAmount en XRP, tokens dans tokenTotals (comme Creator.stats)
 tipSchema.statics.getCreatorStats = async function(creatorId) {
-  const stats = await this.aggregate([
+  const [stats] = await this.aggregate([
     {
       $match: {
         creator: new mongoose.Types.ObjectId(creatorId),
@@ -103,27 +300,38 @@ tipSchema.statics.getCreatorStats = async function(creatorId) {
       }
     },
     {
-      $group: {
-        _id: null,
-        totalTips: { $sum: 1 },
-        totalAmount: { $sum: '$amount' },
-        uniqueSupporters: { $addToSet: '$senderAddress' }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        totalTips: 1,
-        totalAmount: 1,
-        uniqueSupporters: { $size: '$uniqueSupporters' }
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalTips: { $sum: 1 },
+              uniqueSupporters: { $addToSet: '$senderAddress' }
+            }
+          }
+        ],
+        byCurrency: [
+          {
+            $group: {
+              _id: { currency: { $ifNull: ['$currency', 'XRP'] }, issuer: { $ifNull: ['$issuer', null] } },
+              amount: { $sum: '$amount' }
+            }
+          }
+        ]
       }
     }
   ]);
 
-  return stats[0] || {
-    totalTips: 0,
-    totalAmount: 0,
-    uniqueSupporters: 0
+  const totals = stats.totals[0];
+  const xrp = stats.byCurrency.find(entry => entry._id.currency === 'XRP');
+
+  return {
+    totalTips: totals?.totalTips || 0,
+    totalAmount: fromStored(xrp?.amount),
+    tokenTotals: stats.byCurrency
+      .filter(entry => entry._id.currency !== 'XRP')
+      .map(entry => ({ currency: entry._id.currency, issuer: entry._id.issuer, amount: fromStored(entry.amount) })),
+    uniqueSupporters: totals?.uniqueSupporters.length || 0
   };
 };
 
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import { dropsField, absDrops } from '../utils/money.js';
+
+// Écart toléré entre montant reçu et devis (drops)
+const AMOUNT_TOLERANCE = 1n;
+
+// Devis de tip : montant exact à envoyer au wallet plateforme pour un montant créateur donné
+const tipQuoteSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  creatorUsername: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  // Montants en drops
+  totalAmount: dropsField({ required: true }), // Montant à envoyer (brut)
+  creatorAmount: dropsField({ required: true }),
+  platformFee: dropsField({ default: 0n }),
+  feeSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule',
+    default: null
+  },
+  destinationAddress: {
+    type: String,
+    required: true
+  },
+  destinationTag: {
+    type: Number,
+    required: true
+  },
+  // Référence portée par le paiement (memo facture ou InvoiceID) : rapprochement exact
+  paymentReference: {
+    type: String,
+    default: undefined
+  },
+  invoiceId: {
+    type: String,
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'matched'],
+    default: 'open'
+  },
+  // Rapprochement avec le paiement reçu
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip',
+    default: null
+  },
+  receivedAmount: dropsField(),
+  matchedAt: Date
+}, {
+  timestamps: true
+});
+
+tipQuoteSchema.index({ creator: 1, status: 1, expiresAt: -1 });
+tipQuoteSchema.index({ paymentReference: 1 }, { unique: true, sparse: true });
+tipQuoteSchema.index({ invoiceId: 1 }, { unique: true, sparse: true });
+// Purge des devis non utilisés une semaine après expiration
+tipQuoteSchema.index({ expiresAt: 1 }, {
+  expireAfterSeconds: 7 * 24 * 3600,
+  partialFilterExpression: { status: 'open' }
+});
+
+// Method pour comparer un montant reçu au devis
+tipQuoteSchema.methods.compareAmount = function(receivedAmount) {
+  const difference = receivedAmount - this.totalAmount;
+
+  if (absDrops(difference) <= AMOUNT_TOLERANCE) {
+    return { status: 'exact', difference: 0n };
+  }
+
+  return {
+    status: difference > 0n ? 'overpaid' : 'underpaid',
+    difference
+  };
+};
+
+/**
+ * Static method pour rapprocher un paiement reçu du devis désigné par sa référence
+ * (memo facture ou InvoiceID), l'écart de montant n'est évalué qu'après ce rapprochement exact
+ * Retourne { quote, status, difference } ou null
+ */
+tipQuoteSchema.statics.matchPayment = async function(creatorId, { reference, invoiceId, amount, currency, issuer, date = new Date() }) {
+  const or = [];
+  if (reference) {
+    or.push({ paymentReference: reference });
+  }
+  if (invoiceId) {
+    or.push({ invoiceId: invoiceId.toUpperCase() });
+  }
+
+  if (or.length === 0) {
+    return null;
+  }
+
+  // Réserver le devis (un paiement par devis)
+  const quote = await this.findOneAndUpdate(
+    {
+      $or: or,
+      creator: creatorId,
+      status: 'open',
+      currency: currency || 'XRP',
+      issuer: issuer || null,
+      createdAt: { $lte: date },
+      expiresAt: { $gte: date }
+    },
+    { $set: { status: 'matched', receivedAmount: amount, matchedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!quote) {
+    return null;
+  }
+
+  return { quote, ...quote.compareAmount(amount) };
+};
+
+const TipQuote = mongoose.model('TipQuote', tipQuoteSchema);
+
+export default TipQuote;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { dropsField } from '../utils/money.js';
+
+// Paiement reçu sur le wallet plateforme sans créateur identifiable (tag absent ou inconnu)
+const unattributedPaymentSchema = new mongoose.Schema({
+  transactionHash: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ledgerIndex: {
+    type: Number
+  },
+  senderAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Drops ; null si le montant livré n'est pas fiable (voir rejectionReason)
+  amount: dropsField(),
+  currency: {
+    type: String,
+    default: 'XRP'
+  },
+  issuer: {
+    type: String,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  destinationTag: {
+    type: Number,
+    default: null
+  },
+  // Memos décodés de la transaction (aide à identifier le destinataire voulu)
+  memos: [{
+    _id: false,
+    type: { type: String },
+    format: String,
+    data: String
+  }],
+  reason: {
+    type: String,
+    enum: ['missing_tag', 'unknown_tag'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unassigned', 'assigned', 'refund_pending', 'refunded'],
+    default: 'unassigned'
+  },
+  // Attribution manuelle
+  assignedCreator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator'
+  },
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip'
+  },
+  assignedAt: Date,
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Demande de remboursement
+  refundRequestedAt: Date,
+  refundRequestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundTxHash: {
+    type: String,
+    trim: true
+  },
+  refundAmount: dropsField(), // Net des frais réseau
+  refundedAt: Date,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note must be less than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+unattributedPaymentSchema.index({ transactionHash: 1 }, { unique: true });
+unattributedPaymentSchema.index({ status: 1, createdAt: -1 });
+
+// Method pour demander le remboursement à l'expéditeur
+unattributedPaymentSchema.methods.markForRefund = function(userId, note) {
+  this.status = 'refund_pending';
+  this.refundRequestedAt = new Date();
+  this.refundRequestedBy = userId;
+  if (note) {
+    this.note = note;
+  }
+  return this.save();
+};
+
+// Method pour enregistrer le remboursement effectué
+unattributedPaymentSchema.methods.markRefunded = function(refundTxHash, refundAmount) {
+  this.status = 'refunded';
+  this.refundTxHash = refundTxHash;
+  this.refundAmount = refundAmount;
+  this.refundedAt = new Date();
+  return this.save();
+};
+
+const UnattributedPayment = mongoose.model('UnattributedPayment', unattributedPaymentSchema);
+
+export default UnattributedPayment;
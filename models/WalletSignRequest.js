@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Demande de signature envoyée au wallet du tippeur pour payer un tip en attente
+const walletSignRequestSchema = new mongoose.Schema({
+  tip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tip',
+    required: true
+  },
+  // Fournisseur (xaman, mock) et identifiant du payload chez lui
+  provider: {
+    type: String,
+    required: true
+  },
+  providerId: {
+    type: String,
+    required: true
+  },
+  txJson: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  deepLink: {
+    type: String,
+    required: true
+  },
+  qrUrl: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'signed', 'rejected', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Résultat remonté par le fournisseur
+  txHash: {
+    type: String,
+    default: null
+  },
+  account: {
+    type: String,
+    default: null
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+walletSignRequestSchema.index({ provider: 1, providerId: 1 }, { unique: true });
+walletSignRequestSchema.index({ tip: 1, createdAt: -1 });
+
+// Method pour savoir si la demande attend encore une décision du tippeur
+walletSignRequestSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const WalletSignRequest = mongoose.model('WalletSignRequest', walletSignRequestSchema);
+
+export default WalletSignRequest;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+// Livraison d'un événement à un endpoint de webhook (file persistante avec retries)
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  // Type d'événement (tip.confirmed, payout.sent, ping...) et identifiant stable
+  // (le même à chaque tentative : dédoublonnage côté récepteur)
+  event: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Corps JSON exact envoyé (et signé) à chaque tentative
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Historique des tentatives
+  attemptLog: [{
+    _id: false,
+    attempt: Number,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    responseStatus: Number,
+    durationMs: Number,
+    error: String,
+    // Renvoi manuel depuis les réglages
+    manual: Boolean
+  }],
+  deliveredAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ endpoint: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+// Historique conservé 30 jours
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Method pour enregistrer le résultat d'une tentative (retry planifié ou échec définitif)
+webhookDeliverySchema.methods.recordAttempt = function({ responseStatus = null, durationMs, error = null, manual = false }, retryDelay) {
+  this.attemptLog.push({ attempt: this.attempts, responseStatus, durationMs, error, manual });
+
+  if (!error) {
+    this.status = 'succeeded';
+    this.lastError = null;
+    this.deliveredAt = new Date();
+  } else if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.lastError = error;
+    this.failedAt = new Date();
+  } else {
+    this.status = 'pending';
+    this.lastError = error;
+    this.nextAttemptAt = new Date(Date.now() + retryDelay);
+  }
+
+  return this.save();
+};
+
+// Method pour la réponse envoyée au créateur
+webhookDeliverySchema.methods.toHistoryJSON = function() {
+  return {
+    id: this._id,
+    event: this.event,
+    eventId: this.eventId,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+    lastError: this.lastError,
+    attemptLog: this.attemptLog,
+    deliveredAt: this.deliveredAt,
+    failedAt: this.failedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Événements auxquels un endpoint peut s'abonner
+export const WEBHOOK_EVENTS = ['tip.confirmed', 'tip.redistributed', 'payout.sent', 'goal.completed'];
+
+// Endpoint HTTP d'un créateur notifié des événements de ses tips (bots, dashboards...)
+const webhookEndpointSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Creator',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [500, 'URL must be less than 500 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description must be less than 100 characters'],
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (v) => v.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // Secret HMAC (nécessaire en clair pour signer, jamais renvoyé après la création)
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Dernière livraison (succès ou échec) pour les réglages
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ creator: 1, isActive: 1 });
+
+// Method pour générer (ou renouveler) le secret de signature : retourné une seule fois
+webhookEndpointSchema.methods.generateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return this.secret;
+};
+
+// Method pour la réponse envoyée au créateur (sans le secret)
+webhookEndpointSchema.methods.toSettingsJSON = function() {
+  return {
+    id: this._id,
+    url: this.url,
+    description: this.description,
+    events: this.events,
+    isActive: this.isActive,
+    lastDeliveryAt: this.lastDeliveryAt,
+    lastDeliveryStatus: this.lastDeliveryStatus,
+    createdAt: this.createdAt
+  };
+};
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+export default WebhookEndpoint;
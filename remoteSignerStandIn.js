@@ -0,0 +1,61 @@
+/**
+ * Signeur distant local (stand-in) pour tester SIGNER_TYPE=remote
+ * Implémente le protocole attendu par services/signers/remoteSigner.js :
+ *   GET  /address -> { address }
+ *   POST /sign    { tx_json } -> { tx_blob, hash }
+ *
+ * Usage: STANDIN_SEED=sXXX node remoteSignerStandIn.js
+ *        (port : STANDIN_PORT ou 7070, jeton : SIGNER_REMOTE_TOKEN)
+ * ⚠️ Outil de développement uniquement : la seed est en clair dans ce processus.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import express from 'express';
+import { Wallet } from 'xrpl';
+
+const port = parseInt(process.env.STANDIN_PORT) || 7070;
+const token = process.env.SIGNER_REMOTE_TOKEN || '';
+
+if (!process.env.STANDIN_SEED) {
+  console.error('❌ STANDIN_SEED manquant');
+  process.exit(1);
+}
+
+const wallet = Wallet.fromSeed(process.env.STANDIN_SEED);
+const app = express();
+
+app.use(express.json());
+
+// Authentification par jeton partagé
+app.use((req, res, next) => {
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+});
+
+app.get('/address', (req, res) => {
+  res.json({ address: wallet.address });
+});
+
+app.post('/sign', (req, res) => {
+  const tx = req.body?.tx_json;
+
+  if (!tx || tx.Account !== wallet.address) {
+    return res.status(400).json({ message: 'tx_json must be a transaction from ' + wallet.address });
+  }
+
+  try {
+    const signed = wallet.sign(tx);
+    console.log(`✍️ Signed ${tx.TransactionType} ${signed.hash}`);
+    res.json({ tx_blob: signed.tx_blob, hash: signed.hash });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+app.listen(port, '127.0.0.1', () => {
+  console.log(`🔏 Remote signer stand-in for ${wallet.address} on http://127.0.0.1:${port}`);
+});
@@ -1,11 +1,35 @@
 import express from 'express';
+import { body, query } from 'express-validator';
 import {
   getAdminStats,
   getAllUsers,
   getUserById,
   updateUserRole,
   deleteUser,
-  getPlatformActivity
+  getPlatformActivity,
+  getPayoutJobs,
+  getPayoutJobById,
+  retryPayoutJob,
+  cancelPayoutJob,
+  getUnattributedPayments,
+  assignUnattributedPayment,
+  markUnattributedPaymentForRefund,
+  refundTip,
+  getSignerStatus,
+  unlockSigner,
+  lockSigner,
+  getSigningRequests,
+  getSigningRequestById,
+  importSignedTransaction,
+  sweepPlatformWallet,
+  getPendingTipReconciliation,
+  runPendingTipReconciliation,
+  getFeeSchedules,
+  previewFees,
+  getFeeScheduleById,
+  createFeeSchedule,
+  updateFeeSchedule,
+  deleteFeeSchedule
 } from '../controllers/adminController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -14,6 +38,71 @@ const router = express.Router();
 // Middleware pour toutes les routes admin
 const adminOnly = [protect, authorize('admin')];
 
+// Validation middleware
+const feeScheduleValidation = (isUpdate) => [
+  body('name')
+    .if(() => !isUpdate).notEmpty().withMessage('Name is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('creatorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid creator id'),
+  body('tiers')
+    .if(() => !isUpdate).exists().withMessage('Tiers are required'),
+  body('tiers')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Tiers must be a non-empty array'),
+  body('tiers.*.percentage')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tier percentage must be between 0 and 1 (0.05 = 5%)'),
+  body('tiers.*.minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tier minAmount must be positive'),
+  body(['minAmountForFees', 'minFee'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Must be a positive number'),
+  body('maxFee')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('maxFee must be a positive number'),
+  body(['effectiveFrom', 'effectiveUntil'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Must be an ISO 8601 date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const feeListValidation = [
+  query('creator')
+    .optional()
+    .custom(v => v === 'default' || /^[a-f0-9]{24}$/.test(v))
+    .withMessage('creator must be a creator id or "default"')
+];
+
+const feePreviewValidation = [
+  query('amount')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Amount must be greater than 0'),
+  query('creator')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid creator id'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('date must be an ISO 8601 date')
+];
+
 // Stats routes
 router.get('/stats', adminOnly, getAdminStats);
 router.get('/activity', adminOnly, getPlatformActivity);
@@ -24,4 +113,39 @@ router.get('/users/:id', adminOnly, getUserById);
 router.put('/users/:id/role', adminOnly, updateUserRole);
 router.delete('/users/:id', adminOnly, deleteUser);
 
+// Payout queue routes
+router.get('/payout-jobs', adminOnly, getPayoutJobs);
+router.get('/payout-jobs/:id', adminOnly, getPayoutJobById);
+router.post('/payout-jobs/:id/retry', adminOnly, retryPayoutJob);
+router.post('/payout-jobs/:id/cancel', adminOnly, cancelPayoutJob);
+
+// Unattributed payments routes
+router.get('/unattributed-payments', adminOnly, getUnattributedPayments);
+router.post('/unattributed-payments/:id/assign', adminOnly, assignUnattributedPayment);
+router.post('/unattributed-payments/:id/refund', adminOnly, markUnattributedPaymentForRefund);
+
+// Refunds
+router.post('/tips/:id/refund', adminOnly, refundTip);
+
+// Platform wallet signer
+router.get('/signer', adminOnly, getSignerStatus);
+router.post('/signer/unlock', adminOnly, unlockSigner);
+router.post('/signer/lock', adminOnly, lockSigner);
+router.get('/signing-requests', adminOnly, getSigningRequests);
+router.get('/signing-requests/:id', adminOnly, getSigningRequestById);
+router.post('/signing-requests/:id/signed', adminOnly, importSignedTransaction);
+router.post('/platform-wallet/sweep', adminOnly, sweepPlatformWallet);
+
+// Tips en attente (rapprochement et expiration)
+router.get('/pending-tips/reconciliation', adminOnly, getPendingTipReconciliation);
+router.post('/pending-tips/reconciliation/run', adminOnly, runPendingTipReconciliation);
+
+// Fee schedules
+router.get('/fee-schedules', adminOnly, feeListValidation, getFeeSchedules);
+router.get('/fee-schedules/preview', adminOnly, feePreviewValidation, previewFees);
+router.get('/fee-schedules/:id', adminOnly, getFeeScheduleById);
+router.post('/fee-schedules', adminOnly, feeScheduleValidation(false), createFeeSchedule);
+router.put('/fee-schedules/:id', adminOnly, feeScheduleValidation(true), updateFeeSchedule);
+router.delete('/fee-schedules/:id', adminOnly, deleteFeeSchedule);
+
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   createCreator,
   getCreatorByUsername,
@@ -7,8 +7,47 @@ import {
   getAllCreators,
   deleteCreator,
   checkUsernameAvailability,
-  getMyCreatorProfile
+  getMyCreatorProfile,
+  getMyBalance,
+  updateMyPayoutPolicy,
+  getMyPayouts,
+  getMyPayoutById,
+  getCreatorPaymentQr
 } from '../controllers/creatorController.js';
+import {
+  getMyOverlaySettings,
+  updateMyOverlaySettings,
+  regenerateMyOverlayToken,
+  getMyOverlayAlerts,
+  sendMyOverlayTestAlert,
+  replayMyOverlayAlert
+} from '../controllers/overlayController.js';
+import {
+  getMyWebhooks,
+  createMyWebhook,
+  updateMyWebhook,
+  deleteMyWebhook,
+  rotateMyWebhookSecret,
+  pingMyWebhook,
+  getMyWebhookDeliveries,
+  resendMyWebhookDelivery
+} from '../controllers/webhookController.js';
+import {
+  getMyAnnouncementChannels,
+  createMyAnnouncementChannel,
+  updateMyAnnouncementChannel,
+  deleteMyAnnouncementChannel,
+  testMyAnnouncementChannel
+} from '../controllers/announcementController.js';
+import {
+  getCreatorGoals,
+  getMyGoals,
+  createMyGoal,
+  updateMyGoal,
+  cancelMyGoal
+} from '../controllers/goalController.js';
+import { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import { ANNOUNCEMENT_PROVIDERS } from '../models/AnnouncementChannel.js';
 import { protect, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -43,11 +82,276 @@ const creatorValidation = [
     .withMessage('Invalid Twitch URL')
 ];
 
+const payoutPolicyValidation = [
+  body('mode')
+    .isIn(['immediate', 'daily', 'weekly', 'threshold'])
+    .withMessage('Mode must be immediate, daily, weekly or threshold'),
+  body('threshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.000001 })
+    .withMessage('Threshold must be greater than 0')
+];
+
+const payoutHistoryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'failed'])
+    .withMessage('Invalid payout status')
+];
+
+const paymentQrValidation = [
+  query('format')
+    .optional()
+    .isIn(['svg', 'png', 'json'])
+    .withMessage('Format must be svg, png or json'),
+  query('scheme')
+    .optional()
+    .isIn(['xrpl', 'ripple'])
+    .withMessage('Scheme must be xrpl or ripple'),
+  query('amount')
+    .optional()
+    .isFloat({ min: 0.000001 })
+    .withMessage('Amount must be greater than 0'),
+  query('memo')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Memo must be less than 200 characters'),
+  query('size')
+    .optional()
+    .isInt({ min: 64, max: 1024 })
+    .withMessage('Size must be between 64 and 1024 pixels'),
+  query(['dark', 'light'])
+    .optional()
+    .matches(/^#?[0-9A-F]{6}$/i)
+    .withMessage('Colors must be hex (RRGGBB)'),
+  query('ecc')
+    .optional()
+    .isIn(['L', 'M', 'Q', 'H'])
+    .withMessage('Error correction level must be L, M, Q or H')
+];
+
+const overlaySettingsValidation = [
+  body(['enabled', 'hideLinks', 'ttsEnabled'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled, hideLinks and ttsEnabled must be booleans'),
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be positive'),
+  body('alertDuration')
+    .optional()
+    .isInt({ min: 2, max: 60 })
+    .withMessage('Alert duration must be between 2 and 60 seconds'),
+  body('blockedWords')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('blockedWords must be an array (max 100 words)'),
+  body('blockedWords.*')
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Blocked words must be less than 50 characters')
+];
+
+const createWebhookValidation = [
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Invalid webhook URL'),
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be ${WEBHOOK_EVENTS.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Description must be less than 100 characters')
+];
+
+const updateWebhookValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Invalid webhook URL'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be ${WEBHOOK_EVENTS.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Description must be less than 100 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean')
+];
+
+const webhookDeliveriesValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook id'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'succeeded', 'failed'])
+    .withMessage('Invalid delivery status'),
+  query('event')
+    .optional()
+    .isIn([...WEBHOOK_EVENTS, 'ping'])
+    .withMessage('Invalid event')
+];
+
+const announcementChannelValidation = [
+  body('provider')
+    .isIn(ANNOUNCEMENT_PROVIDERS)
+    .withMessage(`Provider must be ${ANNOUNCEMENT_PROVIDERS.join(' or ')}`),
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Invalid webhook URL')
+];
+
+const updateAnnouncementChannelValidation = [
+  param('id').isMongoId().withMessage('Invalid announcement channel id'),
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Invalid webhook URL')
+];
+
+const announcementSettingsValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Name must be less than 50 characters'),
+  body('template')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Template must be less than 500 characters'),
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be positive'),
+  body('perMinuteCap')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Per-minute cap must be between 1 and 30'),
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean')
+];
+
+const goalDeadlineValidation = body('deadline')
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('Deadline must be an ISO 8601 date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Deadline must be in the future');
+
+const createGoalValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 80 })
+    .withMessage('Title must be 1-80 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('target')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Target must be greater than 0'),
+  body('currency')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage('Invalid currency code'),
+  body('issuer')
+    .if(body('currency').exists({ checkFalsy: true }).not().equals('XRP'))
+    .trim()
+    .matches(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/)
+    .withMessage('Token goals require a valid issuer address'),
+  body('mode')
+    .optional()
+    .isIn(['all', 'earmarked'])
+    .withMessage('Mode must be all or earmarked'),
+  goalDeadlineValidation
+];
+
+const updateGoalValidation = [
+  param('goalId').isMongoId().withMessage('Invalid goal id'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 80 })
+    .withMessage('Title must be 1-80 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('target')
+    .optional()
+    .isFloat({ min: 0.000001 })
+    .withMessage('Target must be greater than 0'),
+  goalDeadlineValidation
+];
+
 // Routes
 router.get('/', getAllCreators);
 router.get('/me/profile', protect, getMyCreatorProfile);
+router.get('/me/balance', protect, getMyBalance);
+router.put('/me/payout-policy', protect, payoutPolicyValidation, updateMyPayoutPolicy);
+router.get('/me/payouts', protect, payoutHistoryValidation, getMyPayouts);
+router.get('/me/payouts/:id', protect, param('id').isMongoId(), getMyPayoutById);
+router.get('/me/overlay', protect, getMyOverlaySettings);
+router.put('/me/overlay', protect, overlaySettingsValidation, updateMyOverlaySettings);
+router.post('/me/overlay/token', protect, regenerateMyOverlayToken);
+router.get('/me/overlay/alerts', protect, getMyOverlayAlerts);
+router.post('/me/overlay/test', protect, sendMyOverlayTestAlert);
+router.post('/me/overlay/alerts/:id/replay', protect, param('id').isMongoId(), replayMyOverlayAlert);
+router.get('/me/webhooks', protect, getMyWebhooks);
+router.post('/me/webhooks', protect, createWebhookValidation, createMyWebhook);
+router.put('/me/webhooks/:id', protect, updateWebhookValidation, updateMyWebhook);
+router.delete('/me/webhooks/:id', protect, param('id').isMongoId(), deleteMyWebhook);
+router.post('/me/webhooks/:id/secret', protect, param('id').isMongoId(), rotateMyWebhookSecret);
+router.post('/me/webhooks/:id/ping', protect, param('id').isMongoId(), pingMyWebhook);
+router.get('/me/webhooks/:id/deliveries', protect, webhookDeliveriesValidation, getMyWebhookDeliveries);
+router.post('/me/webhooks/:id/deliveries/:deliveryId/resend', protect, param(['id', 'deliveryId']).isMongoId(), resendMyWebhookDelivery);
+router.get('/me/announcements', protect, getMyAnnouncementChannels);
+router.post('/me/announcements', protect, announcementChannelValidation, announcementSettingsValidation, createMyAnnouncementChannel);
+router.put('/me/announcements/:id', protect, updateAnnouncementChannelValidation, announcementSettingsValidation, updateMyAnnouncementChannel);
+router.delete('/me/announcements/:id', protect, param('id').isMongoId(), deleteMyAnnouncementChannel);
+router.post('/me/announcements/:id/test', protect, param('id').isMongoId(), testMyAnnouncementChannel);
+router.get('/me/goals', protect, getMyGoals);
+router.post('/me/goals', protect, createGoalValidation, createMyGoal);
+router.put('/me/goals/:goalId', protect, updateGoalValidation, updateMyGoal);
+router.delete('/me/goals/:goalId', protect, param('goalId').isMongoId(), cancelMyGoal);
 router.get('/check-username/:username', checkUsernameAvailability);
 router.get('/:username', getCreatorByUsername);
+router.get('/:username/payment-qr', paymentQrValidation, getCreatorPaymentQr);
+router.get('/:username/goals', getCreatorGoals);
 router.post('/', protect, creatorValidation, createCreator);
 router.put('/:username', protect, creatorValidation, updateCreator);
 router.delete('/:username', protect, deleteCreator);
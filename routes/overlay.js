@@ -0,0 +1,15 @@
+import express from 'express';
+import { param } from 'express-validator';
+import {
+  getOverlayFeed,
+  acknowledgeOverlayAlert
+} from '../controllers/overlayController.js';
+
+const router = express.Router();
+
+// Routes (authentifiées par le token d'overlay du créateur, header X-Overlay-Token :
+// un token dans l'URL finirait dans les logs d'accès)
+router.get('/alerts', getOverlayFeed);
+router.post('/alerts/:id/ack', param('id').isMongoId(), acknowledgeOverlayAlert);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  createSignRequest,
+  getSignRequest,
+  cancelSignRequest,
+  signRequestCallback,
+  getMockPayload,
+  resolveMockPayload
+} from '../controllers/signRequestController.js';
+
+const router = express.Router();
+
+// Validation middleware
+const signRequestValidation = [
+  body('tipId')
+    .isMongoId()
+    .withMessage('A valid tipId is required')
+];
+
+const mockDecisionValidation = [
+  param('decision')
+    .isIn(['sign', 'reject'])
+    .withMessage('Decision must be sign or reject'),
+  body('account')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/)
+    .withMessage('Invalid XRP address format')
+];
+
+// Routes
+router.post('/', signRequestValidation, createSignRequest);
+router.post('/callback/:provider', signRequestCallback);
+router.get('/mock/:providerId', getMockPayload);
+router.post('/mock/:providerId/:decision', mockDecisionValidation, resolveMockPayload);
+router.get('/:id', param('id').isMongoId(), getSignRequest);
+router.post('/:id/cancel', param('id').isMongoId(), cancelSignRequest);
+
+export default router;
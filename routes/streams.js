@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  createStreamTicket,
+  streamCreatorTips,
+  streamAllTips
+} from '../controllers/streamController.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Routes (Server-Sent Events)
+router.post('/ticket', protect, createStreamTicket);
+router.get('/creators/:username', optionalAuth, streamCreatorTips);
+router.get('/admin', optionalAuth, streamAllTips);
+
+export default router;
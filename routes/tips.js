@@ -1,14 +1,24 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   createTip,
   getTipsByCreator,
   confirmTip,
-  getTipStats
+  getTipStats,
+  getAcceptedCurrencies,
+  getTipQuote
 } from '../controllers/tipController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Chaque devis est enregistré : limiter les créations par IP
+const quoteLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.TIP_QUOTE_RATE_LIMIT) || 10,
+  message: 'Too many quote requests, please try again in a minute'
+});
+
 // Validation middleware
 const tipValidation = [
   body('creatorUsername')
@@ -18,11 +28,30 @@ const tipValidation = [
   body('amount')
     .isFloat({ min: 0.000001 })
     .withMessage('Amount must be greater than 0'),
+  body('currency')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage('Invalid currency code'),
+  body('issuer')
+    .if(body('currency').exists({ checkFalsy: true }).not().equals('XRP'))
+    .trim()
+    .matches(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/)
+    .withMessage('Token tips require a valid issuer address'),
   body('senderAddress')
     .optional({ checkFalsy: true })
     .trim()
     .matches(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/)
     .withMessage('Invalid XRP address format'),
+  body('goalId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid goal id'),
+  body('senderName')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Sender name must be less than 50 characters'),
   body('message')
     .optional({ checkFalsy: true })
     .trim()
@@ -30,8 +59,30 @@ const tipValidation = [
     .withMessage('Message must be less than 200 characters')
 ];
 
+const quoteValidation = [
+  query('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Creator username is required'),
+  query('amount')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Amount must be greater than 0'),
+  query('currency')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage('Invalid currency code'),
+  query('issuer')
+    .if(query('currency').exists({ checkFalsy: true }).not().equals('XRP'))
+    .trim()
+    .matches(/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/)
+    .withMessage('Token quotes require a valid issuer address')
+];
+
 // Routes
 router.post('/', tipValidation, createTip);
+router.get('/currencies', getAcceptedCurrencies);
+router.get('/quote', quoteLimiter, quoteValidation, getTipQuote);
 router.get('/creator/:username', getTipsByCreator);
 router.get('/stats/:username', getTipStats);
 router.put('/:tipId/confirm', confirmTip);
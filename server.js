@@ -9,7 +9,16 @@ import xrplRoutes from './routes/xrpl.js';
 import authRoutes from './routes/auth.js';
 import uploadRoutes from './routes/upload.js';
 import xrplService from './services/xrplService.js';
+import xrplClient from './services/xrplClient.js';
+import pendingTipReconciler from './services/pendingTipReconciler.js';
+import overlayService from './services/overlayService.js';
+import webhookService from './services/webhookService.js';
+import announcementService from './services/announcementService.js';
 import adminRoutes from './routes/admin.js';
+import signRequestRoutes from './routes/signRequests.js';
+import streamRoutes from './routes/streams.js';
+import overlayRoutes from './routes/overlay.js';
+import { jsonReplacer } from './utils/money.js';
 
 // Initialize Express app
 const app = express();
@@ -18,12 +27,26 @@ const PORT = process.env.PORT || 5000;
 // Connect to MongoDB
 connectDB();
 
-// Initialize XRPL Service
-xrplService.initialize().catch(err => {
+// Alertes d'overlay et annonces Discord / Slack alimentées par les tips confirmés
+overlayService.start();
+announcementService.start();
+
+// Webhooks sortants des créateurs (file persistante)
+webhookService.start().catch(err => {
+  console.error('⚠️  Webhook worker failed to start:', err.message);
+});
+
+// Initialize XRPL Service (puis rapprochement des tips en attente)
+xrplService.initialize().then(() => pendingTipReconciler.start()).catch(err => {
   console.error('⚠️  XRPL Service failed to initialize:', err.message);
   console.log('⚡ Server will continue without XRPL features');
 });
 
+// Derrière un reverse proxy : IP réelle du client (limitation des requêtes), ex. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors({
@@ -32,6 +55,7 @@ app.use(cors({
 }));
 app.use(morgan('dev')); // Logging
 app.use(express.json()); // Parse JSON bodies
+app.set('json replacer', jsonReplacer); // Montants BigInt (drops) -> chaînes décimales exactes
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Health check endpoint
@@ -39,7 +63,8 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     message: 'xrpTip API is running',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    xrpl: xrplClient.getStatus()
   });
 });
 
@@ -50,6 +75,9 @@ app.use('/api/creators', creatorRoutes);
 app.use('/api/tips', tipRoutes);
 app.use('/api/xrpl', xrplRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/sign-requests', signRequestRoutes);
+app.use('/api/streams', streamRoutes);
+app.use('/api/overlay', overlayRoutes);
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
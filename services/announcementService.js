@@ -0,0 +1,322 @@
+import Creator from '../models/Creator.js';
+import AnnouncementChannel from '../models/AnnouncementChannel.js';
+import tipEvents from './tipEvents.js';
+import { fromCurrencyCode, isXrp } from '../config/tokens.js';
+import { fromDrops, toDrops } from '../utils/money.js';
+import { getThemeColor } from '../utils/paymentQr.js';
+
+// Configuration des annonces Discord / Slack
+const ANNOUNCEMENT_CONFIG = {
+  timeout: parseInt(process.env.ANNOUNCEMENT_TIMEOUT) || 10000, // ms
+  // Erreurs réseau, 429 et 5xx : quelques essais rapprochés (l'annonce doit rester récente)
+  maxAttempts: parseInt(process.env.ANNOUNCEMENT_MAX_ATTEMPTS) || 3,
+  retryDelay: parseInt(process.env.ANNOUNCEMENT_RETRY_DELAY) || 2000, // ms, doublé à chaque échec
+  maxRetryDelay: 30 * 1000,
+  // Tips confirmés plus anciens non annoncés (rattrapage de l'historique)
+  maxAge: 15 * 60 * 1000,
+  maxChannelsPerCreator: 5,
+  maxRecentFailures: 10
+};
+
+// URLs de webhooks entrants acceptées en production
+const PROVIDER_URL_PATTERNS = {
+  discord: /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/,
+  slack: /^https:\/\/hooks\.slack\.com\/(?:services|workflows|triggers)\/[\w/-]+$/
+};
+
+const ANONYMOUS_NAME = 'Anonymous';
+
+/**
+ * Annonces des tips confirmés dans les salons communautaires des créateurs
+ * (webhooks entrants Discord en embed, Slack en blocks)
+ */
+class AnnouncementService {
+  constructor() {
+    this.listener = null;
+  }
+
+  /**
+   * S'abonner aux tips confirmés
+   */
+  start() {
+    if (this.listener) {
+      return;
+    }
+
+    this.listener = (event) => {
+      if (event.type !== 'tip.confirmed' || !event.creator) {
+        return;
+      }
+
+      this.announceTip(event).catch((error) => {
+        console.error(`❌ Error announcing tip ${event.tip.id}:`, error);
+      });
+    };
+
+    tipEvents.on('event', this.listener);
+    console.log('📣 Tip announcements listening to confirmed tips');
+  }
+
+  stop() {
+    if (this.listener) {
+      tipEvents.off('event', this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Vérifier l'URL d'un webhook entrant (domaine du fournisseur en production)
+   */
+  assertValidUrl(provider, value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw Object.assign(new Error('Invalid webhook URL'), { status: 400 });
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      if (!PROVIDER_URL_PATTERNS[provider].test(value)) {
+        throw Object.assign(new Error(`URL is not a ${provider} incoming webhook`), { status: 400 });
+      }
+    } else if (!['http:', 'https:'].includes(url.protocol)) {
+      throw Object.assign(new Error('Webhook URL must use HTTP(S)'), { status: 400 });
+    }
+  }
+
+  /**
+   * Ajouter un salon (nombre limité par créateur)
+   */
+  async createChannel(creator, { provider, url, name, template, minAmount, perMinuteCap }) {
+    this.assertValidUrl(provider, url);
+
+    const count = await AnnouncementChannel.countDocuments({ creator: creator._id });
+    if (count >= ANNOUNCEMENT_CONFIG.maxChannelsPerCreator) {
+      throw Object.assign(new Error(`Maximum ${ANNOUNCEMENT_CONFIG.maxChannelsPerCreator} announcement channels per creator`), { status: 409 });
+    }
+
+    return AnnouncementChannel.create({
+      creator: creator._id,
+      provider,
+      url,
+      name,
+      template,
+      minAmount: minAmount !== undefined ? toDrops(minAmount) : undefined,
+      perMinuteCap
+    });
+  }
+
+  /**
+   * Annoncer un tip confirmé dans les salons actifs du créateur
+   */
+  async announceTip(event) {
+    const confirmedAt = new Date(event.tip.confirmedAt || event.at);
+    if (Date.now() - confirmedAt.getTime() > ANNOUNCEMENT_CONFIG.maxAge) {
+      return;
+    }
+
+    const channels = await AnnouncementChannel.find({ creator: event.creator, isActive: true });
+    if (channels.length === 0) {
+      return;
+    }
+
+    const creator = await Creator.findById(event.creator);
+    if (!creator || !creator.isActive) {
+      return;
+    }
+
+    // Montant envoyé par le tippeur (avant frais) ; minimum exprimé en XRP
+    const amount = event.private.totalAmount ?? event.tip.amount;
+    const xrp = isXrp(event.tip.currency);
+
+    // Salons en parallèle : les retries d'un salon ne retardent pas les autres
+    await Promise.all(channels.map(async (channel) => {
+      if (xrp && amount < channel.minAmount) {
+        return;
+      }
+
+      if (!await AnnouncementChannel.takeSlot(channel)) {
+        await AnnouncementChannel.updateOne({ _id: channel._id }, { $inc: { 'stats.capped': 1 } });
+        return;
+      }
+
+      await this.send(channel, creator, {
+        tipId: event.tip.id,
+        senderName: event.tip.senderName,
+        amount,
+        currency: event.tip.currency,
+        message: event.tip.message,
+        at: confirmedAt
+      });
+    }));
+  }
+
+  /**
+   * Envoyer une annonce de test (plafond et montant minimum ignorés, sans retry :
+   * le créateur attend le résultat)
+   */
+  async sendTest(channel, creator) {
+    return this.send(channel, creator, {
+      tipId: null,
+      senderName: 'xrpTip',
+      amount: channel.minAmount > 0n ? channel.minAmount : toDrops(1),
+      currency: 'XRP',
+      message: 'This is a test announcement',
+      at: new Date()
+    }, { maxAttempts: 1 });
+  }
+
+  /**
+   * Remplacer les placeholders {nom} du modèle (placeholders inconnus laissés tels quels)
+   */
+  renderTemplate(template, values) {
+    return template
+      .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Corps de la requête selon le fournisseur
+   */
+  buildPayload(channel, creator, { senderName, amount, currency, message, at }) {
+    const values = {
+      senderName: senderName || ANONYMOUS_NAME,
+      amount: fromDrops(amount),
+      currency: fromCurrencyCode(currency || 'XRP'),
+      message: message || '',
+      creator: creator.displayName,
+      username: creator.username
+    };
+
+    if (channel.provider === 'slack') {
+      // Échapper les caractères de contrôle Slack (<@U123>, <!channel>...) des champs saisis par le tippeur
+      const escaped = Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')])
+      );
+      const text = this.renderTemplate(channel.template, escaped);
+
+      return {
+        text,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `${escaped.amount} ${escaped.currency} · xrpTip` }]
+          }
+        ]
+      };
+    }
+
+    return {
+      username: 'xrpTip',
+      // Aucune mention (@everyone, @here, utilisateurs) ne doit notifier le salon
+      allowed_mentions: { parse: [] },
+      embeds: [{
+        title: `New tip for ${values.creator}`,
+        description: this.renderTemplate(channel.template, values),
+        color: parseInt(getThemeColor(creator.theme).slice(1), 16),
+        fields: [
+          { name: 'Amount', value: `${values.amount} ${values.currency}`, inline: true },
+          { name: 'From', value: values.senderName, inline: true }
+        ],
+        timestamp: at.toISOString()
+      }]
+    };
+  }
+
+  /**
+   * Envoyer une annonce (avec retries) et enregistrer le résultat sur le salon
+   * Retourne { ok, responseStatus, error, attempts }
+   */
+  async send(channel, creator, announcement, { maxAttempts = ANNOUNCEMENT_CONFIG.maxAttempts } = {}) {
+    const body = JSON.stringify(this.buildPayload(channel, creator, announcement));
+    let result;
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      result = await this.post(channel.url, body);
+
+      // 4xx (hors 429) : URL supprimée ou payload refusé, inutile de réessayer
+      const retryable = result.responseStatus === null || result.responseStatus === 429 || result.responseStatus >= 500;
+      if (!result.error || !retryable || attempts >= maxAttempts) {
+        break;
+      }
+
+      const delay = Math.min(
+        result.retryAfter ?? ANNOUNCEMENT_CONFIG.retryDelay * 2 ** (attempts - 1),
+        ANNOUNCEMENT_CONFIG.maxRetryDelay
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const { responseStatus, error } = result;
+
+    if (error) {
+      await AnnouncementChannel.updateOne(
+        { _id: channel._id },
+        {
+          $inc: { 'stats.failed': 1, consecutiveFailures: 1 },
+          $push: {
+            recentFailures: {
+              $each: [{ at: new Date(), responseStatus, error, attempts, tip: announcement.tipId }],
+              $slice: -ANNOUNCEMENT_CONFIG.maxRecentFailures
+            }
+          }
+        }
+      );
+      console.error(`❌ ${channel.provider} announcement failed for ${creator.username} (channel ${channel._id}, ${attempts} attempt${attempts > 1 ? 's' : ''}): ${error}`);
+    } else {
+      await AnnouncementChannel.updateOne(
+        { _id: channel._id },
+        { $inc: { 'stats.sent': 1 }, $set: { lastSentAt: new Date(), consecutiveFailures: 0 } }
+      );
+      console.log(`📣 Tip announced on ${channel.provider} for ${creator.username}`);
+    }
+
+    return { ok: !error, responseStatus, error, attempts };
+  }
+
+  /**
+   * Une requête vers le webhook entrant
+   * Retourne { responseStatus, error, retryAfter } (retryAfter en ms, 429 Discord / Slack)
+   */
+  async post(url, body) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(ANNOUNCEMENT_CONFIG.timeout)
+      });
+
+      const text = await response.text().catch(() => '');
+
+      if (response.ok) {
+        return { responseStatus: response.status, error: null, retryAfter: null };
+      }
+
+      const retryAfterHeader = parseFloat(response.headers.get('retry-after'));
+
+      return {
+        responseStatus: response.status,
+        error: `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`,
+        retryAfter: Number.isNaN(retryAfterHeader) ? null : retryAfterHeader * 1000
+      };
+    } catch (requestError) {
+      return {
+        responseStatus: null,
+        error: requestError.name === 'TimeoutError'
+          ? `Timeout after ${ANNOUNCEMENT_CONFIG.timeout}ms`
+          : `${requestError.message}${requestError.cause?.code ? ` (${requestError.cause.code})` : ''}`,
+        retryAfter: null
+      };
+    }
+  }
+}
+
+const announcementService = new AnnouncementService();
+
+export default announcementService;
@@ -0,0 +1,191 @@
+import Creator from '../models/Creator.js';
+import OverlayAlert from '../models/OverlayAlert.js';
+import tipEvents from './tipEvents.js';
+import { fromCurrencyCode, isXrp } from '../config/tokens.js';
+import { fromDrops, toDrops } from '../utils/money.js';
+
+// Configuration des alertes d'overlay
+const OVERLAY_CONFIG = {
+  // Au-delà, une alerte jamais affichée n'est plus servie (overlay hors ligne)
+  maxAge: (parseInt(process.env.OVERLAY_ALERT_MAX_AGE_MINUTES) || 30) * 60 * 1000,
+  // Alertes renvoyées par appel au flux
+  feedLimit: 10
+};
+
+const ANONYMOUS_NAME = 'Anonymous';
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u200D\uFE0F]/gu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Alertes à l'écran des lives : file par créateur, alimentée par les tips confirmés
+ * du wallet plateforme et lue par l'overlay (URL avec token secret)
+ */
+class OverlayService {
+  constructor() {
+    this.listener = null;
+  }
+
+  /**
+   * S'abonner aux tips confirmés
+   */
+  start() {
+    if (this.listener) {
+      return;
+    }
+
+    this.listener = (event) => {
+      if (event.type !== 'tip.confirmed' || event.private.source !== 'platform') {
+        return;
+      }
+
+      this.queueTipAlert(event).catch((error) => {
+        console.error(`❌ Error queuing overlay alert for tip ${event.tip.id}:`, error);
+      });
+    };
+
+    tipEvents.on('event', this.listener);
+    console.log('🎬 Overlay alerts listening to confirmed tips');
+  }
+
+  stop() {
+    if (this.listener) {
+      tipEvents.off('event', this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Mettre en file l'alerte d'un tip confirmé (selon les réglages du créateur)
+   */
+  async queueTipAlert(event) {
+    const creator = await Creator.findById(event.creator);
+    if (!creator || !creator.isActive || !creator.overlay.enabled) {
+      return null;
+    }
+
+    // Montant envoyé par le tippeur (avant frais) ; minimum exprimé en XRP
+    const amount = event.private.totalAmount ?? event.tip.amount;
+    if (isXrp(event.tip.currency) && amount < creator.overlay.minAmount) {
+      return null;
+    }
+
+    try {
+      return await OverlayAlert.create({
+        creator: creator._id,
+        tip: event.tip.id,
+        ...this.buildAlert(creator, {
+          senderName: event.tip.senderName,
+          amount,
+          currency: event.tip.currency,
+          message: event.tip.message
+        })
+      });
+    } catch (error) {
+      // Tip déjà en file (événement publié deux fois)
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mettre en file une alerte de test (montant minimum ignoré)
+   */
+  async queueTestAlert(creator) {
+    return OverlayAlert.create({
+      creator: creator._id,
+      test: true,
+      ...this.buildAlert(creator, {
+        senderName: 'xrpTip',
+        amount: creator.overlay.minAmount > 0n ? creator.overlay.minAmount : toDrops(1),
+        currency: 'XRP',
+        message: 'This is a test alert 🎉'
+      })
+    });
+  }
+
+  /**
+   * Contenu d'une alerte : message filtré, durée et texte pour la synthèse vocale
+   */
+  buildAlert(creator, { senderName, amount, currency, message }) {
+    const settings = creator.overlay;
+    const name = senderName || ANONYMOUS_NAME;
+    const code = fromCurrencyCode(currency || 'XRP');
+    const filtered = this.filterMessage(message, settings);
+
+    return {
+      senderName: name,
+      amount,
+      currency: code,
+      message: filtered,
+      ttsText: settings.ttsEnabled ? this.buildTtsText(name, amount, code, filtered) : null,
+      duration: settings.alertDuration * 1000
+    };
+  }
+
+  /**
+   * Filtrer un message : liens retirés, mots bloqués masqués
+   */
+  filterMessage(message, settings) {
+    let text = message || '';
+
+    if (settings.hideLinks) {
+      text = text.replace(LINK_PATTERN, '');
+    }
+
+    for (const word of settings.blockedWords) {
+      if (!word) {
+        continue;
+      }
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu');
+      text = text.replace(pattern, '*'.repeat(word.length));
+    }
+
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Texte à lire : sans emoji ni mots masqués
+   */
+  buildTtsText(name, amount, currency, message) {
+    const spoken = message
+      .replace(EMOJI_PATTERN, '')
+      .replace(/\*{2,}/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const intro = `${name.replace(EMOJI_PATTERN, '').trim() || ANONYMOUS_NAME} tipped ${fromDrops(amount)} ${currency}.`;
+    return spoken ? `${intro} ${spoken}` : intro;
+  }
+
+  /**
+   * Alertes à afficher, dans l'ordre de mise en file
+   */
+  async getFeed(creator) {
+    return OverlayAlert.find({
+      creator: creator._id,
+      status: 'queued',
+      queuedAt: { $gte: new Date(Date.now() - OVERLAY_CONFIG.maxAge) }
+    })
+      .sort({ queuedAt: 1 })
+      .limit(OVERLAY_CONFIG.feedLimit);
+  }
+
+  /**
+   * Rejouer une alerte déjà reçue
+   */
+  async replay(creator, alertId) {
+    const alert = await OverlayAlert.findOne({ _id: alertId, creator: creator._id });
+    if (!alert) {
+      return null;
+    }
+    return alert.requeue();
+  }
+}
+
+const overlayService = new OverlayService();
+
+export default overlayService;
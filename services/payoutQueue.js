@@ -0,0 +1,522 @@
+import PayoutJob from '../models/PayoutJob.js';
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import UnattributedPayment from '../models/UnattributedPayment.js';
+import Payout from '../models/Payout.js';
+import CreatorLedgerEntry from '../models/CreatorLedgerEntry.js';
+import redistributionService from './redistributionService.js';
+import xrplClient from './xrplClient.js';
+import tipEvents from './tipEvents.js';
+import webhookService from './webhookService.js';
+
+// Configuration de la file de paiements
+const QUEUE_CONFIG = {
+  pollInterval: parseInt(process.env.PAYOUT_QUEUE_POLL_INTERVAL) || 15000, // ms
+  maxAttempts: parseInt(process.env.PAYOUT_QUEUE_MAX_ATTEMPTS) || 8,
+  baseDelay: 30 * 1000, // 30s, doublé à chaque échec
+  maxDelay: 6 * 60 * 60 * 1000, // 6h
+  deferredDelay: 60 * 1000 // signature en attente (keystore verrouillé, signature hors ligne)
+};
+
+/**
+ * File persistante des paiements sortants (redistributions, remboursements et
+ * versements groupés) avec retries exponentiels
+ */
+class PayoutQueue {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Démarrer le worker
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Jobs restés "processing" après un arrêt brutal : les remettre en file
+    // (l'intention enregistrée permet de retrouver un paiement déjà soumis)
+    const { modifiedCount } = await PayoutJob.updateMany(
+      { status: 'processing' },
+      { $set: { status: 'pending', nextAttemptAt: new Date() } }
+    );
+
+    if (modifiedCount > 0) {
+      console.log(`🔁 ${modifiedCount} payout job(s) requeued after restart`);
+    }
+
+    this.timer = setInterval(() => this.processDueJobs(), QUEUE_CONFIG.pollInterval);
+    console.log('✅ Payout queue started');
+
+    this.processDueJobs();
+  }
+
+  /**
+   * Arrêter le worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('✅ Payout queue stopped');
+    }
+  }
+
+  /**
+   * Mettre en file la redistribution d'un tip (idempotent)
+   */
+  async enqueue(tip) {
+    const job = await PayoutJob.findOneAndUpdate(
+      { tip: tip._id, kind: 'redistribution' },
+      {
+        $setOnInsert: {
+          creator: tip.creator,
+          sourceTxHash: tip.transactionHash,
+          destinationTag: tip.destinationTag ?? null,
+          sinceLedger: tip.ledgerIndex ?? await xrplClient.getValidatedLedgerIndex(),
+          amount: tip.totalAmount ?? tip.amount,
+          currency: tip.currency || 'XRP',
+          issuer: tip.issuer || null,
+          maxAttempts: QUEUE_CONFIG.maxAttempts,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📥 Payout job queued: ${job._id} (tip ${tip._id})`);
+
+    // Ne pas attendre le prochain tick du worker
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Mettre en file le remboursement d'un tip ou d'un paiement non attribué (idempotent)
+   */
+  async enqueueRefund({ tip = null, unattributedPayment = null, reason }) {
+    const source = tip || unattributedPayment;
+
+    // Le remboursement remplace la redistribution du tip (ou son crédit non encore versé)
+    if (tip) {
+      await PayoutJob.updateMany(
+        { tip: tip._id, kind: 'redistribution', status: { $in: ['pending', 'dead_letter'] } },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } }
+      );
+      await CreatorLedgerEntry.deleteOne({ tip: tip._id, type: 'credit', payout: null });
+    }
+
+    const filter = tip
+      ? { tip: tip._id, kind: 'refund' }
+      : { unattributedPayment: unattributedPayment._id, kind: 'refund' };
+
+    const job = await PayoutJob.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          creator: tip?.creator ?? undefined,
+          sourceTxHash: source.transactionHash,
+          destinationTag: source.destinationTag ?? null,
+          sinceLedger: source.ledgerIndex ?? await xrplClient.getValidatedLedgerIndex(),
+          amount: tip ? (tip.totalAmount ?? tip.amount) : (unattributedPayment.amount ?? 0n),
+          currency: source.currency || 'XRP',
+          issuer: source.issuer || null,
+          refundReason: reason,
+          maxAttempts: QUEUE_CONFIG.maxAttempts,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📥 Refund job queued: ${job._id} (${tip ? `tip ${tip._id}` : `payment ${unattributedPayment._id}`})`);
+
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Reprendre immédiatement un job (signature hors ligne importée, keystore déverrouillé)
+   */
+  async wake(filter = {}) {
+    await PayoutJob.updateMany(
+      { ...filter, status: 'pending' },
+      { $set: { nextAttemptAt: new Date() } }
+    );
+
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+  }
+
+  /**
+   * Mettre en file le règlement d'un versement groupé (idempotent)
+   */
+  async enqueuePayout(payout) {
+    const job = await PayoutJob.findOneAndUpdate(
+      { payout: payout._id, kind: 'payout' },
+      {
+        $setOnInsert: {
+          creator: payout.creator,
+          sourceTxHash: payout._id.toString(),
+          destinationTag: payout.destinationTag ?? null,
+          sinceLedger: payout.sinceLedger,
+          amount: payout.amount,
+          currency: payout.currency,
+          issuer: payout.issuer,
+          maxAttempts: QUEUE_CONFIG.maxAttempts,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📥 Payout job queued: ${job._id} (payout ${payout._id})`);
+
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Traiter tous les jobs arrivés à échéance, un par un
+   */
+  async processDueJobs() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Payout queue error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Réserver atomiquement le prochain job à échéance
+   */
+  claimNextJob() {
+    return PayoutJob.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Exécuter un job (échecs : retry planifié ou dead-letter)
+   */
+  async processJob(job) {
+    try {
+      if (job.kind === 'refund') {
+        await this.processRefund(job);
+      } else if (job.kind === 'payout') {
+        await this.processPayout(job);
+      } else {
+        await this.processRedistribution(job);
+      }
+    } catch (error) {
+      // Signature en attente : pas un échec, revenir plus tard
+      if (error.deferred) {
+        job.status = 'pending';
+        job.attempts = Math.max(job.attempts - 1, 0);
+        job.nextAttemptAt = new Date(Date.now() + QUEUE_CONFIG.deferredDelay);
+        job.lastError = error.message;
+        await job.save();
+        console.log(`✍️ Payout job ${job._id} waiting for signature: ${error.message}`);
+        return;
+      }
+
+      const delay = Math.min(
+        QUEUE_CONFIG.baseDelay * 2 ** (job.attempts - 1),
+        QUEUE_CONFIG.maxDelay
+      );
+
+      // Échec définitif : inutile de retenter
+      if (error.permanent) {
+        job.attempts = job.maxAttempts;
+      }
+
+      await job.recordFailure(error.message, delay);
+
+      if (job.status === 'dead_letter') {
+        console.error(`☠️ Payout job ${job._id} moved to dead-letter after ${job.attempts} attempts: ${error.message}`);
+
+        if (job.kind === 'payout') {
+          await Payout.updateOne({ _id: job.payout }, { $set: { status: 'failed' } });
+        }
+
+        // Redistribution abandonnée : signaler l'échec du tip
+        if (job.kind === 'redistribution') {
+          const tip = await Tip.findById(job.tip);
+          if (tip) {
+            tipEvents.publish('tip.failed', tip, { reason: `Redistribution failed: ${error.message}` });
+
+            // Définitivement rejetée : rembourser l'expéditeur
+            // (pas si un paiement au créateur n'a pas pu être exclu)
+            if (error.permanent && !error.unreconciled) {
+              await this.enqueueRefund({ tip, reason: `Payout rejected: ${error.message}` });
+            }
+          }
+        }
+      } else {
+        console.error(`❌ Payout job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retry in ${delay / 1000}s: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Exécuter une redistribution
+   */
+  async processRedistribution(job) {
+    const tip = await Tip.findById(job.tip);
+    if (!tip) {
+      throw new Error('Tip not found');
+    }
+
+    // Déjà payé (par exemple via processIncomingTransaction)
+    if (tip.redistributed) {
+      job.status = 'completed';
+      job.txHash = tip.redistributionTxHash;
+      job.completedAt = new Date();
+      await job.save();
+      return;
+    }
+
+    // Tip renvoyé à l'expéditeur : ne plus payer le créateur
+    if (tip.status === 'refunded') {
+      const error = new Error(`Tip refunded to sender (${tip.refundTxHash})`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const creator = await Creator.findById(job.creator);
+    if (!creator) {
+      throw new Error('Creator not found');
+    }
+
+    const redistribution = await redistributionService.redistributeTip(
+      {
+        hash: job.sourceTxHash,
+        destinationTag: job.destinationTag,
+        DestinationTag: job.destinationTag
+      },
+      creator.xrpAddress,
+      job.amount,
+      {
+        intent: job.intent,
+        sinceLedger: job.sinceLedger ?? tip.ledgerIndex ?? null,
+        currency: job.currency,
+        issuer: job.issuer,
+        // Répartition calculée à l'enregistrement du tip (grille de frais figée)
+        split: tip.creatorAmount != null
+          ? { creatorAmount: tip.creatorAmount, platformFee: tip.platformFee ?? 0n }
+          : null,
+        reference: job._id.toString(),
+        purpose: job.kind,
+        onSigned: (intent) => this.saveIntent(job, intent)
+      }
+    );
+
+    // Historique des versements du créateur
+    await Payout.recordRedistribution(tip, {
+      txHash: redistribution.txHash,
+      ledgerIndex: redistribution.ledgerIndex,
+      destination: creator.xrpAddress,
+      destinationTag: job.destinationTag
+    });
+
+    // Mettre à jour le tip
+    tip.redistributed = true;
+    tip.redistributionTxHash = redistribution.txHash;
+    await tip.save();
+
+    tipEvents.publish('tip.redistributed', tip);
+
+    await this.complete(job, redistribution.txHash);
+
+    // ✅ Mettre à jour les stats avec tous les tags valides
+    tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+
+    console.log(`✅ Redistribution complete: ${redistribution.txHash}`);
+  }
+
+  /**
+   * Exécuter un remboursement (tip non redistribuable ou paiement non attribué)
+   */
+  async processRefund(job) {
+    const tip = job.tip ? await Tip.findById(job.tip) : null;
+    const unattributed = job.unattributedPayment
+      ? await UnattributedPayment.findById(job.unattributedPayment)
+      : null;
+
+    if (!tip && !unattributed) {
+      throw new Error('Refund source not found');
+    }
+
+    // Le créateur a déjà été payé (ou va l'être) : ne pas rembourser en plus
+    if (tip?.redistributed || tip?.payout) {
+      const error = new Error(`Tip already redistributed (${tip.redistributionTxHash || `payout ${tip.payout}`})`);
+      error.permanent = true;
+      throw error;
+    }
+
+    if (tip?.status === 'refunded' || unattributed?.status === 'refunded') {
+      await this.complete(job, (tip || unattributed).refundTxHash);
+      return;
+    }
+
+    const refund = await redistributionService.refundPayment(job.sourceTxHash, {
+      intent: job.intent,
+      sinceLedger: job.sinceLedger ?? (tip || unattributed).ledgerIndex ?? null,
+      reference: job._id.toString(),
+      purpose: job.kind,
+      onSigned: (intent) => this.saveIntent(job, intent)
+    });
+
+    if (tip) {
+      await tip.markRefunded(refund.txHash, refund.amount, job.refundReason);
+
+      const creator = await Creator.findById(tip.creator);
+      if (creator) {
+        tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+      }
+    }
+
+    if (unattributed) {
+      await unattributed.markRefunded(refund.txHash, refund.amount);
+    }
+
+    await this.complete(job, refund.txHash);
+
+    console.log(`✅ Refund complete: ${refund.txHash}`);
+  }
+
+  /**
+   * Régler un versement groupé : un paiement, débit du solde, tips marqués payés
+   */
+  async processPayout(job) {
+    const payout = await Payout.findById(job.payout);
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+
+    if (payout.status === 'completed') {
+      await this.complete(job, payout.txHash);
+      return;
+    }
+
+    // Ledger de départ renseigné par l'admin lors d'un retry (payout créé sans borne)
+    const sinceLedger = payout.sinceLedger ?? job.sinceLedger;
+
+    // Sans borne, un versement déjà envoyé pourrait échapper à la recherche : ne jamais renvoyer
+    if (sinceLedger === null || sinceLedger === undefined) {
+      const error = new Error(`Payout ${payout._id} has no start ledger: check the platform wallet history, then retry with sinceLedger`);
+      error.permanent = true;
+      error.unreconciled = true;
+      throw error;
+    }
+
+    const settlement = await redistributionService.settlePayout(payout, {
+      intent: job.intent,
+      sinceLedger,
+      reference: job._id.toString(),
+      purpose: job.kind,
+      onSigned: (intent) => this.saveIntent(job, intent)
+    });
+
+    payout.status = 'completed';
+    payout.txHash = settlement.txHash;
+    payout.ledgerIndex = settlement.ledgerIndex;
+    payout.settledAt = new Date();
+    await payout.save();
+
+    // Débit du solde créateur (un seul par payout)
+    await CreatorLedgerEntry.findOneAndUpdate(
+      { payout: payout._id, type: 'debit' },
+      {
+        $setOnInsert: {
+          creator: payout.creator,
+          amount: payout.amount,
+          platformFee: payout.platformFee,
+          currency: payout.currency,
+          issuer: payout.issuer
+        }
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await Tip.updateMany(
+      { payout: payout._id },
+      { $set: { redistributed: true, redistributionTxHash: settlement.txHash } }
+    );
+
+    const paidTips = await Tip.find({ payout: payout._id });
+    paidTips.forEach(tip => tipEvents.publish('tip.redistributed', tip, { payout: payout._id.toString() }));
+
+    await this.complete(job, settlement.txHash);
+
+    webhookService.dispatch('payout.sent', payout.creator, {
+      eventId: `payout_${payout._id}`,
+      createdAt: payout.settledAt,
+      data: {
+        payout: {
+          id: payout._id,
+          amount: payout.amount,
+          platformFee: payout.platformFee,
+          currency: payout.currency,
+          issuer: payout.issuer,
+          destination: payout.destination,
+          destinationTag: payout.destinationTag,
+          tips: payout.tips.length,
+          txHash: payout.txHash,
+          ledgerIndex: payout.ledgerIndex,
+          settledAt: payout.settledAt
+        }
+      }
+    });
+
+    console.log(`✅ Payout complete: ${settlement.txHash} (${payout.tips.length} tips)`);
+  }
+
+  /**
+   * Persister la transaction signée avant soumission
+   */
+  async saveIntent(job, intent) {
+    job.intent = { ...intent, signedAt: new Date() };
+    await job.save();
+  }
+
+  /**
+   * Marquer un job comme terminé
+   */
+  async complete(job, txHash) {
+    job.status = 'completed';
+    job.txHash = txHash;
+    job.completedAt = new Date();
+    job.lastError = null;
+    await job.save();
+  }
+}
+
+const payoutQueue = new PayoutQueue();
+
+export default payoutQueue;
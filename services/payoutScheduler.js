@@ -0,0 +1,174 @@
+import CreatorLedgerEntry from '../models/CreatorLedgerEntry.js';
+import Creator from '../models/Creator.js';
+import Payout from '../models/Payout.js';
+import Tip from '../models/Tip.js';
+import xrplClient from './xrplClient.js';
+import payoutQueue from './payoutQueue.js';
+import { fromDrops, fromStored } from '../utils/money.js';
+
+// Configuration des versements groupés
+const SCHEDULER_CONFIG = {
+  interval: parseInt(process.env.PAYOUT_SCHEDULER_INTERVAL) || 10 * 60 * 1000 // ms
+};
+
+// Ancienneté du plus vieux tip dû avant versement
+const POLICY_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Versements groupés : les tips des créateurs en politique non immédiate sont
+ * crédités sur leur solde, puis réglés en un paiement (Payout) selon leur politique
+ */
+class PayoutScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Démarrer la planification
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runDuePayouts(), SCHEDULER_CONFIG.interval);
+    console.log('✅ Payout scheduler started');
+
+    this.runDuePayouts();
+  }
+
+  /**
+   * Arrêter la planification
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('✅ Payout scheduler stopped');
+    }
+  }
+
+  /**
+   * Créditer la part d'un tip au solde du créateur (idempotent)
+   */
+  async creditTip(tip) {
+    const entry = await CreatorLedgerEntry.credit(tip);
+    console.log(`🏦 Tip ${tip._id} credited to creator balance: ${fromDrops(entry.amount)} ${entry.currency}`);
+    return entry;
+  }
+
+  /**
+   * Créer les versements arrivés à échéance (un par créateur et par devise)
+   */
+  async runDuePayouts() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const groups = await CreatorLedgerEntry.aggregate([
+        { $match: { type: 'credit', payout: null } },
+        {
+          $group: {
+            _id: { creator: '$creator', currency: '$currency', issuer: '$issuer' },
+            total: { $sum: '$amount' },
+            oldest: { $min: '$createdAt' },
+            entries: { $push: '$_id' }
+          }
+        }
+      ]);
+
+      for (const group of groups) {
+        const creator = await Creator.findById(group._id.creator);
+
+        if (!creator) {
+          console.error(`❌ Creator ${group._id.creator} not found for owed balance`);
+          continue;
+        }
+
+        if (this.isDue(creator.payoutPolicy, group)) {
+          await this.createPayout(creator, group);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Payout scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Le solde dû doit-il être versé maintenant ?
+   */
+  isDue(policy, group) {
+    const mode = policy?.mode || 'immediate';
+
+    switch (mode) {
+      case 'daily':
+      case 'weekly':
+        return Date.now() - group.oldest.getTime() >= POLICY_PERIODS[mode];
+      case 'threshold':
+        return fromStored(group.total) >= (policy.threshold ?? 0n);
+      default:
+        // Solde restant après un passage en mode immédiat
+        return true;
+    }
+  }
+
+  /**
+   * Créer un Payout pour les crédits dus d'un groupe et le mettre en file
+   */
+  async createPayout(creator, group) {
+    const payout = new Payout({
+      creator: creator._id,
+      amount: 0n,
+      currency: group._id.currency,
+      issuer: group._id.issuer,
+      policy: creator.payoutPolicy?.mode || 'immediate',
+      destination: creator.xrpAddress,
+      destinationTag: creator.getCurrentDestinationTag(),
+      sinceLedger: await xrplClient.getValidatedLedgerIndex()
+    });
+
+    await payout.save();
+
+    // Réserver les crédits (un crédit n'appartient qu'à un seul payout)
+    await CreatorLedgerEntry.updateMany(
+      { _id: { $in: group.entries }, type: 'credit', payout: null },
+      { $set: { payout: payout._id } }
+    );
+
+    const entries = await CreatorLedgerEntry.find({ payout: payout._id, type: 'credit' }).lean();
+
+    if (entries.length === 0) {
+      await payout.deleteOne();
+      return null;
+    }
+
+    payout.tips = entries.map(e => e.tip);
+    payout.amount = entries.reduce((sum, e) => sum + fromStored(e.amount), 0n);
+    payout.platformFee = entries.reduce((sum, e) => sum + fromStored(e.platformFee), 0n);
+    await payout.save();
+
+    await Tip.updateMany(
+      { _id: { $in: payout.tips } },
+      { $set: { payout: payout._id } }
+    );
+
+    console.log(`📦 Payout ${payout._id} created for ${creator.username}: ${fromDrops(payout.amount)} ${payout.currency} (${entries.length} tips)`);
+
+    await payoutQueue.enqueuePayout(payout);
+
+    return payout;
+  }
+}
+
+const payoutScheduler = new PayoutScheduler();
+
+export default payoutScheduler;
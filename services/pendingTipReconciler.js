@@ -0,0 +1,202 @@
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import xrplService from './xrplService.js';
+
+// Configuration du rapprochement des tips en attente
+const RECONCILER_CONFIG = {
+  interval: parseInt(process.env.PENDING_TIP_RECONCILE_INTERVAL) || 2 * 60 * 1000, // ms
+  ttlMinutes: parseInt(process.env.PENDING_TIP_TTL_MINUTES) || 60,
+  batchSize: parseInt(process.env.PENDING_TIP_RECONCILE_BATCH) || 50,
+  // Tolérance d'horloge : paiement légèrement antérieur à la création du tip
+  clockSkew: 2 * 60 * 1000
+};
+
+/**
+ * Rapprochement des tips en attente : cherche sur le ledger le paiement direct
+ * au créateur (checkRecentPayment), confirme le tip, ou l'expire après le TTL
+ *
+ * Les paiements au wallet plateforme avec référence sont rapprochés par le monitoring
+ */
+class PendingTipReconciler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.progress = {
+      current: null,
+      lastRun: null,
+      lastError: null,
+      totals: { runs: 0, checked: 0, confirmed: 0, expired: 0, errors: 0 }
+    };
+  }
+
+  /**
+   * Démarrer la planification
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), RECONCILER_CONFIG.interval);
+    console.log(`✅ Pending tip reconciler started (TTL: ${RECONCILER_CONFIG.ttlMinutes} min)`);
+
+    this.run();
+  }
+
+  /**
+   * Arrêter la planification
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('✅ Pending tip reconciler stopped');
+    }
+  }
+
+  /**
+   * Traiter un lot de tips en attente (jamais vérifiés, puis vérifiés depuis le plus longtemps)
+   * Rotation : des tips anciens sans paiement n'empêchent pas de vérifier les plus récents
+   * Retourne false si un passage est déjà en cours
+   */
+  async run() {
+    if (this.running) {
+      return false;
+    }
+
+    this.running = true;
+
+    const run = {
+      startedAt: new Date(),
+      finishedAt: null,
+      total: 0,
+      checked: 0,
+      confirmed: 0,
+      expired: 0,
+      errors: 0
+    };
+    this.progress.current = run;
+
+    try {
+      const tips = await Tip.find({ status: 'pending', transactionHash: null })
+        .sort({ lastCheckedAt: 1, createdAt: 1 })
+        .limit(RECONCILER_CONFIG.batchSize);
+
+      run.total = tips.length;
+      const creators = new Map();
+
+      for (const tip of tips) {
+        try {
+          const key = tip.creator.toString();
+          if (!creators.has(key)) {
+            creators.set(key, await Creator.findById(tip.creator));
+          }
+
+          const outcome = await this.reconcileTip(tip, creators.get(key));
+          if (outcome) {
+            run[outcome]++;
+          }
+        } catch (error) {
+          console.error(`❌ Error reconciling pending tip ${tip._id}:`, error.message);
+          run.errors++;
+        }
+
+        // Repasser en fin de rotation (y compris en cas d'erreur)
+        await Tip.updateOne({ _id: tip._id, status: 'pending' }, { $set: { lastCheckedAt: new Date() } });
+        run.checked++;
+      }
+
+      this.progress.lastError = null;
+    } catch (error) {
+      console.error('❌ Pending tip reconciler error:', error);
+      this.progress.lastError = { message: error.message, at: new Date() };
+    } finally {
+      run.finishedAt = new Date();
+      this.progress.current = null;
+      this.progress.lastRun = run;
+
+      const { totals } = this.progress;
+      totals.runs++;
+      totals.checked += run.checked;
+      totals.confirmed += run.confirmed;
+      totals.expired += run.expired;
+      totals.errors += run.errors;
+
+      if (run.confirmed || run.expired) {
+        console.log(`🧹 Pending tips reconciled: ${run.confirmed} confirmed, ${run.expired} expired (${run.checked} checked)`);
+      }
+
+      this.running = false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Chercher le paiement d'un tip en attente, sinon l'expirer après le TTL
+   * Retourne 'confirmed', 'expired' ou null
+   */
+  async reconcileTip(tip, creator) {
+    const age = Date.now() - tip.createdAt.getTime();
+
+    // Sans expéditeur déclaré, impossible d'identifier le paiement direct
+    if (creator && tip.senderAddress) {
+      const result = await xrplService.checkRecentPayment(
+        creator.xrpAddress,
+        tip.senderAddress,
+        tip.amount,
+        age + RECONCILER_CONFIG.clockSkew,
+        { currency: tip.currency, issuer: tip.issuer, exclude: await this.getUsedHashes(creator) }
+      );
+
+      if (result.found) {
+        const confirmation = await xrplService.verifyAndConfirmTip(tip._id, result.transaction.hash, { direct: true });
+
+        if (confirmation.success) {
+          console.log(`✅ Pending tip ${tip._id} confirmed by ${result.transaction.hash}`);
+          return 'confirmed';
+        }
+        return null;
+      }
+    }
+
+    if (age >= RECONCILER_CONFIG.ttlMinutes * 60 * 1000 && await tip.expire()) {
+      return 'expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Hashes déjà rattachés à un tip du créateur (un paiement ne confirme qu'un tip)
+   */
+  async getUsedHashes(creator) {
+    const tips = await Tip.find({ creator: creator._id, transactionHash: { $ne: null } })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .select('transactionHash')
+      .lean();
+
+    return tips.map(t => t.transactionHash);
+  }
+
+  /**
+   * État du rapprochement pour l'admin
+   */
+  getStatus() {
+    return {
+      active: Boolean(this.timer),
+      running: this.running,
+      config: {
+        interval: RECONCILER_CONFIG.interval,
+        ttlMinutes: RECONCILER_CONFIG.ttlMinutes,
+        batchSize: RECONCILER_CONFIG.batchSize
+      },
+      ...this.progress
+    };
+  }
+}
+
+const pendingTipReconciler = new PendingTipReconciler();
+
+export default pendingTipReconciler;
@@ -1,35 +1,62 @@
 import xrpl from 'xrpl';
+import xrplClient, { TRANSFER_RATE_NONE } from './xrplClient.js';
 import { PLATFORM_WALLET_CONFIG, calculateBackendFees } from '../config/platformWallet.js';
-import Tip from '../models/Tip.js';
+import { XRPL_CONFIG } from '../config/xrpl.js';
+import { SIGNER_CONFIG } from '../config/signer.js';
+import { createSigner } from './signers/index.js';
+import { findAcceptedToken, fromCurrencyCode, isXrp } from '../config/tokens.js';
+import { buildSourceMemo, findSourceMemo } from '../utils/memos.js';
+import { toDrops, fromDrops } from '../utils/money.js';
+import Tip, { TERMINAL_TIP_STATUSES } from '../models/Tip.js';
 import Creator from '../models/Creator.js';
+import Payout from '../models/Payout.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import tipEvents from './tipEvents.js';
+
+// Frais réseau d'un paiement standard (drops)
+const NETWORK_FEE_DROPS = 12n;
+
+// Résultats définitifs : retenter le même paiement ne changera rien
+const PERMANENT_PAYMENT_FAILURES = [
+  'tecNO_DST',
+  'tecNO_DST_INSUF_XRP',
+  'tecDST_TAG_NEEDED',
+  'tecNO_PERMISSION',
+  'tecNO_AUTH',
+  'tecFROZEN'
+];
 
 class RedistributionService {
   constructor() {
-    this.client = null;
-    this.wallet = null;
+    this.signer = null;
   }
 
   /**
-   * Initialiser le client XRPL et le wallet
+   * Adresse du wallet plateforme (compte du signeur)
+   */
+  get address() {
+    return this.signer?.address || null;
+  }
+
+  /**
+   * Initialiser le signeur (la connexion XRPL est partagée avec xrplClient)
+   * Toutes les transactions sortantes passent par ce signeur : la seed ne transite
+   * plus par ce service.
    */
   async initialize() {
     try {
-      const network = process.env.XRPL_NETWORK === 'mainnet' 
-        ? 'wss://xrplcluster.com'
-        : 'wss://s.altnet.rippletest.net:51233';
-      
-      this.client = new xrpl.Client(network);
-      await this.client.connect();
+      const signer = createSigner(SIGNER_CONFIG.type);
+      await signer.initialize();
 
-      if (!PLATFORM_WALLET_CONFIG.secret) {
-        throw new Error('PLATFORM_WALLET_SECRET manquant dans .env');
+      if (signer.address !== PLATFORM_WALLET_CONFIG.address) {
+        console.warn(`⚠️ Signer address ${signer.address} differs from PLATFORM_WALLET_ADDRESS ${PLATFORM_WALLET_CONFIG.address}`);
       }
 
-      this.wallet = xrpl.Wallet.fromSeed(PLATFORM_WALLET_CONFIG.secret);
-      
+      this.signer = signer;
+
       console.log('✅ RedistributionService initialisé');
-      console.log(`📍 Platform Wallet: ${this.wallet.address}`);
-      console.log(`🌐 Network: ${process.env.XRPL_NETWORK || 'testnet'}`);
+      console.log(`📍 Platform Wallet: ${this.address} (signer: ${signer.type})`);
+      console.log(`🌐 Network: ${XRPL_CONFIG.network}`);
 
       return true;
     } catch (error) {
@@ -76,106 +103,574 @@ class RedistributionService {
 
   /**
    * Redistribuer un tip reçu sur le wallet de la plateforme
+   *
+   * options.intent      : transaction signée lors d'une tentative précédente
+   * options.sinceLedger : ledger de la transaction source (borne de la recherche on-ledger)
+   * options.onSigned    : appelé avec { txHash, txBlob, lastLedgerSequence } AVANT la
+   *                       soumission, pour persister l'intention de payer
+   * options.currency / options.issuer : token du tip (XRP par défaut)
+   * options.split       : { creatorAmount, platformFee } déjà figés sur le tip
    */
-  async redistributeTip(transaction, creatorAddress, totalAmount) {
+  async redistributeTip(transaction, creatorAddress, totalAmount, options = {}) {
     try {
-      if (!this.client || !this.wallet) {
+      if (!this.signer) {
         throw new Error('RedistributionService pas initialisé');
       }
 
-      const { creatorAmount, platformFee } = calculateBackendFees(totalAmount);
+      if (!transaction.hash) {
+        throw new Error('Hash de la transaction source manquant');
+      }
+
+      const currency = options.currency || 'XRP';
+      const token = isXrp(currency) ? null : findAcceptedToken(currency, options.issuer);
+
+      if (!isXrp(currency) && !token) {
+        throw new Error(`Token non accepté: ${currency} (${options.issuer})`);
+      }
+
+      // ✅ Répartition figée à l'enregistrement du tip (grille de frais de l'époque)
+      const { creatorAmount, platformFee } = options.split
+        || calculateBackendFees(totalAmount, currency, options.issuer);
+
+      // ✅ Ne jamais payer deux fois : vérifier on-ledger avant de signer
+      const existing = await this.reconcileOutgoingPayment(transaction.hash, options);
+
+      if (existing) {
+        console.log(`♻️ Redistribution déjà présente on-ledger: ${existing.txHash}`);
+        return {
+          success: true,
+          txHash: existing.txHash,
+          creatorAmount,
+          platformFee,
+          ledgerIndex: existing.ledgerIndex,
+          reconciled: true
+        };
+      }
 
       console.log('💰 Redistribution:', {
-        total: totalAmount,
-        creatorAmount,
-        platformFee,
+        currency,
+        total: fromDrops(totalAmount),
+        creatorAmount: fromDrops(creatorAmount),
+        platformFee: fromDrops(platformFee),
         creatorAddress,
         destinationTag: transaction.destinationTag // ✅ Logger le tag
       });
 
-      // Vérifier le solde
-      const accountInfo = await this.client.request({
-        command: 'account_info',
-        account: this.wallet.address,
-        ledger_index: 'validated'
+      const payment = await this.buildCreatorPayment(creatorAddress, creatorAmount, {
+        token,
+        destinationTag: transaction.DestinationTag,
+        memos: [{
+          Memo: {
+            MemoData: Buffer.from(`xrpTip redistribution - Original tag: ${transaction.destinationTag || 'none'}`).toString('hex'),
+            MemoType: Buffer.from('text/plain').toString('hex')
+          }
+        }, buildSourceMemo('redistribution', transaction.hash)]
+      });
+
+      const prepared = await xrplClient.autofill(payment);
+      const result = await this.signAndSubmit(prepared, options);
+
+      console.log('✅ Redistribution réussie:', {
+        hash: result.result.hash,
+        creatorAmount: `${fromDrops(creatorAmount)} ${currency}`,
+        platformFee: `${fromDrops(platformFee)} ${currency}`
       });
 
-      const availableBalance = Number(accountInfo.result.account_data.Balance) / 1000000;
-      const requiredAmount = creatorAmount + 0.000012;
-      const afterBalance = availableBalance - requiredAmount;
+      return {
+        success: true,
+        txHash: result.result.hash,
+        creatorAmount,
+        platformFee,
+        ledgerIndex: result.result.ledger_index
+      };
 
-      if (afterBalance < PLATFORM_WALLET_CONFIG.minReserve) {
-        throw new Error(`Réserve insuffisante. Balance: ${availableBalance}, Requis: ${requiredAmount + PLATFORM_WALLET_CONFIG.minReserve}`);
+    } catch (error) {
+      console.error('❌ Erreur redistribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ✅ Régler un versement groupé (Payout) en un seul paiement vers le créateur
+   * Le memo source référence l'identifiant du Payout (réconciliation on-ledger)
+   *
+   * options : intent, sinceLedger, onSigned (voir redistributeTip)
+   */
+  async settlePayout(payout, options = {}) {
+    try {
+      if (!this.signer) {
+        throw new Error('RedistributionService pas initialisé');
+      }
+
+      const sourceRef = payout._id.toString();
+      const token = isXrp(payout.currency) ? null : findAcceptedToken(payout.currency, payout.issuer);
+
+      if (!isXrp(payout.currency) && !token) {
+        throw new Error(`Token non accepté: ${payout.currency} (${payout.issuer})`);
+      }
+
+      const existing = await this.reconcileOutgoingPayment(sourceRef, { ...options, kind: 'payout' });
+
+      if (existing) {
+        console.log(`♻️ Versement déjà présent on-ledger: ${existing.txHash}`);
+        return {
+          success: true,
+          txHash: existing.txHash,
+          ledgerIndex: existing.ledgerIndex,
+          reconciled: true
+        };
+      }
+
+      console.log('💰 Versement groupé:', {
+        payout: sourceRef,
+        tips: payout.tips.length,
+        amount: `${fromDrops(payout.amount)} ${payout.currency}`,
+        destination: payout.destination,
+        destinationTag: payout.destinationTag
+      });
+
+      const payment = await this.buildCreatorPayment(payout.destination, payout.amount, {
+        token,
+        destinationTag: payout.destinationTag,
+        memos: [{
+          Memo: {
+            MemoData: Buffer.from(`xrpTip payout - ${payout.tips.length} tips`).toString('hex'),
+            MemoType: Buffer.from('text/plain').toString('hex')
+          }
+        }, buildSourceMemo('payout', sourceRef)]
+      });
+
+      const prepared = await xrplClient.autofill(payment);
+      const result = await this.signAndSubmit(prepared, options);
+
+      console.log(`✅ Versement réussi: ${result.result.hash}`);
+
+      return {
+        success: true,
+        txHash: result.result.hash,
+        ledgerIndex: result.result.ledger_index
+      };
+    } catch (error) {
+      console.error('❌ Erreur versement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ✅ Transférer des XRP du wallet plateforme (frais collectés) vers un autre compte
+   * reference : identifiant stable de l'opération (memo source, reprise hors ligne)
+   */
+  async sweep({ destination, amount, destinationTag = null, reference }, options = {}) {
+    try {
+      if (!this.signer) {
+        throw new Error('RedistributionService pas initialisé');
+      }
+
+      const existing = await this.reconcileOutgoingPayment(reference, { ...options, kind: 'sweep' });
+
+      if (existing) {
+        console.log(`♻️ Sweep déjà présent on-ledger: ${existing.txHash}`);
+        return { success: true, txHash: existing.txHash, ledgerIndex: existing.ledgerIndex, reconciled: true };
+      }
+
+      console.log('🧹 Sweep:', { destination, destinationTag, amount: `${fromDrops(amount)} XRP`, reference });
+
+      const payment = await this.buildCreatorPayment(destination, amount, {
+        destinationTag,
+        memos: [buildSourceMemo('sweep', reference)]
+      });
+
+      const prepared = await xrplClient.autofill(payment);
+      const result = await this.signAndSubmit(prepared, { ...options, reference, purpose: 'sweep' });
+
+      console.log(`✅ Sweep réussi: ${result.result.hash}`);
+
+      return {
+        success: true,
+        txHash: result.result.hash,
+        ledgerIndex: result.result.ledger_index
+      };
+    } catch (error) {
+      console.error('❌ Erreur sweep:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Construire un paiement sortant (XRP ou token, amount en drops) après vérification
+   * de la réserve du wallet plateforme et, pour un token, des trust lines
+   */
+  async buildCreatorPayment(creatorAddress, amount, { token = null, destinationTag = null, memos = [] } = {}) {
+    // Vérifier le solde
+    const accountInfo = await xrplClient.request({
+      command: 'account_info',
+      account: this.address,
+      ledger_index: 'validated'
+    });
+
+    // Pour un token, seuls les frais réseau sont payés en XRP
+    const availableBalance = BigInt(accountInfo.result.account_data.Balance);
+    const requiredAmount = (token ? 0n : amount) + NETWORK_FEE_DROPS;
+    const minReserve = toDrops(PLATFORM_WALLET_CONFIG.minReserve);
+
+    if (availableBalance - requiredAmount < minReserve) {
+      throw new Error(`Réserve insuffisante. Balance: ${fromDrops(availableBalance)}, Requis: ${fromDrops(requiredAmount + minReserve)}`);
+    }
+
+    let amountField = amount.toString();
+    let sendMax;
+
+    if (token) {
+      const { transferRate } = await this.checkTokenTrustLines(creatorAddress, token, amount);
+
+      amountField = {
+        currency: token.currency,
+        issuer: token.issuer,
+        value: fromDrops(amount)
+      };
+
+      // Frais de transfert de l'émetteur à la charge du wallet plateforme
+      if (transferRate > TRANSFER_RATE_NONE) {
+        sendMax = {
+          ...amountField,
+          value: fromDrops(xrplClient.applyTransferRate(amount, transferRate))
+        };
+      }
+    }
+
+    return {
+      TransactionType: 'Payment',
+      Account: this.address,
+      Destination: creatorAddress,
+      Amount: amountField,
+      SendMax: sendMax,
+      DestinationTag: destinationTag || undefined,
+      Memos: memos
+    };
+  }
+
+  /**
+   * Signer et soumettre un paiement sortant préparé (autofill)
+   *
+   * options.onSigned est appelé AVANT la soumission pour persister l'intention de payer.
+   * options.reference / options.purpose identifient l'opération auprès du signeur
+   * (reprise d'une signature hors ligne).
+   * Les échecs définitifs sont signalés par error.permanent = true, les signatures
+   * en attente par error.deferred = true.
+   */
+  async signAndSubmit(prepared, options = {}) {
+    // Signature lente (hors ligne) : allonger la validité de la transaction
+    if (this.signer.ledgerWindow) {
+      prepared.LastLedgerSequence = await xrplClient.getValidatedLedgerIndex() + this.signer.ledgerWindow;
+    }
+
+    const signed = await this.signer.sign(prepared, {
+      reference: options.reference,
+      purpose: options.purpose
+    });
+
+    // Enregistrer l'intention de payer avant de soumettre
+    if (options.onSigned) {
+      await options.onSigned({
+        txHash: signed.hash,
+        txBlob: signed.tx_blob,
+        lastLedgerSequence: xrpl.decode(signed.tx_blob).LastLedgerSequence
+      });
+    }
+
+    const result = await xrplClient.submitAndWait(signed.tx_blob);
+    const code = result.result.meta.TransactionResult;
+
+    if (code !== 'tesSUCCESS') {
+      const error = new Error(`Transaction échouée: ${code}`);
+      error.permanent = PERMANENT_PAYMENT_FAILURES.includes(code);
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * ✅ Rembourser un paiement reçu sur le wallet plateforme à son expéditeur
+   *
+   * Le montant renvoyé est le montant livré, net des frais réseau (XRP). Pour un token,
+   * les frais réseau sont payés en XRP par la plateforme et le montant est renvoyé en entier.
+   * Le paiement vise le compte d'origine, avec son SourceTag comme DestinationTag
+   * (indispensable pour les exchanges) et un memo référençant la transaction d'origine.
+   *
+   * options : intent, sinceLedger, onSigned (voir redistributeTip)
+   */
+  async refundPayment(sourceHash, options = {}) {
+    try {
+      if (!this.signer) {
+        throw new Error('RedistributionService pas initialisé');
+      }
+
+      // ✅ Ne jamais rembourser deux fois
+      const existing = await this.reconcileOutgoingPayment(sourceHash, { ...options, kind: 'refund' });
+
+      if (existing) {
+        console.log(`♻️ Remboursement déjà présent on-ledger: ${existing.txHash}`);
+        const outcome = await this.getTransactionOutcome(existing.txHash);
+        return {
+          success: true,
+          txHash: existing.txHash,
+          ...this.describeAmount(outcome?.meta?.delivered_amount),
+          ledgerIndex: existing.ledgerIndex,
+          reconciled: true
+        };
+      }
+
+      const tx = await xrplClient.getTransaction(sourceHash);
+
+      if (tx.TransactionType !== 'Payment' || tx.Destination !== this.address ||
+          tx.meta?.TransactionResult !== 'tesSUCCESS') {
+        const error = new Error('Transaction source non remboursable (pas un paiement réussi vers la plateforme)');
+        error.permanent = true;
+        throw error;
+      }
+
+      const delivered = tx.meta.delivered_amount;
+
+      if (!delivered || delivered === 'unavailable') {
+        const error = new Error('Montant livré inconnu : remboursement manuel requis');
+        error.permanent = true;
+        throw error;
       }
 
-      // Préparer la transaction
       const payment = {
         TransactionType: 'Payment',
-        Account: this.wallet.address,
-        Destination: creatorAddress,
-        Amount: xrpl.xrpToDrops(creatorAmount.toString()),
-        DestinationTag: transaction.DestinationTag || undefined,
+        Account: this.address,
+        Destination: tx.Account,
+        Amount: delivered,
+        DestinationTag: tx.SourceTag ?? undefined,
         Memos: [{
           Memo: {
-            MemoData: Buffer.from(`xrpTip redistribution - Original tag: ${transaction.destinationTag || 'none'}`).toString('hex'),
+            MemoData: Buffer.from(`xrpTip refund - Original tx: ${sourceHash}`).toString('hex'),
             MemoType: Buffer.from('text/plain').toString('hex')
           }
-        }]
+        }, buildSourceMemo('refund', sourceHash)]
       };
 
-      // Signer et soumettre
-      const prepared = await this.client.autofill(payment);
-      const signed = this.wallet.sign(prepared);
-      const result = await this.client.submitAndWait(signed.tx_blob);
+      const prepared = await xrplClient.autofill(payment);
 
-      if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
-        throw new Error(`Transaction échouée: ${result.result.meta.TransactionResult}`);
+      if (typeof delivered === 'string') {
+        // Déduire les frais réseau du montant renvoyé
+        const netDrops = BigInt(delivered) - BigInt(prepared.Fee);
+
+        if (netDrops <= 0n) {
+          const error = new Error(`Montant trop faible pour couvrir les frais réseau (${prepared.Fee} drops)`);
+          error.permanent = true;
+          throw error;
+        }
+
+        prepared.Amount = netDrops.toString();
+      } else {
+        // Frais de transfert de l'émetteur à la charge du wallet plateforme
+        const transferRate = await xrplClient.getTransferRate(delivered.issuer);
+        if (transferRate > TRANSFER_RATE_NONE) {
+          prepared.SendMax = {
+            ...delivered,
+            value: fromDrops(xrplClient.applyTransferRate(toDrops(delivered.value), transferRate))
+          };
+        }
       }
 
-      console.log('✅ Redistribution réussie:', {
-        hash: result.result.hash,
-        creatorAmount: `${creatorAmount} XRP`,
-        platformFee: `${platformFee} XRP`
+      const refund = this.describeAmount(prepared.Amount);
+
+      console.log('↩️ Remboursement:', {
+        source: sourceHash,
+        to: tx.Account,
+        destinationTag: tx.SourceTag ?? null,
+        amount: `${fromDrops(refund.amount)} ${refund.currency}`
       });
 
+      const result = await this.signAndSubmit(prepared, options);
+
+      console.log(`✅ Remboursement réussi: ${result.result.hash}`);
+
       return {
         success: true,
         txHash: result.result.hash,
-        creatorAmount,
-        platformFee,
+        ...refund,
         ledgerIndex: result.result.ledger_index
       };
-
     } catch (error) {
-      console.error('❌ Erreur redistribution:', error);
+      console.error('❌ Erreur remboursement:', error);
       throw error;
     }
   }
 
   /**
-   * ✅ Vérifier et redistribuer une transaction détectée
+   * Décrire un montant XRPL (drops ou objet token) : { amount (drops), currency, issuer }
    */
-  async processIncomingTransaction(txHash) {
+  describeAmount(amount) {
+    if (!amount) {
+      return { amount: null, currency: null, issuer: null };
+    }
+
+    if (typeof amount === 'string') {
+      return { amount: BigInt(amount), currency: 'XRP', issuer: null };
+    }
+
+    return {
+      amount: toDrops(amount.value),
+      currency: fromCurrencyCode(amount.currency),
+      issuer: amount.issuer
+    };
+  }
+
+  /**
+   * ✅ Vérifier que le token peut circuler du wallet plateforme vers le créateur
+   * (trust lines existantes, non gelées, solde et limite suffisants)
+   */
+  async checkTokenTrustLines(creatorAddress, token, amount) {
+    const transferRate = await xrplClient.getTransferRate(token.issuer);
+    const required = xrplClient.applyTransferRate(amount, transferRate);
+
+    const platformLine = await xrplClient.getTrustLine(this.address, token.currency, token.issuer);
+
+    if (!platformLine) {
+      throw new Error(`Pas de trust line ${token.code} sur le wallet plateforme`);
+    }
+
+    if (platformLine.frozen) {
+      throw new Error(`Trust line ${token.code} du wallet plateforme gelée par l'émetteur`);
+    }
+
+    if (platformLine.balance < required) {
+      throw new Error(`Solde ${token.code} insuffisant. Balance: ${fromDrops(platformLine.balance)}, Requis: ${fromDrops(required)}`);
+    }
+
+    const creatorLine = await xrplClient.getTrustLine(creatorAddress, token.currency, token.issuer);
+
+    if (!creatorLine) {
+      throw new Error(`Le créateur n'a pas de trust line ${token.code}`);
+    }
+
+    if (creatorLine.frozen) {
+      throw new Error(`Trust line ${token.code} du créateur gelée par l'émetteur`);
+    }
+
+    if (creatorLine.balance + amount > creatorLine.limit) {
+      throw new Error(`Limite de trust line ${token.code} du créateur atteinte (${fromDrops(creatorLine.balance)}/${fromDrops(creatorLine.limit)})`);
+    }
+
+    return { transferRate, platformLine, creatorLine };
+  }
+
+  /**
+   * ✅ Retrouver un paiement sortant déjà effectué pour une transaction source
+   * (kind : 'redistribution' ou 'refund')
+   * Retourne { txHash, ledgerIndex } si le paiement a déjà eu lieu, sinon null
+   */
+  async reconcileOutgoingPayment(sourceHash, { intent = null, sinceLedger = null, kind = 'redistribution' } = {}) {
+    // 1. Une transaction a été signée lors d'une tentative précédente : connaître son sort
+    if (intent?.txHash) {
+      const outcome = await this.getTransactionOutcome(intent.txHash);
+
+      if (outcome?.validated) {
+        if (outcome.meta?.TransactionResult === 'tesSUCCESS') {
+          return { txHash: intent.txHash, ledgerIndex: outcome.ledger_index };
+        }
+      } else {
+        const validatedLedger = await xrplClient.getValidatedLedgerIndex();
+
+        // Encore applicable : resoumettre le même blob (même hash, appliqué au plus une fois)
+        if (validatedLedger <= intent.lastLedgerSequence) {
+          console.log(`🔁 Resoumission du paiement en attente: ${intent.txHash}`);
+          const result = await xrplClient.submitAndWait(intent.txBlob);
+
+          if (result.result.meta.TransactionResult === 'tesSUCCESS') {
+            return { txHash: result.result.hash, ledgerIndex: result.result.ledger_index };
+          }
+        }
+      }
+    }
+
+    // 2. Chercher un paiement sortant marqué avec le hash source
+    return this.findOutgoingPaymentOnLedger(sourceHash, kind, sinceLedger);
+  }
+
+  /**
+   * Récupérer le résultat d'une transaction (null si inconnue du réseau)
+   */
+  async getTransactionOutcome(txHash) {
     try {
-      const txResponse = await this.client.request({
+      const response = await xrplClient.request({
         command: 'tx',
-        transaction: txHash,
-        binary: false
+        transaction: txHash
+      });
+      return response.result;
+    } catch (error) {
+      if (error.data?.error === 'txnNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parcourir l'historique sortant du wallet plateforme (du plus récent au plus ancien)
+   * à la recherche d'un paiement portant le memo source
+   *
+   * Sans ledger de départ, un paiement plus ancien pourrait échapper à la recherche :
+   * on refuse de conclure (échec définitif, vérification manuelle) plutôt que de payer deux fois
+   */
+  async findOutgoingPaymentOnLedger(sourceHash, kind, sinceLedger = null) {
+    if (sinceLedger === null || sinceLedger === undefined) {
+      const error = new Error(`Ledger de départ inconnu pour ${kind} ${sourceHash} : impossible d'exclure un paiement déjà effectué, vérification manuelle requise`);
+      error.permanent = true;
+      error.unreconciled = true;
+      throw error;
+    }
+
+    let marker = null;
+
+    do {
+      const page = await xrplClient.getAccountTransactionsPage(this.address, {
+        ledger_index_min: sinceLedger,
+        forward: false,
+        marker
       });
 
-      const tx = txResponse.result;
+      for (const txData of page.transactions) {
+        const tx = txData.tx_json || txData.tx;
+
+        if (!tx || tx.TransactionType !== 'Payment' || tx.Account !== this.address ||
+            txData.meta?.TransactionResult !== 'tesSUCCESS') {
+          continue;
+        }
+
+        const source = findSourceMemo(tx.Memos);
+        if (source?.source === sourceHash && source.kind === kind) {
+          return { txHash: txData.hash, ledgerIndex: txData.ledger_index };
+        }
+      }
+
+      marker = page.marker;
+    } while (marker);
+
+    return null;
+  }
+
+  /**
+   * ✅ Vérifier et redistribuer une transaction détectée
+   */
+  async processIncomingTransaction(txHash) {
+    try {
+      const tx = await xrplClient.getTransaction(txHash);
 
       if (tx.TransactionType !== 'Payment') {
         console.log('⚠️ Transaction ignorée (pas un Payment)');
         return null;
       }
 
-      if (tx.Destination !== this.wallet.address) {
+      if (tx.Destination !== this.address) {
         console.log('⚠️ Transaction ignorée (pas pour nous)');
         return null;
       }
 
-      const amount = Number(tx.Amount) / 1000000;
       const destinationTag = tx.DestinationTag;
 
       if (!destinationTag) {
@@ -198,8 +693,31 @@ class RedistributionService {
         return null;
       }
 
+      // ✅ Montant réellement livré (un paiement partiel peut livrer bien moins que Amount)
+      const { amount, value, exact, currency, issuer, rejectionReason } = xrplClient.getDeliveredAmount(tx.meta);
+
+      if (rejectionReason) {
+        console.error(`❌ Transaction rejetée: ${rejectionReason}`);
+        if (existingTip && !TERMINAL_TIP_STATUSES.includes(existingTip.status)) {
+          await existingTip.reject(rejectionReason);
+        }
+        return null;
+      }
+
+      // Token au-delà de 6 décimales : le partage garderait le reste, le paiement doit être remboursé
+      if (!exact) {
+        throw new Error(`Montant ${value} ${currency} au-delà de 6 décimales : rembourser le paiement au lieu de le redistribuer`);
+      }
+
+      const split = await FeeSchedule.computeFees(amount, { creator: creator._id, currency, issuer });
+
       // Redistribuer au créateur
-      const redistribution = await this.redistributeTip(tx, creator.xrpAddress, amount);
+      const redistribution = await this.redistributeTip(tx, creator.xrpAddress, amount, {
+        sinceLedger: tx.ledger_index,
+        currency,
+        issuer,
+        split
+      });
 
       // Mettre à jour le tip dans la DB
       if (existingTip) {
@@ -207,22 +725,20 @@ class RedistributionService {
         existingTip.redistributionTxHash = redistribution.txHash;
         existingTip.platformFee = redistribution.platformFee;
         existingTip.creatorAmount = redistribution.creatorAmount;
+        existingTip.feeSchedule = split.feeSchedule;
+        existingTip.deliveredValue = value;
         existingTip.destinationTag = destinationTag; // ✅ Enregistrer le tag
+        await Payout.recordRedistribution(existingTip, {
+          txHash: redistribution.txHash,
+          ledgerIndex: redistribution.ledgerIndex,
+          destination: creator.xrpAddress,
+          destinationTag
+        });
         await existingTip.save();
       }
 
       // ✅ Mettre à jour les stats avec tous les tags valides
-      const validDestinationTags = creator.getAllValidDestinationTags();
-      const allTips = await Tip.find({
-        creator: creator._id,
-        destinationTag: { $in: validDestinationTags },
-        status: 'confirmed'
-      }).lean();
-
-      creator.stats.totalTips = allTips.length;
-      creator.stats.totalAmount = allTips.reduce((sum, t) => sum + t.amount, 0);
-      creator.stats.uniqueSupporters = [...new Set(allTips.map(t => t.senderAddress))].length;
-      await creator.save();
+      tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
 
       return redistribution;
 
@@ -231,16 +747,6 @@ class RedistributionService {
       throw error;
     }
   }
-
-  /**
-   * Déconnecter le client
-   */
-  async disconnect() {
-    if (this.client && this.client.isConnected()) {
-      await this.client.disconnect();
-      console.log('✅ RedistributionService déconnecté');
-    }
-  }
 }
 
 const redistributionService = new RedistributionService();
@@ -0,0 +1,225 @@
+import Tip from '../models/Tip.js';
+import Creator from '../models/Creator.js';
+import WalletSignRequest from '../models/WalletSignRequest.js';
+import { createWalletProvider } from './walletProviders/index.js';
+import tipEvents from './tipEvents.js';
+import { SIGN_REQUEST_CONFIG } from '../config/signRequest.js';
+import { PLATFORM_WALLET_CONFIG, isPlatformWalletConfigured } from '../config/platformWallet.js';
+import { findAcceptedToken, isXrp } from '../config/tokens.js';
+import { buildInvoiceMemo } from '../utils/memos.js';
+import { fromDrops } from '../utils/money.js';
+
+/**
+ * Demandes de signature : le tippeur paie un tip en attente depuis son wallet
+ * (deep link / QR), le fournisseur nous notifie de sa décision
+ *
+ * Un paiement signé n'est confirmé qu'une fois vu sur le ledger (monitoring du wallet
+ * plateforme via la référence du tip, ou rapprochement des paiements directs),
+ * sauf si le fournisseur garantit lui-même la validation (mock)
+ */
+class SignRequestService {
+  constructor() {
+    this.walletProvider = null;
+  }
+
+  /**
+   * Fournisseur configuré (créé au premier usage)
+   */
+  get provider() {
+    if (!this.walletProvider) {
+      this.walletProvider = createWalletProvider(SIGN_REQUEST_CONFIG.provider);
+      console.log(`📲 Sign request provider: ${this.walletProvider.name}`);
+    }
+    return this.walletProvider;
+  }
+
+  /**
+   * Créer (ou reprendre) la demande de signature d'un tip en attente
+   */
+  async createForTip(tip) {
+    if (tip.status !== 'pending') {
+      throw Object.assign(new Error(`Tip is ${tip.status}`), { status: 409 });
+    }
+
+    // Une demande encore ouverte est renvoyée telle quelle
+    const open = await WalletSignRequest.findOne({ tip: tip._id, status: 'pending' }).sort({ createdAt: -1 });
+    if (open && open.isOpen()) {
+      return open;
+    }
+
+    const creator = await Creator.findById(tip.creator);
+    if (!creator || !creator.isActive) {
+      throw Object.assign(new Error('Creator not found'), { status: 404 });
+    }
+
+    // Tips antérieurs aux références de paiement
+    if (!tip.paymentReference) {
+      tip.set(Tip.generatePaymentReference());
+      await tip.save();
+    }
+
+    const txJson = this.buildPayment(tip, creator);
+    const payload = await this.provider.createPayload(txJson, {
+      reference: tip.paymentReference,
+      instruction: `Tip ${fromDrops(tip.amount)} ${tip.currency} to ${creator.displayName}`,
+      expiresInMinutes: SIGN_REQUEST_CONFIG.expiresInMinutes,
+      returnUrl: SIGN_REQUEST_CONFIG.returnUrl
+    });
+
+    const request = await WalletSignRequest.create({
+      tip: tip._id,
+      provider: this.provider.name,
+      txJson,
+      ...payload
+    });
+
+    console.log(`📲 Sign request ${request._id} created for tip ${tip._id} (${request.provider})`);
+    return request;
+  }
+
+  /**
+   * Paiement à signer : wallet plateforme (ou créateur en direct), tag du créateur,
+   * référence du tip en memo et en InvoiceID
+   */
+  buildPayment(tip, creator) {
+    const destinationTag = creator.getCurrentDestinationTag();
+    const token = isXrp(tip.currency) ? null : findAcceptedToken(tip.currency, tip.issuer);
+
+    return {
+      TransactionType: 'Payment',
+      ...(tip.senderAddress && { Account: tip.senderAddress }),
+      Destination: isPlatformWalletConfigured() ? PLATFORM_WALLET_CONFIG.address : creator.xrpAddress,
+      ...(destinationTag !== null && destinationTag !== undefined && { DestinationTag: destinationTag }),
+      Amount: token
+        ? { currency: token.currency, issuer: token.issuer, value: fromDrops(tip.amount) }
+        : tip.amount.toString(),
+      InvoiceID: tip.invoiceId,
+      Memos: [buildInvoiceMemo(tip.paymentReference)]
+    };
+  }
+
+  /**
+   * Callback du fournisseur : relire le payload et appliquer la décision
+   */
+  async handleCallback(providerName, body) {
+    if (providerName !== this.provider.name) {
+      return null;
+    }
+
+    const providerId = this.provider.parseCallback(body);
+    if (!providerId) {
+      return null;
+    }
+
+    const request = await WalletSignRequest.findOne({ provider: providerName, providerId });
+    if (!request) {
+      return null;
+    }
+
+    return this.refresh(request);
+  }
+
+  /**
+   * Mettre à jour une demande depuis le fournisseur (sans effet si déjà résolue)
+   */
+  async refresh(request) {
+    if (request.status !== 'pending' || request.provider !== this.provider.name) {
+      return request;
+    }
+
+    const result = await this.provider.getPayload(request.providerId);
+    if (result.status === 'pending') {
+      return request;
+    }
+
+    return this.applyResult(request, result);
+  }
+
+  /**
+   * Enregistrer la décision du tippeur et mettre à jour le tip
+   */
+  async applyResult(request, result) {
+    // Transition unique (callbacks répétés ou concurrents)
+    const resolved = await WalletSignRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: result.status,
+          txHash: result.txHash,
+          account: result.account,
+          resolvedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!resolved) {
+      return WalletSignRequest.findById(request._id);
+    }
+
+    const tip = await Tip.findById(resolved.tip);
+    if (!tip || tip.status !== 'pending') {
+      return resolved;
+    }
+
+    if (result.status === 'signed') {
+      // Expéditeur connu : le rapprochement des paiements directs peut retrouver la transaction
+      if (!tip.senderAddress && result.account) {
+        tip.senderAddress = result.account;
+      }
+
+      if (result.validated) {
+        await tip.confirm(result.txHash, null);
+        tipEvents.publish('tip.confirmed', tip);
+        const creator = await Creator.findById(tip.creator);
+        if (creator) {
+          tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+        }
+      } else {
+        await tip.save();
+      }
+
+      console.log(`✍️ Sign request ${resolved._id} signed: ${result.txHash}`);
+    } else if (result.status === 'rejected') {
+      tip.status = 'failed';
+      tip.rejectionReason = 'Payment declined in wallet';
+      await tip.save();
+      tipEvents.publish('tip.failed', tip, { reason: tip.rejectionReason });
+
+      console.log(`🚫 Sign request ${resolved._id} rejected by the tipper`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Annuler une demande encore ouverte
+   */
+  async cancel(request) {
+    if (request.status !== 'pending') {
+      return request;
+    }
+
+    await this.provider.cancelPayload(request.providerId);
+    return this.applyResult(request, { status: 'cancelled', txHash: null, account: null });
+  }
+
+  /**
+   * Fournisseur simulé : décision du tippeur puis callback
+   */
+  async resolveMock(providerId, { signed, account }) {
+    if (this.provider.name !== 'mock') {
+      return null;
+    }
+
+    if (!this.provider.resolve(providerId, { signed, account })) {
+      return null;
+    }
+
+    return this.handleCallback('mock', { providerId });
+  }
+}
+
+const signRequestService = new SignRequestService();
+
+export default signRequestService;
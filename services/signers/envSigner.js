@@ -0,0 +1,36 @@
+import xrpl from 'xrpl';
+import { PLATFORM_WALLET_CONFIG } from '../../config/platformWallet.js';
+
+/**
+ * Signeur à partir de PLATFORM_WALLET_SECRET (seed en clair dans l'environnement)
+ * À réserver au développement : préférer le keystore, le signeur distant ou le mode hors ligne
+ */
+class EnvSigner {
+  constructor() {
+    this.type = 'env';
+    this.wallet = null;
+  }
+
+  get address() {
+    return this.wallet?.address || null;
+  }
+
+  async initialize() {
+    if (!PLATFORM_WALLET_CONFIG.secret) {
+      throw new Error('PLATFORM_WALLET_SECRET manquant dans .env');
+    }
+
+    this.wallet = xrpl.Wallet.fromSeed(PLATFORM_WALLET_CONFIG.secret);
+    console.warn('⚠️ Signing with PLATFORM_WALLET_SECRET from env (use SIGNER_TYPE=keystore|remote|offline in production)');
+  }
+
+  async sign(prepared) {
+    return this.wallet.sign(prepared);
+  }
+
+  getStatus() {
+    return { type: this.type, address: this.address, ready: Boolean(this.wallet) };
+  }
+}
+
+export default EnvSigner;
@@ -0,0 +1,31 @@
+import EnvSigner from './envSigner.js';
+import KeystoreSigner from './keystoreSigner.js';
+import RemoteSigner from './remoteSigner.js';
+import OfflineSigner from './offlineSigner.js';
+
+const SIGNERS = {
+  env: EnvSigner,
+  keystore: KeystoreSigner,
+  remote: RemoteSigner,
+  offline: OfflineSigner
+};
+
+/**
+ * Créer le signeur du wallet plateforme
+ *
+ * Interface commune :
+ *   address                      adresse du compte signataire
+ *   initialize()                 charger / joindre le signeur
+ *   sign(prepared, { reference, purpose }) -> { tx_blob, hash }
+ *                                (error.deferred = true si la signature viendra plus tard)
+ *   getStatus()
+ */
+export const createSigner = (type) => {
+  const Signer = SIGNERS[type];
+
+  if (!Signer) {
+    throw new Error(`Unknown signer type: ${type} (expected ${Object.keys(SIGNERS).join(', ')})`);
+  }
+
+  return new Signer();
+};
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import xrpl from 'xrpl';
+import { SIGNER_CONFIG } from '../../config/signer.js';
+import { decryptSeed } from '../../utils/keystore.js';
+import { deferredError } from './signerUtils.js';
+
+/**
+ * Signeur à partir d'un keystore chiffré, déverrouillé par passphrase
+ * (au démarrage via SIGNER_KEYSTORE_PASSPHRASE[_FILE], ou par un admin)
+ */
+class KeystoreSigner {
+  constructor() {
+    this.type = 'keystore';
+    this.keystore = null;
+    this.wallet = null;
+  }
+
+  get address() {
+    return this.keystore?.address || null;
+  }
+
+  async initialize() {
+    const { path, passphrase, passphraseFile } = SIGNER_CONFIG.keystore;
+
+    this.keystore = JSON.parse(await fs.readFile(path, 'utf8'));
+
+    const startupPassphrase = passphraseFile
+      ? (await fs.readFile(passphraseFile, 'utf8')).trim()
+      : passphrase;
+
+    if (startupPassphrase) {
+      this.unlock(startupPassphrase);
+    } else {
+      console.warn(`🔒 Keystore locked (${this.address}): unlock it from the admin API to sign`);
+    }
+  }
+
+  /**
+   * Déverrouiller le keystore (erreur si la passphrase est incorrecte)
+   */
+  unlock(passphrase) {
+    const wallet = xrpl.Wallet.fromSeed(decryptSeed(this.keystore, passphrase));
+
+    if (wallet.address !== this.keystore.address) {
+      throw new Error('Keystore seed does not match its address');
+    }
+
+    this.wallet = wallet;
+    console.log(`🔓 Keystore unlocked (${this.address})`);
+  }
+
+  /**
+   * Verrouiller le keystore (oublier la seed déchiffrée)
+   */
+  lock() {
+    this.wallet = null;
+    console.log(`🔒 Keystore locked (${this.address})`);
+  }
+
+  async sign(prepared) {
+    if (!this.wallet) {
+      throw deferredError('Keystore locked, waiting for unlock');
+    }
+    return this.wallet.sign(prepared);
+  }
+
+  getStatus() {
+    return { type: this.type, address: this.address, ready: Boolean(this.wallet), locked: !this.wallet };
+  }
+}
+
+export default KeystoreSigner;
@@ -0,0 +1,100 @@
+import { encode } from 'xrpl';
+import SigningRequest from '../../models/SigningRequest.js';
+import xrplClient from '../xrplClient.js';
+import { PLATFORM_WALLET_CONFIG } from '../../config/platformWallet.js';
+import { SIGNER_CONFIG } from '../../config/signer.js';
+import { deferredError, verifySignedBlob } from './signerUtils.js';
+
+/**
+ * Signeur hors ligne : chaque transaction est exportée en blob non signé
+ * (SigningRequest), signée sur une machine air-gapped puis réimportée.
+ *
+ * Une seule demande est ouverte à la fois : toutes partagent la séquence du compte.
+ */
+class OfflineSigner {
+  constructor() {
+    this.type = 'offline';
+    // Les transactions restent valides le temps de la signature manuelle
+    this.ledgerWindow = SIGNER_CONFIG.offline.ledgerWindow;
+  }
+
+  get address() {
+    return PLATFORM_WALLET_CONFIG.address;
+  }
+
+  async initialize() {
+    console.log(`📴 Offline signer: transactions for ${this.address} must be signed out of band`);
+  }
+
+  async sign(prepared, { reference = `tx:${Date.now()}`, purpose = 'other' } = {}) {
+    const validatedLedger = await xrplClient.getValidatedLedgerIndex();
+
+    // Expirer les demandes qui ne peuvent plus être incluses dans un ledger
+    await SigningRequest.updateMany(
+      { status: { $in: ['pending', 'signed'] }, lastLedgerSequence: { $lt: validatedLedger } },
+      { $set: { status: 'expired' } }
+    );
+
+    // Signature importée pour cette opération : la soumettre
+    const signed = await SigningRequest.findOne({ reference, status: 'signed' });
+    if (signed) {
+      signed.status = 'submitted';
+      signed.submittedAt = new Date();
+      await signed.save();
+      return { tx_blob: signed.signedBlob, hash: signed.hash };
+    }
+
+    const open = await SigningRequest.findOne({ status: { $in: ['pending', 'signed'] } });
+    if (open) {
+      throw deferredError(open.reference === reference
+        ? `Waiting for offline signature (request ${open._id})`
+        : `Waiting for offline signature of another transaction (request ${open._id})`);
+    }
+
+    const request = await SigningRequest.create({
+      reference,
+      purpose,
+      txJson: prepared,
+      unsignedBlob: encode(JSON.parse(JSON.stringify(prepared))),
+      lastLedgerSequence: prepared.LastLedgerSequence
+    });
+
+    console.log(`📝 Offline signing request ${request._id} created (${purpose} ${reference})`);
+
+    throw deferredError(`Waiting for offline signature (request ${request._id})`);
+  }
+
+  /**
+   * Importer le blob signé d'une demande
+   */
+  async importSignedBlob(requestId, txBlob, userId) {
+    const request = await SigningRequest.findById(requestId);
+
+    if (!request) {
+      return null;
+    }
+
+    if (request.status !== 'pending') {
+      throw new Error(`Cannot import a signature for a ${request.status} request`);
+    }
+
+    const signed = verifySignedBlob(txBlob, request.txJson, this.address);
+
+    request.status = 'signed';
+    request.signedBlob = signed.tx_blob;
+    request.hash = signed.hash;
+    request.signedAt = new Date();
+    request.importedBy = userId;
+    await request.save();
+
+    console.log(`✍️ Offline signature imported for request ${request._id} (${signed.hash})`);
+
+    return request;
+  }
+
+  getStatus() {
+    return { type: this.type, address: this.address, ready: true, ledgerWindow: this.ledgerWindow };
+  }
+}
+
+export default OfflineSigner;
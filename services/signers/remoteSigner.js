@@ -0,0 +1,63 @@
+import { SIGNER_CONFIG } from '../../config/signer.js';
+import { verifySignedBlob } from './signerUtils.js';
+
+/**
+ * Signeur distant : la seed vit dans un service HTTP séparé
+ *   GET  /address -> { address }
+ *   POST /sign    { tx_json } -> { tx_blob }
+ * Le blob renvoyé est vérifié (même transaction, signature valide) avant soumission.
+ */
+class RemoteSigner {
+  constructor() {
+    this.type = 'remote';
+    this.remoteAddress = null;
+  }
+
+  get address() {
+    return this.remoteAddress;
+  }
+
+  async initialize() {
+    const { address } = await this.call('GET', '/address');
+
+    if (!address) {
+      throw new Error('Remote signer did not return an address');
+    }
+
+    this.remoteAddress = address;
+    console.log(`🔏 Remote signer ready (${SIGNER_CONFIG.remote.url})`);
+  }
+
+  async sign(prepared) {
+    const { tx_blob: txBlob } = await this.call('POST', '/sign', { tx_json: prepared });
+    return verifySignedBlob(txBlob, prepared, this.address);
+  }
+
+  async call(method, path, body) {
+    const { url, token, timeout } = SIGNER_CONFIG.remote;
+
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`Remote signer error (${response.status}): ${data.message || response.statusText}`);
+    }
+
+    return data;
+  }
+
+  getStatus() {
+    return { type: this.type, address: this.address, ready: Boolean(this.remoteAddress), url: SIGNER_CONFIG.remote.url };
+  }
+}
+
+export default RemoteSigner;
@@ -0,0 +1,43 @@
+import { decode, encodeForSigning, hashes, verifySignature } from 'xrpl';
+
+/**
+ * Erreur "signature en attente" : le paiement reprendra plus tard sans compter d'échec
+ */
+export const deferredError = (message) => {
+  const error = new Error(message);
+  error.deferred = true;
+  return error;
+};
+
+// Retirer les champs undefined (non encodables)
+const clean = (tx) => JSON.parse(JSON.stringify(tx));
+
+/**
+ * Vérifier qu'un blob signé correspond exactement à la transaction préparée
+ * et porte une signature valide du compte attendu
+ * Retourne { tx_blob, hash }
+ */
+export const verifySignedBlob = (txBlob, expectedTx, expectedAccount) => {
+  let tx;
+  try {
+    tx = decode(txBlob);
+  } catch (error) {
+    throw new Error('Invalid signed blob');
+  }
+
+  if (tx.Account !== expectedAccount) {
+    throw new Error(`Signed transaction account mismatch: ${tx.Account}`);
+  }
+
+  // SigningPubKey est ajouté par le signeur : seul le reste doit être identique
+  const expected = { ...clean(expectedTx), SigningPubKey: tx.SigningPubKey };
+  if (encodeForSigning(clean(tx)) !== encodeForSigning(expected)) {
+    throw new Error('Signed transaction does not match the prepared transaction');
+  }
+
+  if (!tx.Signers && !verifySignature(txBlob)) {
+    throw new Error('Invalid transaction signature');
+  }
+
+  return { tx_blob: txBlob, hash: hashes.hashSignedTx(txBlob) };
+};
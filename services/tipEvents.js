@@ -0,0 +1,153 @@
+import { EventEmitter } from 'events';
+
+// Configuration du flux d'événements
+const EVENTS_CONFIG = {
+  // Événements gardés en mémoire pour la reprise (Last-Event-ID)
+  bufferSize: parseInt(process.env.TIP_EVENTS_BUFFER_SIZE) || 500
+};
+
+export const TIP_EVENT_TYPES = ['tip.detected', 'tip.confirmed', 'tip.redistributed', 'tip.failed'];
+export const GOAL_EVENT_TYPES = ['goal.completed'];
+
+// Champs visibles par tous ; les autres sont réservés au créateur et aux admins
+const PUBLIC_FIELDS = ['creatorUsername', 'amount', 'currency', 'issuer', 'message', 'senderName', 'status', 'redistributed', 'createdAt', 'confirmedAt'];
+const PRIVATE_FIELDS = ['senderAddress', 'transactionHash', 'ledgerIndex', 'totalAmount', 'deliveredValue', 'creatorAmount', 'platformFee', 'redistributionTxHash', 'rejectionReason'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]])
+);
+
+/**
+ * Bus des événements de tips (flux temps réel, overlays, webhooks...)
+ *
+ * Les ids sont croissants, y compris d'un redémarrage à l'autre : un client
+ * dont le dernier id est antérieur au buffer doit recharger via l'API REST.
+ */
+class TipEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.buffer = [];
+    this.lastId = Date.now() * 1000;
+  }
+
+  /**
+   * Publier un événement sur un tip (document Tip ou objet de même forme)
+   * extra : détails supplémentaires (réservés au créateur et aux admins)
+   */
+  publish(type, tip, extra = {}) {
+    try {
+      const source = typeof tip.toObject === 'function' ? tip.toObject() : tip;
+
+      return this.record({
+        type,
+        creator: source.creator?._id?.toString() || source.creator?.toString() || null,
+        tip: {
+          id: source._id?.toString() || null,
+          ...pick(source, PUBLIC_FIELDS)
+        },
+        private: {
+          ...pick(source, PRIVATE_FIELDS),
+          ...extra
+        }
+      });
+    } catch (error) {
+      // Un abonné défaillant ne doit jamais casser le traitement d'un paiement
+      console.error(`❌ Error publishing ${type} event:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Publier goal.completed pour les objectifs atteints retournés par creator.refreshStats()
+   */
+  publishCompletedGoals(creator, goals) {
+    goals.forEach(goal => this.publishGoal('goal.completed', creator, goal));
+  }
+
+  /**
+   * Publier un événement sur un objectif de financement d'un créateur (public)
+   */
+  publishGoal(type, creator, goal) {
+    try {
+      return this.record({
+        type,
+        creator: creator._id.toString(),
+        goal: {
+          ...goal.toProgressJSON(),
+          id: goal._id.toString(),
+          creatorUsername: creator.username
+        },
+        private: {}
+      });
+    } catch (error) {
+      console.error(`❌ Error publishing ${type} event:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Numéroter, garder en mémoire et diffuser un événement
+   */
+  record(fields) {
+    const event = {
+      id: ++this.lastId,
+      at: new Date(),
+      ...fields
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > EVENTS_CONFIG.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Événements postérieurs à lastEventId (filtre optionnel)
+   * Retourne null si la reprise est impossible (événements sortis du buffer)
+   */
+  since(lastEventId, filter = () => true) {
+    const oldest = this.buffer[0];
+
+    if (oldest && lastEventId < oldest.id - 1) {
+      return null;
+    }
+    if (!oldest && lastEventId < this.lastId) {
+      return null;
+    }
+
+    return this.buffer.filter(event => event.id > lastEventId && filter(event));
+  }
+
+  /**
+   * Vue d'un événement pour un abonné (champs privés selon ses droits)
+   */
+  toPayload(event, { includePrivate = false } = {}) {
+    if (event.goal) {
+      return {
+        id: event.id,
+        type: event.type,
+        at: event.at,
+        creator: event.creator,
+        goal: event.goal
+      };
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      at: event.at,
+      creator: event.creator,
+      tip: includePrivate ? { ...event.tip, ...event.private } : event.tip
+    };
+  }
+}
+
+const tipEvents = new TipEventBus();
+
+export default tipEvents;
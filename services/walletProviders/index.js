@@ -0,0 +1,34 @@
+import XamanProvider from './xamanProvider.js';
+import MockProvider from './mockProvider.js';
+
+const PROVIDERS = {
+  xaman: XamanProvider,
+  mock: MockProvider
+};
+
+/**
+ * Créer le fournisseur de demandes de signature (wallet du tippeur)
+ *
+ * Interface commune :
+ *   name
+ *   createPayload(txJson, { reference, instruction, expiresInMinutes, returnUrl })
+ *                                -> { providerId, deepLink, qrUrl, expiresAt }
+ *   getPayload(providerId)       -> { status: pending|signed|rejected|expired|cancelled,
+ *                                     txHash, account, validated }
+ *                                (validated = true seulement si le fournisseur garantit la validation on-ledger)
+ *   cancelPayload(providerId)
+ *   parseCallback(body)          -> providerId (le résultat est toujours relu via getPayload)
+ */
+export const createWalletProvider = (type) => {
+  const Provider = PROVIDERS[type];
+
+  if (!Provider) {
+    throw new Error(`Unknown sign request provider: ${type} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  if (type === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock sign request provider cannot be used in production');
+  }
+
+  return new Provider();
+};
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { SIGN_REQUEST_CONFIG } from '../../config/signRequest.js';
+
+/**
+ * Fournisseur simulé (développement, démos hors ligne)
+ * Les payloads vivent en mémoire ; POST /api/sign-requests/mock/:providerId/sign|reject
+ * joue le rôle du wallet puis du webhook. Un paiement "signé" est considéré validé :
+ * le tip est confirmé sans passer par le ledger (refusé en production).
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.payloads = new Map();
+  }
+
+  async createPayload(txJson, { expiresInMinutes }) {
+    const providerId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    this.payloads.set(providerId, {
+      txJson,
+      expiresAt,
+      status: 'pending',
+      txHash: null,
+      account: null
+    });
+
+    return {
+      providerId,
+      deepLink: `${SIGN_REQUEST_CONFIG.mock.baseUrl}/api/sign-requests/mock/${providerId}`,
+      qrUrl: null,
+      expiresAt
+    };
+  }
+
+  async getPayload(providerId) {
+    const payload = this.payloads.get(providerId);
+
+    if (!payload) {
+      throw new Error(`Unknown mock payload: ${providerId}`);
+    }
+
+    if (payload.status === 'pending' && payload.expiresAt <= new Date()) {
+      payload.status = 'expired';
+    }
+
+    return {
+      status: payload.status,
+      txHash: payload.txHash,
+      account: payload.account,
+      validated: payload.status === 'signed'
+    };
+  }
+
+  async cancelPayload(providerId) {
+    const payload = this.payloads.get(providerId);
+
+    if (payload && payload.status === 'pending') {
+      payload.status = 'cancelled';
+    }
+  }
+
+  parseCallback(body) {
+    return body?.providerId || null;
+  }
+
+  /**
+   * Simuler la décision du tippeur dans son wallet
+   */
+  resolve(providerId, { signed, account }) {
+    const payload = this.payloads.get(providerId);
+
+    if (!payload || payload.status !== 'pending' || payload.expiresAt <= new Date()) {
+      return null;
+    }
+
+    payload.status = signed ? 'signed' : 'rejected';
+    if (signed) {
+      payload.account = account || payload.txJson.Account || null;
+      payload.txHash = crypto.randomBytes(32).toString('hex').toUpperCase();
+    }
+
+    return payload;
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,98 @@
+import { SIGN_REQUEST_CONFIG } from '../../config/signRequest.js';
+
+/**
+ * Fournisseur Xaman (ex-XUMM) : API payload de la plateforme développeur
+ *   POST   /payload         { txjson, options, custom_meta } -> { uuid, next, refs }
+ *   GET    /payload/:uuid   -> { meta, response }
+ *   DELETE /payload/:uuid
+ * Le webhook (configuré dans la console Xaman) ne sert que de signal : le
+ * résultat est relu via l'API authentifiée, jamais pris depuis le corps reçu.
+ */
+class XamanProvider {
+  constructor() {
+    this.name = 'xaman';
+
+    const { apiKey, apiSecret } = SIGN_REQUEST_CONFIG.xaman;
+    if (!apiKey || !apiSecret) {
+      throw new Error('XAMAN_API_KEY and XAMAN_API_SECRET are required for the xaman provider');
+    }
+  }
+
+  async createPayload(txJson, { reference, instruction, expiresInMinutes, returnUrl }) {
+    const data = await this.call('POST', '/payload', {
+      txjson: txJson,
+      options: {
+        submit: true,
+        expire: expiresInMinutes,
+        ...(returnUrl && { return_url: { app: returnUrl, web: returnUrl } })
+      },
+      custom_meta: {
+        identifier: reference,
+        instruction
+      }
+    });
+
+    return {
+      providerId: data.uuid,
+      deepLink: data.next?.always,
+      qrUrl: data.refs?.qr_png || null,
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    };
+  }
+
+  async getPayload(providerId) {
+    const { meta = {}, response = {} } = await this.call('GET', `/payload/${providerId}`);
+
+    let status = 'pending';
+    if (meta.signed) {
+      status = 'signed';
+    } else if (meta.cancelled) {
+      status = 'cancelled';
+    } else if (meta.expired) {
+      status = 'expired';
+    } else if (meta.resolved) {
+      status = 'rejected';
+    }
+
+    return {
+      status,
+      txHash: response.txid || null,
+      account: response.account || null,
+      // Soumis par Xaman, mais la validation se vérifie sur le ledger
+      validated: false
+    };
+  }
+
+  async cancelPayload(providerId) {
+    await this.call('DELETE', `/payload/${providerId}`);
+  }
+
+  parseCallback(body) {
+    return body?.payloadResponse?.payload_uuidv4 || body?.meta?.payload_uuidv4 || null;
+  }
+
+  async call(method, path, body) {
+    const { apiUrl, apiKey, apiSecret, timeout } = SIGN_REQUEST_CONFIG.xaman;
+
+    const response = await fetch(`${apiUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': apiKey,
+        'X-API-Secret': apiSecret
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`Xaman API error (${response.status}): ${data.error?.reference || data.message || response.statusText}`);
+    }
+
+    return data;
+  }
+}
+
+export default XamanProvider;
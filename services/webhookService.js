@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import WebhookEndpoint, { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import tipEvents from './tipEvents.js';
+import { jsonReplacer } from '../utils/money.js';
+
+// Configuration des webhooks sortants
+const WEBHOOK_CONFIG = {
+  pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 15000, // ms
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // ms
+  baseDelay: 30 * 1000, // 30s, doublé à chaque échec
+  maxDelay: 6 * 60 * 60 * 1000, // 6h
+  maxEndpointsPerCreator: 10
+};
+
+// Plages privées refusées en production (l'API ne doit pas appeler le réseau interne)
+const PRIVATE_HOST_PATTERN = /^(localhost|.*\.localhost|.*\.internal|127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|\[?::1\]?$|\[?f[cd][0-9a-f]{2}:|\[?fe80:)/i;
+
+/**
+ * Webhooks sortants signés (HMAC-SHA256) : une livraison par événement et par endpoint,
+ * file persistante avec retries exponentiels, renvoi manuel et ping de test
+ *
+ * Signature : header X-XrpTip-Signature "t=<timestamp>,v1=<hex>", calculée sur
+ * "<timestamp>.<corps brut>" avec le secret de l'endpoint
+ */
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.listener = null;
+  }
+
+  /**
+   * Démarrer le worker et s'abonner aux événements de tips
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.listener = (event) => {
+      if (!WEBHOOK_EVENTS.includes(event.type) || !event.creator) {
+        return;
+      }
+
+      const payload = tipEvents.toPayload(event, { includePrivate: true });
+
+      // Objectif : un seul événement par objectif, même si le calcul est relancé
+      this.dispatch(event.type, event.creator, {
+        eventId: payload.goal ? `goal_${payload.goal.id}_${event.type.split('.')[1]}` : `evt_${event.id}`,
+        createdAt: event.at,
+        data: payload.goal ? { goal: payload.goal } : { tip: payload.tip }
+      });
+    };
+    tipEvents.on('event', this.listener);
+
+    // Livraisons restées "processing" après un arrêt brutal : les remettre en file
+    const { modifiedCount } = await WebhookDelivery.updateMany(
+      { status: 'processing' },
+      { $set: { status: 'pending', nextAttemptAt: new Date() } }
+    );
+
+    if (modifiedCount > 0) {
+      console.log(`🔁 ${modifiedCount} webhook deliver${modifiedCount > 1 ? 'ies' : 'y'} requeued after restart`);
+    }
+
+    this.timer = setInterval(() => this.processDueDeliveries(), WEBHOOK_CONFIG.pollInterval);
+    console.log('✅ Webhook worker started');
+
+    this.processDueDeliveries();
+  }
+
+  /**
+   * Arrêter le worker
+   */
+  stop() {
+    if (this.listener) {
+      tipEvents.off('event', this.listener);
+      this.listener = null;
+    }
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('✅ Webhook worker stopped');
+    }
+  }
+
+  /**
+   * Vérifier l'URL d'un endpoint (HTTPS et hôte public en production)
+   */
+  assertValidUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw Object.assign(new Error('Invalid webhook URL'), { status: 400 });
+    }
+
+    const production = process.env.NODE_ENV === 'production';
+
+    if (url.protocol !== 'https:' && (production || url.protocol !== 'http:')) {
+      throw Object.assign(new Error(`Webhook URL must use HTTPS${production ? '' : ' (or HTTP outside production)'}`), { status: 400 });
+    }
+
+    if (production && PRIVATE_HOST_PATTERN.test(url.hostname)) {
+      throw Object.assign(new Error('Webhook URL must point to a public host'), { status: 400 });
+    }
+  }
+
+  /**
+   * Enregistrer un endpoint (le secret n'est retourné qu'ici)
+   */
+  async createEndpoint(creator, { url, events, description }) {
+    this.assertValidUrl(url);
+
+    const count = await WebhookEndpoint.countDocuments({ creator: creator._id });
+    if (count >= WEBHOOK_CONFIG.maxEndpointsPerCreator) {
+      throw Object.assign(new Error(`Maximum ${WEBHOOK_CONFIG.maxEndpointsPerCreator} webhook endpoints per creator`), { status: 409 });
+    }
+
+    const endpoint = new WebhookEndpoint({
+      creator: creator._id,
+      url,
+      events: [...new Set(events)],
+      description
+    });
+    const secret = endpoint.generateSecret();
+    await endpoint.save();
+
+    console.log(`🪝 Webhook endpoint ${endpoint._id} registered for ${creator.username}`);
+    return { endpoint, secret };
+  }
+
+  /**
+   * Mettre en file un événement pour les endpoints abonnés du créateur (ne lève jamais)
+   */
+  async dispatch(type, creatorId, { eventId, createdAt = new Date(), data }) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ creator: creatorId, isActive: true, events: type });
+      if (endpoints.length === 0) {
+        return [];
+      }
+
+      const body = JSON.stringify({ id: eventId, type, createdAt, data }, jsonReplacer);
+
+      const deliveries = await WebhookDelivery.insertMany(
+        endpoints.map(endpoint => ({
+          endpoint: endpoint._id,
+          creator: creatorId,
+          event: type,
+          eventId,
+          body,
+          maxAttempts: WEBHOOK_CONFIG.maxAttempts
+        })),
+        { ordered: false }
+      ).catch((error) => {
+        // Événement déjà en file pour certains endpoints (publié deux fois)
+        if (error.code === 11000) {
+          return error.insertedDocs || [];
+        }
+        throw error;
+      });
+
+      if (this.timer) {
+        setImmediate(() => this.processDueDeliveries());
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Error dispatching ${type} webhook:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Livrer toutes les livraisons arrivées à échéance, une par une
+   */
+  async processDueDeliveries() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      let delivery;
+      while ((delivery = await this.claimNextDelivery())) {
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error('❌ Webhook worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Réserver atomiquement la prochaine livraison à échéance
+   */
+  claimNextDelivery() {
+    return WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Signer un corps de requête
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Exécuter une tentative de livraison (échecs : retry planifié ou échec définitif)
+   */
+  async attempt(delivery, { manual = false } = {}) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+
+    if (!endpoint || !endpoint.isActive) {
+      delivery.attempts = delivery.maxAttempts;
+      return delivery.recordAttempt({ durationMs: 0, error: 'Endpoint deleted or disabled', manual }, 0);
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'xrpTip-Webhooks/1.0',
+          'X-XrpTip-Event': delivery.event,
+          'X-XrpTip-Event-Id': delivery.eventId,
+          'X-XrpTip-Delivery': delivery._id.toString(),
+          'X-XrpTip-Timestamp': String(timestamp),
+          'X-XrpTip-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        // Une redirection est un échec : elle pourrait viser un hôte interne
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeout)
+      });
+
+      responseStatus = response.status;
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `Timeout after ${WEBHOOK_CONFIG.timeout}ms`
+        : `${requestError.message}${requestError.cause?.code ? ` (${requestError.cause.code})` : ''}`;
+    }
+
+    const delay = Math.min(
+      WEBHOOK_CONFIG.baseDelay * 2 ** (delivery.attempts - 1),
+      WEBHOOK_CONFIG.maxDelay
+    );
+
+    await delivery.recordAttempt({ responseStatus, durationMs: Date.now() - startedAt, error, manual }, delay);
+
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: error ? 'failed' : 'succeeded' } }
+    );
+
+    if (!error) {
+      console.log(`🪝 Webhook ${delivery.event} delivered to endpoint ${endpoint._id} (${responseStatus})`);
+    } else if (delivery.status === 'failed') {
+      console.error(`☠️ Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${error}`);
+    } else {
+      console.error(`❌ Webhook delivery ${delivery._id} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retry in ${delay / 1000}s: ${error}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Renvoyer une livraison tout de suite (même corps et même eventId)
+   */
+  async resend(delivery) {
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: { $ne: 'processing' } },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw Object.assign(new Error('Delivery is being sent'), { status: 409 });
+    }
+
+    return this.attempt(claimed, { manual: true });
+  }
+
+  /**
+   * Envoyer un ping de test (une seule tentative, résultat immédiat)
+   */
+  async ping(endpoint) {
+    const eventId = `ping_${crypto.randomUUID()}`;
+
+    const delivery = await WebhookDelivery.create({
+      endpoint: endpoint._id,
+      creator: endpoint.creator,
+      event: 'ping',
+      eventId,
+      body: JSON.stringify({
+        id: eventId,
+        type: 'ping',
+        createdAt: new Date(),
+        data: { endpoint: endpoint._id, events: endpoint.events }
+      }),
+      status: 'processing',
+      attempts: 1,
+      maxAttempts: 1
+    });
+
+    return this.attempt(delivery, { manual: true });
+  }
+}
+
+const webhookService = new WebhookService();
+
+export default webhookService;
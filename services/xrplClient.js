@@ -1,9 +1,41 @@
-import { Client } from 'xrpl';
+import { EventEmitter } from 'events';
+import { Client, isValidClassicAddress } from 'xrpl';
+import { XRPL_CONFIG } from '../config/xrpl.js';
+import { findAcceptedToken, fromCurrencyCode, toCurrencyCode } from '../config/tokens.js';
+import { toDrops, fromDrops, mulDiv, hasExtraDecimals } from '../utils/money.js';
 
-class XRPLClient {
+// TransferRate XRPL : 1 000 000 000 = aucun frais de transfert
+export const TRANSFER_RATE_NONE = 1000000000n;
+
+// États rippled considérés comme sains pour servir nos requêtes
+const HEALTHY_SERVER_STATES = ['full', 'proposing', 'validating'];
+
+// Erreurs xrpl.js indiquant une coupure du websocket (la requête peut être rejouée)
+const CONNECTION_ERRORS = ['DisconnectedError', 'NotConnectedError', 'ConnectionError'];
+
+/**
+ * Client XRPL partagé : failover multi-endpoints, sonde de santé et reconnexion
+ * automatique avec backoff. Les abonnements sont ré-émis après chaque reconnexion.
+ *
+ * Événements : 'connected', 'disconnected', 'reconnecting', 'unhealthy', 'resubscribed'
+ */
+class XRPLClient extends EventEmitter {
   constructor() {
+    super();
     this.client = null;
     this.isConnected = false;
+    this.url = null;
+    this.endpointIndex = 0;
+    this.connecting = null;
+    this.closing = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.healthTimer = null;
+    this.lastHealthCheck = null;
+    this.hasConnectedOnce = false;
+    // Abonnements actifs (id -> { address, callback, onReconnect })
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
   }
 
   /**
@@ -14,34 +46,269 @@ class XRPLClient {
       return this.client;
     }
 
-    try {
-      const network = process.env.XRPL_NETWORK === 'mainnet'
-        ? 'wss://xrplcluster.com'
-        : 'wss://s.altnet.rippletest.net:51233';
+    if (!this.connecting) {
+      this.closing = false;
+      this.connecting = this.establishConnection().finally(() => {
+        this.connecting = null;
+      });
+    }
 
-      console.log(`🔗 Connexion au réseau XRPL: ${process.env.XRPL_NETWORK || 'testnet'}`);
-      
-      this.client = new Client(network);
-      await this.client.connect();
-      
-      this.isConnected = true;
-      console.log('✅ Connecté au réseau XRPL');
-      
-      return this.client;
+    return this.connecting;
+  }
+
+  /**
+   * Ouvrir une connexion saine puis restaurer les abonnements
+   */
+  async establishConnection() {
+    const client = await this.openHealthyEndpoint();
+    const reconnected = this.hasConnectedOnce;
+
+    this.attachClient(client);
+    this.hasConnectedOnce = true;
+
+    if (reconnected) {
+      try {
+        await this.resubscribeAll();
+      } catch (error) {
+        console.error('❌ Erreur lors du réabonnement XRPL:', error);
+        this.handleConnectionLost('resubscribe failed');
+        throw error;
+      }
+    }
+
+    console.log(`✅ Connecté au réseau XRPL (${this.url})`);
+    this.emit('connected', { url: this.url, network: XRPL_CONFIG.network, reconnected });
+
+    return client;
+  }
+
+  /**
+   * Essayer les endpoints en rotation jusqu'à en trouver un sain
+   */
+  async openHealthyEndpoint() {
+    const { endpoints } = XRPL_CONFIG;
+    let lastError = null;
+
+    for (let i = 0; i < endpoints.length; i++) {
+      const index = (this.endpointIndex + i) % endpoints.length;
+      const url = endpoints[index];
+
+      console.log(`🔗 Connexion au réseau XRPL: ${XRPL_CONFIG.network} (${url})`);
+
+      const client = new Client(url, { connectionTimeout: XRPL_CONFIG.connectionTimeout });
+
+      try {
+        await client.connect();
+        await this.probe(client);
+
+        this.endpointIndex = index;
+        this.url = url;
+        return client;
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ Erreur de connexion XRPL (${url}):`, error.message);
+        this.retireClient(client);
+      }
+    }
+
+    throw lastError || new Error('Aucun endpoint XRPL configuré');
+  }
+
+  /**
+   * Vérifier qu'un serveur est synchronisé et que son dernier ledger validé est récent
+   */
+  async probe(client) {
+    const response = await client.request({ command: 'server_info' });
+    const info = response.result.info;
+
+    if (!HEALTHY_SERVER_STATES.includes(info.server_state)) {
+      throw new Error(`Server state is ${info.server_state}`);
+    }
+
+    if (!info.validated_ledger) {
+      throw new Error('No validated ledger');
+    }
+
+    if (info.validated_ledger.age > XRPL_CONFIG.maxLedgerAge) {
+      throw new Error(`Validated ledger is ${info.validated_ledger.age}s old`);
+    }
+
+    return info;
+  }
+
+  /**
+   * Brancher un client connecté : dispatch des transactions, détection des coupures
+   */
+  attachClient(client) {
+    this.client = client;
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    client.on('transaction', (data) => this.dispatchTransaction(data));
+    client.on('disconnected', (code) => {
+      if (client !== this.client || this.closing) {
+        return;
+      }
+      this.handleConnectionLost(`websocket closed (code ${code})`);
+    });
+
+    this.startHealthCheck();
+  }
+
+  /**
+   * Abandonner un client (xrpl.js planifie sa propre reconnexion sur le même endpoint)
+   */
+  retireClient(client) {
+    client.removeAllListeners();
+    client.on('error', () => {});
+    client.on('connected', () => {
+      client.disconnect().catch(() => {});
+    });
+    setImmediate(() => {
+      client.disconnect().catch(() => {});
+    });
+  }
+
+  /**
+   * Connexion perdue ou serveur malsain : basculer sur l'endpoint suivant
+   */
+  handleConnectionLost(reason) {
+    const client = this.client;
+    const url = this.url;
+
+    this.client = null;
+    this.isConnected = false;
+    this.stopHealthCheck();
+
+    if (client) {
+      this.retireClient(client);
+    }
+
+    console.warn(`⚠️ Connexion XRPL perdue (${url}): ${reason}`);
+    this.emit('disconnected', { url, reason });
+
+    this.endpointIndex = (this.endpointIndex + 1) % XRPL_CONFIG.endpoints.length;
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Planifier une reconnexion avec backoff exponentiel
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
+    }
+
+    const { initialDelay, maxDelay } = XRPL_CONFIG.reconnect;
+    const delay = Math.min(initialDelay * 2 ** this.reconnectAttempts, maxDelay);
+    this.reconnectAttempts++;
+
+    console.log(`🔁 Reconnexion XRPL dans ${delay}ms (tentative ${this.reconnectAttempts})`);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      try {
+        await this.connect();
+      } catch (error) {
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Sonder périodiquement le serveur courant
+   */
+  startHealthCheck() {
+    this.stopHealthCheck();
+    this.healthTimer = setInterval(() => this.checkHealth(), XRPL_CONFIG.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  stopHealthCheck() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  async checkHealth() {
+    const client = this.client;
+
+    if (!client) {
+      return;
+    }
+
+    try {
+      await this.probe(client);
+      this.lastHealthCheck = new Date();
     } catch (error) {
-      console.error('❌ Erreur de connexion XRPL:', error);
-      throw error;
+      if (client !== this.client) {
+        return;
+      }
+
+      console.warn(`⚠️ Serveur XRPL malsain (${this.url}): ${error.message}`);
+      this.emit('unhealthy', { url: this.url, reason: error.message });
+      this.handleConnectionLost(error.message);
+    }
+  }
+
+  /**
+   * Ré-émettre tous les abonnements après une reconnexion
+   */
+  async resubscribeAll() {
+    const accounts = new Set();
+
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.onReconnect) {
+        try {
+          await subscription.onReconnect();
+        } catch (error) {
+          console.error(`❌ Erreur du hook de reconnexion (${subscription.address}):`, error);
+        }
+      }
+      accounts.add(subscription.address);
+    }
+
+    if (accounts.size === 0) {
+      return;
     }
+
+    await this.client.request({
+      command: 'subscribe',
+      accounts: [...accounts]
+    });
+
+    console.log(`🔁 Réabonné à ${accounts.size} compte(s) XRPL`);
+    this.emit('resubscribed', { accounts: [...accounts] });
   }
 
   /**
    * Déconnecter du réseau XRPL
    */
   async disconnect() {
+    this.closing = true;
+    this.stopHealthCheck();
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
     if (this.client && this.isConnected) {
-      await this.client.disconnect();
+      const client = this.client;
+      this.client = null;
       this.isConnected = false;
+
+      await client.disconnect();
       console.log('🔌 Déconnecté du réseau XRPL');
+      this.emit('disconnected', { url: this.url, reason: 'intentional' });
     }
   }
 
@@ -55,13 +322,69 @@ class XRPLClient {
     return this.client;
   }
 
+  /**
+   * Envoyer une requête rippled sur la connexion partagée
+   * (rejouée une fois après reconnexion si le websocket tombe en cours de route)
+   */
+  async request(req) {
+    return this.withReconnect(client => client.request(req));
+  }
+
+  /**
+   * Compléter une transaction (Fee, Sequence, LastLedgerSequence)
+   */
+  async autofill(tx) {
+    return this.withReconnect(client => client.autofill(tx));
+  }
+
+  /**
+   * Soumettre une transaction signée et attendre sa validation
+   * Rejouer le même blob est sans risque : même hash, appliqué au plus une fois
+   */
+  async submitAndWait(txBlob) {
+    return this.withReconnect(client => client.submitAndWait(txBlob));
+  }
+
+  /**
+   * Exécuter une opération et la rejouer une fois sur la nouvelle connexion
+   * si la connexion a été perdue pendant l'appel
+   */
+  async withReconnect(operation) {
+    try {
+      const client = await this.getClient();
+      return await operation(client);
+    } catch (error) {
+      if (!CONNECTION_ERRORS.includes(error?.name)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Connexion XRPL perdue pendant la requête (${error.name}) - nouvel essai`);
+      const client = await this.getClient();
+      return operation(client);
+    }
+  }
+
+  /**
+   * État de la connexion (exposé par le health check)
+   */
+  getStatus() {
+    return {
+      network: XRPL_CONFIG.network,
+      connected: this.isConnected,
+      url: this.url,
+      endpoints: XRPL_CONFIG.endpoints,
+      reconnectAttempts: this.reconnectAttempts,
+      lastHealthCheck: this.lastHealthCheck,
+      subscriptions: [...new Set([...this.subscriptions.values()].map(s => s.address))]
+    };
+  }
+
   /**
    * Vérifier si une adresse XRP est valide
    */
   isValidAddress(address) {
     try {
-      const { Client } = require('xrpl');
-      return Client.isValidClassicAddress(address);
+      return isValidClassicAddress(address);
     } catch (error) {
       return false;
     }
@@ -72,8 +395,7 @@ class XRPLClient {
    */
   async getAccountInfo(address) {
     try {
-      const client = await this.getClient();
-      const response = await client.request({
+      const response = await this.request({
         command: 'account_info',
         account: address,
         ledger_index: 'validated'
@@ -90,13 +412,15 @@ class XRPLClient {
    */
   async getTransaction(txHash) {
     try {
-      const client = await this.getClient();
-      const response = await client.request({
+      const response = await this.request({
         command: 'tx',
         transaction: txHash,
         binary: false
       });
-      return response.result;
+
+      // API v2 : les champs de la transaction sont dans tx_json
+      const { tx_json: txJson, ...rest } = response.result;
+      return txJson ? { ...txJson, ...rest } : response.result;
     } catch (error) {
       console.error('Erreur lors de la récupération de la transaction:', error);
       throw error;
@@ -106,10 +430,19 @@ class XRPLClient {
   /**
    * Vérifier si une transaction est un paiement vers une adresse spécifique
    */
-  async verifyPayment(txHash, expectedDestination, expectedAmount = null) {
+  async verifyPayment(txHash, expectedDestination, expectedAmount = null, expectedToken = null) {
     try {
       const tx = await this.getTransaction(txHash);
 
+      // Pas encore dans un ledger validé : le résultat peut encore changer
+      if (!tx.validated) {
+        return {
+          valid: false,
+          inconclusive: true,
+          reason: 'Transaction not validated yet'
+        };
+      }
+
       if (tx.TransactionType !== 'Payment') {
         return {
           valid: false,
@@ -134,16 +467,45 @@ class XRPLClient {
         };
       }
 
-      const amountInXRP = tx.Amount ? parseFloat(tx.Amount) / 1000000 : 0;
+      // ✅ Montant réellement livré (protège contre les paiements partiels)
+      const delivered = this.getDeliveredAmount(tx.meta);
+
+      if (delivered.rejectionReason) {
+        return {
+          valid: false,
+          rejected: true,
+          reason: delivered.rejectionReason,
+          transaction: {
+            hash: tx.hash,
+            ledgerIndex: tx.ledger_index,
+            memos: tx.Memos || [],
+            invoiceId: tx.InvoiceID || null
+          }
+        };
+      }
+
+      const deliveredDrops = delivered.amount;
+
+      // La devise livrée doit correspondre à celle du tip
+      const expectedCurrency = expectedToken?.currency || 'XRP';
+      const expectedIssuer = expectedToken?.issuer || null;
+
+      if (delivered.currency !== expectedCurrency || delivered.issuer !== expectedIssuer) {
+        return {
+          valid: false,
+          reason: 'Wrong currency',
+          expected: expectedCurrency,
+          actual: delivered.currency
+        };
+      }
 
-      if (expectedAmount !== null) {
-        const tolerance = 0.000001;
-        if (Math.abs(amountInXRP - expectedAmount) > tolerance) {
+      if (expectedAmount !== null && expectedAmount !== undefined) {
+        if (deliveredDrops !== toDrops(expectedAmount)) {
           return {
             valid: false,
             reason: 'Wrong amount',
-            expected: expectedAmount,
-            actual: amountInXRP
+            expected: fromDrops(expectedAmount),
+            actual: fromDrops(deliveredDrops)
           };
         }
       }
@@ -154,18 +516,24 @@ class XRPLClient {
           hash: tx.hash,
           from: tx.Account,
           to: tx.Destination,
-          amount: amountInXRP,
+          amount: deliveredDrops,
+          value: delivered.value,
+          exact: delivered.exact,
+          currency: delivered.currency,
+          issuer: delivered.issuer,
           destinationTag: tx.DestinationTag, // ✅ Inclure le destination tag
           ledgerIndex: tx.ledger_index,
           date: tx.date,
-          fee: parseFloat(tx.Fee) / 1000000,
-          memos: tx.Memos || []
+          fee: BigInt(tx.Fee),
+          memos: tx.Memos || [],
+          invoiceId: tx.InvoiceID || null
         }
       };
     } catch (error) {
       console.error('Erreur lors de la vérification du paiement:', error);
       return {
         valid: false,
+        inconclusive: true,
         reason: 'Error verifying transaction',
         error: error.message
       };
@@ -177,11 +545,9 @@ class XRPLClient {
    */
   async getAccountTransactions(address, options = {}) {
     try {
-      const client = await this.getClient();
-      
       console.log(`📥 Fetching transactions for ${address}`);
       
-      const response = await client.request({
+      const response = await this.request({
         command: 'account_tx',
         account: address,
         limit: options.limit || 20,
@@ -210,10 +576,192 @@ class XRPLClient {
     }
   }
 
+  /**
+   * Récupérer une page de l'historique d'un compte (pagination par marker)
+   */
+  async getAccountTransactionsPage(address, options = {}) {
+    const response = await this.request({
+      command: 'account_tx',
+      account: address,
+      limit: options.limit || 200,
+      ledger_index_min: options.ledger_index_min ?? -1,
+      ledger_index_max: options.ledger_index_max ?? -1,
+      forward: options.forward || false,
+      ...(options.marker && { marker: options.marker })
+    });
+
+    return {
+      transactions: response.result.transactions || [],
+      marker: response.result.marker || null,
+      ledgerIndexMax: response.result.ledger_index_max
+    };
+  }
+
+  /**
+   * Obtenir l'index du dernier ledger validé
+   */
+  async getValidatedLedgerIndex() {
+    const response = await this.request({
+      command: 'ledger',
+      ledger_index: 'validated'
+    });
+    return response.result.ledger_index;
+  }
+
+  /**
+   * Normaliser un paiement entrant réussi (message du stream ou entrée account_tx)
+   * Retourne null si la transaction n'est pas un paiement réussi vers l'adresse
+   */
+  toPayment(data, address) {
+    const tx = data.tx_json || data.tx || data.transaction;
+
+    if (!tx || tx.TransactionType !== 'Payment' || tx.Destination !== address) {
+      return null;
+    }
+
+    if (data.meta && data.meta.TransactionResult !== 'tesSUCCESS') {
+      return null;
+    }
+
+    // ✅ Montant réellement livré : amount est null si le paiement doit être rejeté
+    const { amount, value, exact, currency, issuer, rejectionReason } = this.getDeliveredAmount(data.meta);
+
+    return {
+      hash: data.hash || tx.hash,
+      from: tx.Account,
+      to: tx.Destination,
+      amount,
+      value: value ?? null,
+      exact: exact ?? true,
+      currency: currency || 'XRP',
+      issuer: issuer || null,
+      rejectionReason,
+      ledgerIndex: data.ledger_index ?? tx.ledger_index,
+      destinationTag: tx.DestinationTag || null, // ✅ Inclure le destination tag
+      memos: tx.Memos || [],
+      invoiceId: tx.InvoiceID || null,
+      date: tx.date ? this.rippleTimeToDate(tx.date) : null
+    };
+  }
+
+  /**
+   * Montant réellement livré par un paiement (meta.delivered_amount), en drops (BigInt)
+   *
+   * Ne jamais créditer Amount / DeliverMax : avec tfPartialPayment, un paiement
+   * peut ne livrer qu'une fraction de son montant nominal.
+   * Tokens : value garde la valeur exacte livrée, exact est faux si amount (6 décimales) la tronque
+   */
+  getDeliveredAmount(meta) {
+    const delivered = meta?.delivered_amount;
+
+    if (delivered === undefined || delivered === null) {
+      return { amount: null, rejectionReason: 'delivered_amount missing from transaction metadata' };
+    }
+
+    if (delivered === 'unavailable') {
+      return { amount: null, rejectionReason: 'delivered_amount unavailable (legacy partial payment)' };
+    }
+
+    // Token (IOU) : uniquement ceux de l'allowlist, pour leur émetteur exact
+    if (typeof delivered !== 'string') {
+      const token = findAcceptedToken(delivered.currency, delivered.issuer);
+
+      if (!token) {
+        return {
+          amount: null,
+          currency: fromCurrencyCode(delivered.currency),
+          issuer: delivered.issuer || null,
+          rejectionReason: `Token not accepted: ${fromCurrencyCode(delivered.currency)} (${delivered.issuer})`
+        };
+      }
+
+      const amount = toDrops(delivered.value);
+
+      if (amount <= 0n) {
+        return { amount: null, currency: token.code, issuer: token.issuer, rejectionReason: 'Nothing delivered' };
+      }
+
+      return {
+        amount,
+        value: delivered.value,
+        exact: !hasExtraDecimals(delivered.value),
+        currency: token.code,
+        issuer: token.issuer,
+        rejectionReason: null
+      };
+    }
+
+    const amount = BigInt(delivered);
+
+    if (amount <= 0n) {
+      return { amount: null, currency: 'XRP', issuer: null, rejectionReason: 'Nothing delivered' };
+    }
+
+    return { amount, value: null, exact: true, currency: 'XRP', issuer: null, rejectionReason: null };
+  }
+
+  /**
+   * Récupérer la trust line d'un compte envers un émetteur (null si absente)
+   */
+  async getTrustLine(account, currency, issuer) {
+    try {
+      const code = toCurrencyCode(currency);
+      let marker;
+
+      do {
+        const response = await this.request({
+          command: 'account_lines',
+          account,
+          peer: issuer,
+          ledger_index: 'validated',
+          ...(marker && { marker })
+        });
+
+        const line = response.result.lines.find(l => l.currency === code);
+        if (line) {
+          return {
+            balance: toDrops(line.balance),
+            limit: toDrops(line.limit),
+            frozen: Boolean(line.freeze_peer),
+            noRipple: Boolean(line.no_ripple)
+          };
+        }
+
+        marker = response.result.marker;
+      } while (marker);
+
+      return null;
+    } catch (error) {
+      if (error.data?.error === 'actNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Taux de transfert d'un émetteur en milliardièmes (TRANSFER_RATE_NONE = pas de frais)
+   */
+  async getTransferRate(issuer) {
+    const info = await this.getAccountInfo(issuer);
+    const rate = info.account_data?.TransferRate;
+    return rate ? BigInt(rate) : TRANSFER_RATE_NONE;
+  }
+
+  /**
+   * Montant (drops) à prévoir pour livrer amount malgré le taux de transfert
+   */
+  applyTransferRate(amount, transferRate) {
+    return mulDiv(amount, transferRate, TRANSFER_RATE_NONE, 'up');
+  }
+
   /**
    * Surveiller les paiements entrants vers une adresse
+   *
+   * options.onReconnect est appelé après chaque reconnexion du websocket,
+   * avant que l'abonnement ne soit ré-émis (le serveur l'a perdu).
    */
-  async subscribeToPayments(address, callback) {
+  async subscribeToPayments(address, callback, options = {}) {
     try {
       const client = await this.getClient();
 
@@ -222,50 +770,53 @@ class XRPLClient {
         accounts: [address]
       });
 
-      const listener = (data) => {
-        if (!data || data.type !== 'transaction' || !data.validated) {
-          return;
-        }
+      const id = this.nextSubscriptionId++;
+      this.subscriptions.set(id, {
+        address,
+        callback,
+        onReconnect: options.onReconnect || null
+      });
 
-        const tx = data.tx_json || data.transaction;
-        
-        if (!tx) {
-          console.warn('⚠️ Transaction data missing in XRPL message');
-          return;
-        }
+      return async () => {
+        this.subscriptions.delete(id);
 
-        if (tx.TransactionType === 'Payment' && tx.Destination === address) {
-          const amountDrops = tx.DeliverMax || tx.Amount;
-          
-          const payment = {
-            hash: data.hash || tx.hash,
-            from: tx.Account,
-            to: tx.Destination,
-            amount: parseFloat(amountDrops) / 1000000,
-            ledgerIndex: data.ledger_index,
-            destinationTag: tx.DestinationTag || null, // ✅ Inclure le destination tag
-            memos: tx.Memos || []
-          };
+        const stillWatched = [...this.subscriptions.values()].some(s => s.address === address);
 
-          callback(payment);
+        if (!stillWatched && this.isConnected) {
+          await this.client.request({
+            command: 'unsubscribe',
+            accounts: [address]
+          });
         }
       };
-
-      client.on('transaction', listener);
-
-      return async () => {
-        client.off('transaction', listener);
-        await client.request({
-          command: 'unsubscribe',
-          accounts: [address]
-        });
-      };
     } catch (error) {
       console.error('Erreur lors de l\'abonnement aux paiements:', error);
       throw error;
     }
   }
 
+  /**
+   * Distribuer une transaction du stream aux abonnements concernés
+   */
+  dispatchTransaction(data) {
+    if (!data || data.type !== 'transaction' || !data.validated) {
+      return;
+    }
+
+    if (!data.tx_json && !data.transaction) {
+      console.warn('⚠️ Transaction data missing in XRPL message');
+      return;
+    }
+
+    for (const { address, callback } of this.subscriptions.values()) {
+      const payment = this.toPayment(data, address);
+
+      if (payment) {
+        callback(payment);
+      }
+    }
+  }
+
   /**
    * Convertir un timestamp XRPL en Date JavaScript
    */
@@ -275,17 +826,17 @@ class XRPLClient {
   }
 
   /**
-   * Convertir des drops en XRP
+   * Convertir des drops en XRP (chaîne décimale exacte)
    */
   dropsToXrp(drops) {
-    return parseFloat(drops) / 1000000;
+    return fromDrops(BigInt(drops));
   }
 
   /**
-   * Convertir des XRP en drops
+   * Convertir des XRP (décimal) en drops (BigInt)
    */
   xrpToDrops(xrp) {
-    return Math.floor(parseFloat(xrp) * 1000000);
+    return toDrops(xrp);
   }
 }
 
@@ -2,7 +2,24 @@ import xrplClient from './xrplClient.js';
 import Tip from '../models/Tip.js';
 import Creator from '../models/Creator.js';
 import redistributionService from './redistributionService.js';
-import { PLATFORM_WALLET_CONFIG } from '../config/platformWallet.js';
+import payoutQueue from './payoutQueue.js';
+import payoutScheduler from './payoutScheduler.js';
+import LedgerCursor from '../models/LedgerCursor.js';
+import UnattributedPayment from '../models/UnattributedPayment.js';
+import CreatorLedgerEntry from '../models/CreatorLedgerEntry.js';
+import PayoutJob from '../models/PayoutJob.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import TipQuote from '../models/TipQuote.js';
+import tipEvents from './tipEvents.js';
+import { decodeMemos, findInvoiceReference, extractTipperMemo } from '../utils/memos.js';
+import { toDrops, fromDrops } from '../utils/money.js';
+import { PLATFORM_WALLET_CONFIG, isPlatformWalletConfigured } from '../config/platformWallet.js';
+
+// Clé du curseur de synchronisation du wallet plateforme
+const PLATFORM_CURSOR_KEY = 'platformWallet';
+
+// Délai avant de relancer le rattrapage après un échec de traitement
+const BACKFILL_RETRY_DELAY = 30 * 1000;
 
 /**
  * Service pour gérer les transactions XRPL
@@ -10,6 +27,10 @@ import { PLATFORM_WALLET_CONFIG } from '../config/platformWallet.js';
 class XRPLService {
   constructor() {
     this.platformWalletSubscription = null;
+    this.platformQueue = Promise.resolve();
+    // Paiement non traité : le curseur reste figé jusqu'au prochain rattrapage réussi
+    this.platformCursorStalled = false;
+    this.backfillRetryTimer = null;
   }
 
   /**
@@ -20,8 +41,12 @@ class XRPLService {
       await xrplClient.connect();
       console.log('✅ XRPL Service initialized');
 
-      // Initialiser le service de redistribution
-      await redistributionService.initialize();
+      // Initialiser le service de redistribution et sa file de paiements
+      const redistributionReady = await redistributionService.initialize();
+      if (redistributionReady) {
+        await payoutQueue.start();
+        payoutScheduler.start();
+      }
 
       // Commencer à surveiller le wallet de la plateforme
       await this.monitorPlatformWallet();
@@ -33,149 +58,509 @@ class XRPLService {
 
   /**
    * Surveiller les paiements entrants vers le wallet de la plateforme
+   *
+   * Au démarrage et à chaque reconnexion, on rejoue d'abord les paiements manqués
+   * depuis le curseur persistant. Les paiements du stream live sont mis en file
+   * derrière ce rattrapage : ils ne sont traités qu'une fois l'historique rejoué.
    */
   async monitorPlatformWallet() {
     try {
       const platformAddress = PLATFORM_WALLET_CONFIG.address;
       
-      if (!platformAddress || platformAddress === 'rPlatformWalletHere123456789') {
+      if (!isPlatformWalletConfigured()) {
         console.warn('⚠️ Platform wallet not configured - skipping monitoring');
         return;
       }
 
       console.log(`👀 Monitoring platform wallet: ${platformAddress}`);
 
+      // Rattraper les paiements reçus pendant l'arrêt du serveur
+      this.schedulePlatformBackfill();
+
       // S'abonner aux paiements vers le wallet plateforme
       this.platformWalletSubscription = await xrplClient.subscribeToPayments(
         platformAddress,
-        async (payment) => {
-          console.log('💰 Platform wallet received payment:', payment);
-
-          try {
-            // Extraire le destinationTag
-            const destinationTag = payment.destinationTag;
-
-            if (!destinationTag) {
-              console.error('❌ No DestinationTag - cannot identify creator');
-              // Enregistrer quand même le tip comme "non attribué"
-              const unassignedTip = new Tip({
-                creator: null,
-                creatorUsername: 'unknown',
-                totalAmount: payment.amount,
-                amount: payment.amount,
-                senderAddress: payment.from,
-                destinationTag: null,
-                status: 'confirmed',
-                transactionHash: payment.hash,
-                ledgerIndex: payment.ledgerIndex,
-                confirmedAt: new Date(),
-                redistributed: false,
-                platformFee: 0,
-                creatorAmount: 0
-              });
-              await unassignedTip.save();
+        (payment) => {
+          this.enqueuePlatformTask(async () => {
+            // Un paiement précédent a échoué : le rattrapage rejouera celui-ci depuis le curseur
+            if (this.platformCursorStalled) {
               return;
             }
 
-            // ✅ Récupérer le créateur par destinationTag (recherche dans tous les tags valides)
-            const creator = await this.findCreatorByDestinationTag(destinationTag);
-
-            if (!creator) {
-              console.error(`❌ Creator with destinationTag ${destinationTag} not found`);
-              // Enregistrer comme non attribué
-              const unassignedTip = new Tip({
-                creator: null,
-                creatorUsername: 'unknown',
-                totalAmount: payment.amount,
-                amount: payment.amount,
-                senderAddress: payment.from,
-                destinationTag: destinationTag,
-                status: 'confirmed',
-                transactionHash: payment.hash,
-                ledgerIndex: payment.ledgerIndex,
-                confirmedAt: new Date(),
-                redistributed: false,
-                platformFee: 0,
-                creatorAmount: 0
-              });
-              await unassignedTip.save();
+            try {
+              await this.handlePlatformPayment(payment);
+            } catch (error) {
+              console.error(`❌ Error processing platform payment ${payment.hash} - cursor kept, retrying via backfill:`, error);
+              this.stallPlatformCursor();
               return;
             }
 
-            // Vérifier si le tip existe déjà
-            const existingTip = await Tip.findOne({ transactionHash: payment.hash });
-            
-            if (existingTip) {
-              console.log('⚠️ Tip already processed:', payment.hash);
-              return;
-            }
+            // Le ledger précédent est forcément entièrement traité
+            await LedgerCursor.advance(PLATFORM_CURSOR_KEY, payment.ledgerIndex - 1);
+          });
+        },
+        {
+          // Rattraper les paiements manqués pendant la coupure du websocket
+          onReconnect: () => {
+            this.schedulePlatformBackfill();
+          }
+        }
+      );
 
-            // Calculer les montants
-            const { calculateBackendFees } = await import('../config/platformWallet.js');
-            const { creatorAmount, platformFee } = calculateBackendFees(payment.amount);
+      console.log('✅ Platform wallet monitoring active');
 
-            // Créer le tip en DB
-            const tip = new Tip({
-              creator: creator._id,
-              creatorUsername: creator.username,
-              totalAmount: payment.amount,
-              amount: creatorAmount,
-              platformFee: platformFee,
-              creatorAmount: creatorAmount,
-              senderAddress: payment.from,
-              destinationTag: destinationTag, // ✅ Enregistrer le tag utilisé
-              status: 'confirmed',
-              transactionHash: payment.hash,
-              ledgerIndex: payment.ledgerIndex,
-              confirmedAt: new Date(),
-              redistributed: false
-            });
+    } catch (error) {
+      console.error('❌ Error monitoring platform wallet:', error);
+      throw error;
+    }
+  }
 
-            await tip.save();
+  /**
+   * Exécuter une tâche du wallet plateforme en série (backfill et paiements live)
+   */
+  enqueuePlatformTask(task) {
+    this.platformQueue = this.platformQueue
+      .then(task)
+      .catch((error) => {
+        console.error('❌ Error processing platform wallet task:', error);
+      });
+    return this.platformQueue;
+  }
+
+  /**
+   * Mettre en file un rattrapage depuis le curseur (relancé plus tard en cas d'échec)
+   */
+  schedulePlatformBackfill() {
+    return this.enqueuePlatformTask(async () => {
+      try {
+        await this.backfillPlatformWallet();
+        this.platformCursorStalled = false;
+      } catch (error) {
+        console.error('❌ Platform wallet backfill failed - cursor kept:', error);
+        this.stallPlatformCursor();
+      }
+    });
+  }
 
-            console.log(`✅ Tip recorded: ${payment.amount} XRP (creator: ${creatorAmount}, fee: ${platformFee})`);
+  /**
+   * Figer le curseur et programmer un nouveau rattrapage
+   */
+  stallPlatformCursor() {
+    this.platformCursorStalled = true;
 
-            // Déclencher la redistribution automatique
-            try {
-              const redistribution = await redistributionService.redistributeTip(
-                payment,
-                creator.xrpAddress,
-                payment.amount
-              );
-
-              // Mettre à jour le tip
-              tip.redistributed = true;
-              tip.redistributionTxHash = redistribution.txHash;
-              await tip.save();
-
-              // ✅ Mettre à jour les stats avec tous les destination tags valides
-              const validDestinationTags = creator.getAllValidDestinationTags();
-              const allTips = await Tip.find({
-                creator: creator._id,
-                destinationTag: { $in: validDestinationTags },
-                status: 'confirmed'
-              }).lean();
-
-              creator.stats.totalTips = allTips.length;
-              creator.stats.totalAmount = allTips.reduce((sum, t) => sum + t.amount, 0);
-              creator.stats.uniqueSupporters = [...new Set(allTips.map(t => t.senderAddress))].length;
-              await creator.save();
-
-              console.log(`✅ Redistribution complete: ${redistribution.txHash}`);
-            } catch (redistError) {
-              console.error('❌ Redistribution failed:', redistError);
-            }
+    if (this.backfillRetryTimer) {
+      return;
+    }
 
-          } catch (error) {
-            console.error('❌ Error processing platform wallet payment:', error);
-          }
+    this.backfillRetryTimer = setTimeout(() => {
+      this.backfillRetryTimer = null;
+      this.schedulePlatformBackfill();
+    }, BACKFILL_RETRY_DELAY);
+  }
+
+  /**
+   * Rejouer les paiements reçus sur le wallet plateforme depuis le dernier ledger traité
+   */
+  async backfillPlatformWallet() {
+    const platformAddress = PLATFORM_WALLET_CONFIG.address;
+    const cursor = await LedgerCursor.getLedgerIndex(PLATFORM_CURSOR_KEY);
+
+    // Premier démarrage : on part du ledger validé courant, sans rejouer tout l'historique
+    if (cursor === null) {
+      const ledgerIndex = await xrplClient.getValidatedLedgerIndex();
+      await LedgerCursor.advance(PLATFORM_CURSOR_KEY, ledgerIndex);
+      console.log(`📌 Platform wallet cursor initialized at ledger ${ledgerIndex}`);
+      return;
+    }
+
+    console.log(`⏪ Backfilling platform wallet from ledger ${cursor + 1}...`);
+
+    let marker = null;
+    let ledgerIndexMax = -1;
+    let replayed = 0;
+
+    do {
+      const page = await xrplClient.getAccountTransactionsPage(platformAddress, {
+        ledger_index_min: cursor + 1,
+        ledger_index_max: ledgerIndexMax,
+        forward: true,
+        marker
+      });
+
+      // Figer la borne haute sur la première page pour que le marker reste valide
+      ledgerIndexMax = page.ledgerIndexMax;
+
+      for (const txData of page.transactions) {
+        const payment = xrplClient.toPayment(txData, platformAddress);
+
+        if (payment) {
+          await this.handlePlatformPayment(payment);
+          replayed++;
         }
-      );
+      }
 
-      console.log('✅ Platform wallet monitoring active');
+      marker = page.marker;
+
+      // Sauvegarder la progression entre les pages
+      const lastTx = page.transactions[page.transactions.length - 1];
+      if (marker && lastTx) {
+        await LedgerCursor.advance(PLATFORM_CURSOR_KEY, lastTx.ledger_index - 1);
+      }
+    } while (marker);
+
+    await LedgerCursor.advance(PLATFORM_CURSOR_KEY, ledgerIndexMax);
+
+    console.log(`✅ Backfill complete: ${replayed} payments replayed up to ledger ${ledgerIndexMax}`);
+  }
+
+  /**
+   * Traiter un paiement reçu sur le wallet plateforme (live ou rejoué)
+   * Les erreurs sont propagées : l'appelant ne doit pas avancer le curseur au-delà
+   */
+  async handlePlatformPayment(payment) {
+    console.log('💰 Platform wallet received payment:', payment);
+
+    try {
+      // Vérifier si le tip existe déjà (les paiements peuvent être rejoués)
+      const existingTip = await Tip.findOne({ transactionHash: payment.hash });
+      
+      // Un tip en attente réservé par ce paiement (arrêt en cours de traitement) est repris
+      if (existingTip && existingTip.status !== 'pending') {
+        console.log('⚠️ Tip already processed:', payment.hash);
+
+        // Arrêt entre l'enregistrement du tip et sa mise en file : rattraper au replay
+        if (existingTip.totalAmount != null && !existingTip.redistributed &&
+            existingTip.status === 'confirmed') {
+          const creator = await Creator.findById(existingTip.creator);
+          await this.routeTip(existingTip, creator);
+        }
+
+        // Arrêt entre le rejet d'un token trop précis et son remboursement : rattraper au replay
+        if (existingTip.status === 'rejected' && existingTip.deliveredValue && !existingTip.refundTxHash) {
+          await payoutQueue.enqueueRefund({ tip: existingTip, reason: existingTip.rejectionReason });
+        }
+        return;
+      }
+
+      // Extraire le destinationTag
+      const destinationTag = payment.destinationTag;
+
+      // ✅ Tip en attente désigné par sa référence de paiement (memo facture ou InvoiceID)
+      const pendingTip = existingTip || await this.claimPendingTip(payment);
+
+      let creator;
+
+      if (pendingTip) {
+        // La référence désigne le créateur, même sans tag ou avec un tag d'un autre créateur
+        creator = await Creator.findById(pendingTip.creator);
+        console.log(`🧾 Payment ${payment.hash} matched pending tip ${pendingTip._id} (${pendingTip.paymentReference})`);
+      } else {
+        if (!destinationTag) {
+          console.error('❌ No DestinationTag - cannot identify creator');
+          // Enregistrer dans la boîte des paiements non attribués
+          await this.recordUnattributedPayment(payment, 'missing_tag');
+          return;
+        }
+
+        // ✅ Récupérer le créateur par destinationTag (recherche dans tous les tags valides)
+        creator = await this.findCreatorByDestinationTag(destinationTag);
+
+        if (!creator) {
+          console.error(`❌ Creator with destinationTag ${destinationTag} not found`);
+          // Enregistrer comme non attribué
+          await this.recordUnattributedPayment(payment, 'unknown_tag');
+          return;
+        }
+      }
+
+      const creatorId = pendingTip ? pendingTip.creator : creator._id;
+
+      // ✅ Paiement sans montant livré fiable : enregistrer le rejet, ne rien redistribuer
+      // Token au-delà de 6 décimales : le partage garderait le reste, renvoyer le paiement entier
+      const refundable = !payment.rejectionReason && payment.exact === false;
+      const rejectionReason = payment.rejectionReason ||
+        (refundable ? `Token amount ${payment.value} has more than 6 decimals` : null);
+
+      if (rejectionReason) {
+        console.error(`❌ Payment rejected (${payment.hash}): ${rejectionReason}`);
+        const rejectedTip = pendingTip || new Tip({
+          creator: creator._id,
+          creatorUsername: creator.username,
+          currency: payment.currency,
+          issuer: payment.issuer,
+          redistributed: false
+        });
+        rejectedTip.set({
+          senderAddress: payment.from,
+          destinationTag: destinationTag,
+          ...(refundable && { totalAmount: payment.amount, deliveredValue: payment.value })
+        });
+        await rejectedTip.reject(rejectionReason, payment.hash, payment.ledgerIndex);
+        tipEvents.publish('tip.failed', rejectedTip, { reason: rejectionReason });
+
+        if (refundable) {
+          await payoutQueue.enqueueRefund({ tip: rejectedTip, reason: rejectionReason });
+        }
+        return;
+      }
+
+      // Paiement vu sur le wallet plateforme, montant livré connu (avant calcul des frais)
+      const memo = extractTipperMemo(payment.memos);
+      tipEvents.publish('tip.detected', {
+        _id: pendingTip ? pendingTip._id : null,
+        creator: creatorId,
+        creatorUsername: pendingTip ? pendingTip.creatorUsername : creator.username,
+        amount: payment.amount,
+        currency: payment.currency,
+        issuer: payment.issuer,
+        message: pendingTip?.message || memo.message,
+        senderName: pendingTip?.senderName || memo.name,
+        status: 'pending',
+        senderAddress: payment.from,
+        transactionHash: payment.hash,
+        ledgerIndex: payment.ledgerIndex
+      });
+
+      // ✅ Rapprocher du devis désigné par la référence : signaler les paiements trop élevés ou insuffisants
+      const reference = findInvoiceReference(payment.memos);
+      const quoteMatch = pendingTip ? null : await TipQuote.matchPayment(creatorId, {
+        reference,
+        invoiceId: payment.invoiceId,
+        amount: payment.amount,
+        currency: payment.currency,
+        issuer: payment.issuer,
+        date: payment.date || new Date()
+      });
+
+      if (!pendingTip && !quoteMatch && (reference || payment.invoiceId)) {
+        console.warn(`⚠️ Payment reference ${reference || payment.invoiceId} matches no pending tip or open quote`);
+      }
+
+      if (quoteMatch && quoteMatch.status !== 'exact') {
+        console.warn(`⚠️ Payment ${payment.hash} ${quoteMatch.status} quote ${quoteMatch.quote._id} by ${fromDrops(quoteMatch.difference)} ${payment.currency}`);
+      }
+
+      if (pendingTip && pendingTip.amount !== payment.amount) {
+        console.warn(`⚠️ Payment ${payment.hash} amount ${fromDrops(payment.amount)} differs from pending tip amount ${fromDrops(pendingTip.amount)} ${payment.currency}`);
+      }
+
+      // Calculer les montants (grille du devis si rapproché, sinon grille en vigueur)
+      const { creatorAmount, platformFee, feeSchedule } = await FeeSchedule.computeFees(payment.amount, {
+        creator: creatorId,
+        currency: payment.currency,
+        issuer: payment.issuer,
+        ...(quoteMatch && { feeSchedule: quoteMatch.quote.feeSchedule })
+      });
+
+      // Créer le tip en DB (ou compléter le tip en attente : message et expéditeur conservés)
+      const tip = pendingTip || new Tip({
+        creator: creator._id,
+        creatorUsername: creator.username,
+        currency: payment.currency,
+        issuer: payment.issuer
+      });
+
+      // Message et nom du tippeur portés par les memos (sans écraser ceux déclarés à la création)
+      this.applyTipperMemo(tip, payment.memos);
+
+      tip.set({
+        totalAmount: payment.amount,
+        deliveredValue: payment.value,
+        amount: creatorAmount,
+        platformFee: platformFee,
+        creatorAmount: creatorAmount,
+        feeSchedule,
+        senderAddress: payment.from,
+        destinationTag: destinationTag, // ✅ Enregistrer le tag utilisé
+        quote: quoteMatch ? quoteMatch.quote._id : null,
+        quoteStatus: quoteMatch ? quoteMatch.status : null,
+        quoteDifference: quoteMatch ? quoteMatch.difference : null,
+        status: 'confirmed',
+        transactionHash: payment.hash,
+        ledgerIndex: payment.ledgerIndex,
+        confirmedAt: new Date(),
+        redistributed: false
+      });
+
+      await tip.save();
+
+      if (quoteMatch) {
+        quoteMatch.quote.tip = tip._id;
+        await quoteMatch.quote.save();
+      }
+
+      // Paiement reçu sur le wallet plateforme : source des alertes d'overlay
+      tipEvents.publish('tip.confirmed', tip, { source: 'platform' });
+
+      console.log(`✅ Tip recorded: ${fromDrops(payment.amount)} ${payment.currency} (creator: ${fromDrops(creatorAmount)}, fee: ${fromDrops(platformFee)})`);
+
+      await this.routeTip(tip, creator);
+
+      if (pendingTip && creator) {
+        tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+      }
 
     } catch (error) {
-      console.error('❌ Error monitoring platform wallet:', error);
+      console.error('❌ Error processing platform wallet payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Réserver le tip en attente désigné par un paiement (memo facture ou InvoiceID)
+   */
+  async claimPendingTip(payment) {
+    const reference = findInvoiceReference(payment.memos);
+
+    if (!reference && !payment.invoiceId) {
+      return null;
+    }
+
+    return Tip.claimByReference({
+      reference,
+      invoiceId: payment.invoiceId,
+      currency: payment.currency,
+      issuer: payment.issuer
+    }, payment.hash);
+  }
+
+  /**
+   * Compléter le message et le nom du tippeur depuis les memos du paiement
+   * Les valeurs déjà présentes (déclarées via POST /api/tips) sont conservées
+   */
+  applyTipperMemo(tip, memos) {
+    const { message, name } = extractTipperMemo(memos);
+
+    if (message && !tip.message) {
+      tip.message = message;
+    }
+    if (name && !tip.senderName) {
+      tip.senderName = name;
+    }
+  }
+
+  /**
+   * Mettre en file le paiement sortant d'un tip confirmé : redistribution immédiate,
+   * crédit du solde (versement groupé selon la politique du créateur), ou
+   * remboursement si le créateur est désactivé (retries gérés par la file persistante)
+   */
+  async routeTip(tip, creator) {
+    // Déjà orienté (replay) : la politique a pu changer depuis, ne pas payer deux fois
+    if (tip.payout ||
+        await CreatorLedgerEntry.exists({ tip: tip._id, type: 'credit' }) ||
+        await PayoutJob.exists({ tip: tip._id })) {
+      return null;
+    }
+
+    if (!creator || !creator.isActive) {
+      console.log(`↩️ Creator inactive or deleted, refunding tip ${tip._id}`);
+      return payoutQueue.enqueueRefund({ tip, reason: 'Creator inactive' });
+    }
+
+    if ((creator.payoutPolicy?.mode || 'immediate') !== 'immediate') {
+      return payoutScheduler.creditTip(tip);
+    }
+
+    return payoutQueue.enqueue(tip);
+  }
+
+  /**
+   * Enregistrer un paiement sans créateur identifiable (idempotent par hash)
+   */
+  async recordUnattributedPayment(payment, reason) {
+    const record = await UnattributedPayment.findOneAndUpdate(
+      { transactionHash: payment.hash },
+      {
+        $setOnInsert: {
+          ledgerIndex: payment.ledgerIndex,
+          senderAddress: payment.from,
+          amount: payment.amount,
+          currency: payment.currency,
+          issuer: payment.issuer,
+          rejectionReason: payment.rejectionReason,
+          destinationTag: payment.destinationTag ?? null,
+          memos: decodeMemos(payment.memos),
+          reason
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📭 Unattributed payment recorded: ${payment.hash} (${reason})`);
+    return record;
+  }
+
+  /**
+   * Attribuer un paiement non attribué à un créateur : tip confirmé + redistribution
+   */
+  async assignUnattributedPayment(recordId, creator, userId) {
+    // Réserver l'enregistrement (évite une double attribution concurrente)
+    const record = await UnattributedPayment.findOneAndUpdate(
+      { _id: recordId, status: 'unassigned', amount: { $ne: null } },
+      {
+        $set: {
+          status: 'assigned',
+          assignedCreator: creator._id,
+          assignedAt: new Date(),
+          assignedBy: userId
+        }
+      },
+      { new: true }
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    try {
+      // Grille en vigueur à la réception du paiement
+      const { creatorAmount, platformFee, feeSchedule } = await FeeSchedule.computeFees(record.amount, {
+        creator: creator._id,
+        currency: record.currency,
+        issuer: record.issuer,
+        date: record.createdAt
+      });
+
+      const tip = new Tip({
+        creator: creator._id,
+        creatorUsername: creator.username,
+        totalAmount: record.amount,
+        amount: creatorAmount,
+        currency: record.currency,
+        issuer: record.issuer,
+        platformFee: platformFee,
+        creatorAmount: creatorAmount,
+        feeSchedule,
+        senderAddress: record.senderAddress,
+        // Tag actuel du créateur : le tip compte dans ses stats et la redistribution l'utilise
+        destinationTag: creator.getCurrentDestinationTag(),
+        status: 'confirmed',
+        transactionHash: record.transactionHash,
+        ledgerIndex: record.ledgerIndex,
+        confirmedAt: new Date(),
+        redistributed: false
+      });
+
+      await tip.save();
+
+      record.tip = tip._id;
+      await record.save();
+
+      tipEvents.publish('tip.confirmed', tip);
+
+      console.log(`✅ Unattributed payment ${record.transactionHash} assigned to ${creator.username}`);
+
+      await this.routeTip(tip, creator);
+      tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
+
+      return record;
+    } catch (error) {
+      // Libérer l'enregistrement pour une nouvelle tentative
+      record.status = 'unassigned';
+      record.assignedCreator = undefined;
+      record.assignedAt = undefined;
+      record.assignedBy = undefined;
+      await record.save();
       throw error;
     }
   }
@@ -218,8 +603,11 @@ class XRPLService {
 
   /**
    * Vérifier et confirmer une transaction
+   * Le paiement est attendu sur le wallet plateforme quand il est configuré (options.direct :
+   * paiement trouvé sur l'adresse du créateur). Une vérification en échec ou non concluante
+   * laisse le tip en attente : seul un paiement portant la référence du tip peut le rejeter
    */
-  async verifyAndConfirmTip(tipId, txHash) {
+  async verifyAndConfirmTip(tipId, txHash, options = {}) {
     try {
       const tip = await Tip.findById(tipId).populate('creator');
       
@@ -227,10 +615,11 @@ class XRPLService {
         throw new Error('Tip not found');
       }
 
-      if (tip.status === 'confirmed') {
+      // Seul un tip en attente peut être confirmé (remboursé et rejeté sont définitifs)
+      if (tip.status !== 'pending') {
         return {
           success: false,
-          message: 'Tip already confirmed'
+          message: tip.status === 'confirmed' ? 'Tip already confirmed' : `Tip is ${tip.status} and can no longer be confirmed`
         };
       }
 
@@ -242,16 +631,22 @@ class XRPLService {
       // ✅ Récupérer tous les destination tags valides
       const validDestinationTags = creator.getAllValidDestinationTags();
 
-      // Vérifier la transaction sur XRPL
+      const viaPlatform = !options.direct && isPlatformWalletConfigured();
+
+      // Vérifier la transaction sur XRPL (adresse indiquée au tippeur par createTip)
       const verification = await xrplClient.verifyPayment(
         txHash,
-        creator.xrpAddress,
-        tip.amount
+        viaPlatform ? PLATFORM_WALLET_CONFIG.address : creator.xrpAddress,
+        tip.amount,
+        { currency: tip.currency, issuer: tip.issuer }
       );
 
       if (!verification.valid) {
-        tip.status = 'failed';
-        await tip.save();
+        // ✅ Montant livré inutilisable sur un paiement désigné par la référence du tip : rejet définitif
+        if (verification.rejected && this.carriesTipReference(tip, verification.transaction)) {
+          await tip.reject(verification.reason, txHash, verification.transaction.ledgerIndex);
+          tipEvents.publish('tip.failed', tip, { reason: verification.reason });
+        }
 
         return {
           success: false,
@@ -263,9 +658,6 @@ class XRPLService {
       // ✅ Vérifier le destination tag
       const txDestinationTag = verification.transaction.destinationTag;
       if (txDestinationTag && !validDestinationTags.includes(txDestinationTag)) {
-        tip.status = 'failed';
-        await tip.save();
-
         return {
           success: false,
           message: `Invalid destination tag. Expected one of: ${validDestinationTags.join(', ')}, Got: ${txDestinationTag}`,
@@ -273,7 +665,20 @@ class XRPLService {
         };
       }
 
-      // Transaction valide - confirmer le tip
+      // Un paiement ne confirme qu'un seul tip
+      if (await Tip.exists({ transactionHash: verification.transaction.hash, _id: { $ne: tip._id } })) {
+        return {
+          success: false,
+          message: 'Transaction already recorded for another tip'
+        };
+      }
+
+      if (viaPlatform) {
+        return this.confirmPlatformTip(tip, verification.transaction);
+      }
+
+      // Transaction valide - confirmer le tip (message et nom depuis les memos si absents)
+      this.applyTipperMemo(tip, verification.transaction.memos);
       await tip.confirm(
         verification.transaction.hash,
         verification.transaction.ledgerIndex
@@ -281,19 +686,13 @@ class XRPLService {
 
       // ✅ Enregistrer le destination tag utilisé
       tip.destinationTag = txDestinationTag;
+      tip.deliveredValue = verification.transaction.value ?? null;
       await tip.save();
 
-      // ✅ Mettre à jour les stats avec tous les tags valides
-      const allTips = await Tip.find({
-        creator: creator._id,
-        destinationTag: { $in: validDestinationTags },
-        status: 'confirmed'
-      }).lean();
+      tipEvents.publish('tip.confirmed', tip);
 
-      creator.stats.totalTips = allTips.length;
-      creator.stats.totalAmount = allTips.reduce((sum, t) => sum + t.amount, 0);
-      creator.stats.uniqueSupporters = [...new Set(allTips.map(t => t.senderAddress))].length;
-      await creator.save();
+      // ✅ Mettre à jour les stats avec tous les tags valides
+      tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
 
       return {
         success: true,
@@ -306,6 +705,60 @@ class XRPLService {
     }
   }
 
+  /**
+   * Confirmer un tip payé sur le wallet plateforme : le tip est réservé par le hash,
+   * puis traité comme par le monitoring (frais, redistribution, stats)
+   */
+  async confirmPlatformTip(tip, transaction) {
+    const reserved = await Tip.findOneAndUpdate(
+      { _id: tip._id, status: 'pending', transactionHash: null },
+      { $set: { transactionHash: transaction.hash } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      return {
+        success: false,
+        message: 'Tip already matched to another payment'
+      };
+    }
+
+    await this.handlePlatformPayment({
+      hash: transaction.hash,
+      from: transaction.from,
+      to: transaction.to,
+      amount: transaction.amount,
+      value: transaction.value ?? null,
+      exact: transaction.exact ?? true,
+      currency: transaction.currency,
+      issuer: transaction.issuer,
+      rejectionReason: null,
+      ledgerIndex: transaction.ledgerIndex,
+      destinationTag: transaction.destinationTag || null,
+      memos: transaction.memos,
+      invoiceId: transaction.invoiceId,
+      date: transaction.date ? xrplClient.rippleTimeToDate(transaction.date) : null
+    });
+
+    return {
+      success: true,
+      message: 'Tip confirmed successfully',
+      transaction
+    };
+  }
+
+  /**
+   * Vrai si le paiement porte la référence du tip (memo facture ou InvoiceID)
+   */
+  carriesTipReference(tip, transaction) {
+    if (!transaction) {
+      return false;
+    }
+
+    return findInvoiceReference(transaction.memos) === tip.paymentReference ||
+      (!!transaction.invoiceId && transaction.invoiceId.toUpperCase() === tip.invoiceId);
+  }
+
   /**
    * Synchroniser l'historique des transactions pour un créateur
    */
@@ -330,6 +783,7 @@ class XRPLService {
       let newTips = 0;
       let updatedTips = 0;
       let skippedWrongTag = 0;
+      let rejectedTips = 0;
 
       console.log(`📊 Found ${transactions.length} transactions to process`);
 
@@ -349,8 +803,8 @@ class XRPLService {
           }
 
           const txHash = txData.hash;
-          const amountDrops = tx.DeliverMax || tx.Amount;
-          const amount = xrplClient.dropsToXrp(amountDrops);
+          // ✅ Montant réellement livré (pas Amount / DeliverMax)
+          const { amount, value, currency, issuer, rejectionReason } = xrplClient.getDeliveredAmount(txData.meta);
           const senderAddress = tx.Account;
           const destinationTag = tx.DestinationTag;
 
@@ -361,17 +815,43 @@ class XRPLService {
             continue;
           }
 
-          console.log(`💰 Processing payment: ${amount} XRP from ${senderAddress} (tag: ${destinationTag})`);
-
           // Vérifier si ce tip existe déjà
           const existingTip = await Tip.findOne({ transactionHash: txHash });
 
+          if (rejectionReason) {
+            console.log(`⚠️ Rejecting payment ${txHash}: ${rejectionReason}`);
+
+            if (!existingTip) {
+              const tip = new Tip({
+                creator: creator._id,
+                creatorUsername: creator.username,
+                currency,
+                issuer,
+                senderAddress,
+                destinationTag: destinationTag
+              });
+              await tip.reject(rejectionReason, txHash, txData.ledger_index);
+              tipEvents.publish('tip.failed', tip, { reason: rejectionReason });
+              rejectedTips++;
+            } else if (existingTip.status === 'pending') {
+              await existingTip.reject(rejectionReason, txHash, txData.ledger_index);
+              tipEvents.publish('tip.failed', existingTip, { reason: rejectionReason });
+              rejectedTips++;
+            }
+            continue;
+          }
+
+          console.log(`💰 Processing payment: ${fromDrops(amount)} ${currency} from ${senderAddress} (tag: ${destinationTag})`);
+
           if (!existingTip) {
             // Créer un nouveau tip
             const tip = new Tip({
               creator: creator._id,
               creatorUsername: creator.username,
               amount,
+              deliveredValue: value,
+              currency,
+              issuer,
               senderAddress,
               destinationTag: destinationTag, // ✅ Enregistrer le tag
               status: 'confirmed',
@@ -380,14 +860,19 @@ class XRPLService {
               confirmedAt: xrplClient.rippleTimeToDate(tx.date)
             });
 
+            this.applyTipperMemo(tip, tx.Memos);
             await tip.save();
+            tipEvents.publish('tip.confirmed', tip);
             newTips++;
             console.log(`✅ Created new tip: ${txHash}`);
           } else if (existingTip.status === 'pending') {
             // Confirmer un tip existant
+            this.applyTipperMemo(existingTip, tx.Memos);
             await existingTip.confirm(txHash, txData.ledger_index);
             existingTip.destinationTag = destinationTag; // ✅ Mettre à jour le tag
+            existingTip.deliveredValue = value;
             await existingTip.save();
+            tipEvents.publish('tip.confirmed', existingTip);
             updatedTips++;
             console.log(`🔄 Updated existing tip: ${txHash}`);
           }
@@ -398,22 +883,14 @@ class XRPLService {
       }
 
       // ✅ Mettre à jour les stats avec tous les tags valides
-      const allTips = await Tip.find({
-        creator: creator._id,
-        destinationTag: { $in: validDestinationTags },
-        status: 'confirmed'
-      }).lean();
+      tipEvents.publishCompletedGoals(creator, await creator.refreshStats());
 
-      creator.stats.totalTips = allTips.length;
-      creator.stats.totalAmount = allTips.reduce((sum, t) => sum + t.amount, 0);
-      creator.stats.uniqueSupporters = [...new Set(allTips.map(t => t.senderAddress))].length;
-      await creator.save();
-
-      console.log(`✅ Sync complete: ${newTips} new, ${updatedTips} updated, ${skippedWrongTag} skipped (wrong tag)`);
+      console.log(`✅ Sync complete: ${newTips} new, ${updatedTips} updated, ${rejectedTips} rejected, ${skippedWrongTag} skipped (wrong tag)`);
 
       return {
         newTips,
         updatedTips,
+        rejectedTips,
         skippedWrongTag,
         totalProcessed: transactions.length
       };
@@ -424,44 +901,42 @@ class XRPLService {
   }
 
   /**
-   * Vérifier si une adresse XRP a reçu un paiement récent
+   * Vérifier si une adresse XRP a reçu un paiement récent (amount : drops ou décimal)
+   * Parcourt tout l'historique de la fenêtre (du plus récent au plus ancien, par pages)
+   * options.currency / options.issuer : devise attendue (XRP par défaut)
+   * options.exclude : hashes déjà rattachés à un tip, ignorés
    */
-  async checkRecentPayment(address, fromAddress, amount, timeWindow = 300000) {
-    try {
-      const transactions = await xrplClient.getAccountTransactions(address, {
-        limit: 20
-      });
+  async checkRecentPayment(address, fromAddress, amount, timeWindow = 300000, options = {}) {
+    const expected = toDrops(amount);
+    const { currency = 'XRP', issuer = null, exclude = [] } = options;
 
+    try {
       const now = Date.now();
+      let marker = null;
 
-      for (const txData of transactions) {
-        const tx = txData.tx || txData.tx_json;
-        
-        if (!tx || tx.TransactionType !== 'Payment' || 
-            tx.Destination !== address ||
-            txData.meta?.TransactionResult !== 'tesSUCCESS') {
-          continue;
+      do {
+        let page;
+        try {
+          page = await xrplClient.getAccountTransactionsPage(address, { forward: false, marker });
+        } catch (error) {
+          // Compte pas encore activé : aucun paiement
+          if (error.data?.error === 'actNotFound') {
+            return { found: false };
+          }
+          throw error;
         }
 
-        const txAmount = xrplClient.dropsToXrp(tx.DeliverMax || tx.Amount);
-        const txTime = xrplClient.rippleTimeToDate(tx.date).getTime();
-        const txFrom = tx.Account;
-
-        if (Math.abs(txAmount - amount) < 0.000001 && 
-            txFrom === fromAddress &&
-            (now - txTime) < timeWindow) {
-          return {
-            found: true,
-            transaction: {
-              hash: txData.hash,
-              amount: txAmount,
-              from: txFrom,
-              destinationTag: tx.DestinationTag,
-              date: xrplClient.rippleTimeToDate(tx.date)
-            }
-          };
+        const match = this.findPaymentInPage(page.transactions, address, fromAddress, expected, {
+          currency, issuer, exclude, since: now - timeWindow
+        });
+
+        if (match.transaction) {
+          return { found: true, transaction: match.transaction };
         }
-      }
+
+        // Page la plus ancienne déjà hors de la fenêtre : inutile de remonter plus loin
+        marker = match.reachedWindowStart ? null : page.marker;
+      } while (marker);
 
       return { found: false };
     } catch (error) {
@@ -471,7 +946,57 @@ class XRPLService {
   }
 
   /**
-   * Obtenir le solde XRP d'une adresse
+   * Chercher dans une page account_tx (ordre décroissant) le paiement attendu
+   * Retourne { transaction, reachedWindowStart }
+   */
+  findPaymentInPage(transactions, address, fromAddress, expected, { currency, issuer, exclude, since }) {
+    for (const txData of transactions) {
+      const tx = txData.tx || txData.tx_json;
+
+      if (!tx) {
+        continue;
+      }
+
+      // Transactions plus anciennes que la fenêtre : fin de la recherche
+      if (xrplClient.rippleTimeToDate(tx.date).getTime() < since) {
+        return { transaction: null, reachedWindowStart: true };
+      }
+
+      if (tx.TransactionType !== 'Payment' ||
+          tx.Destination !== address ||
+          txData.meta?.TransactionResult !== 'tesSUCCESS' ||
+          exclude.includes(txData.hash)) {
+        continue;
+      }
+
+      const delivered = xrplClient.getDeliveredAmount(txData.meta);
+      if (delivered.amount === null ||
+          delivered.currency !== currency ||
+          (delivered.issuer || null) !== (issuer || null)) {
+        continue;
+      }
+
+      if (delivered.amount === expected && tx.Account === fromAddress) {
+        return {
+          transaction: {
+            hash: txData.hash,
+            amount: delivered.amount,
+            currency: delivered.currency,
+            issuer: delivered.issuer,
+            from: tx.Account,
+            destinationTag: tx.DestinationTag,
+            date: xrplClient.rippleTimeToDate(tx.date)
+          },
+          reachedWindowStart: false
+        };
+      }
+    }
+
+    return { transaction: null, reachedWindowStart: false };
+  }
+
+  /**
+   * Obtenir le solde XRP d'une adresse (chaîne décimale exacte)
    */
   async getBalance(address) {
     try {
@@ -494,12 +1019,19 @@ class XRPLService {
    * Arrêter tous les monitorings
    */
   async shutdown() {
+    if (this.backfillRetryTimer) {
+      clearTimeout(this.backfillRetryTimer);
+      this.backfillRetryTimer = null;
+    }
+
     if (this.platformWalletSubscription) {
       await this.platformWalletSubscription();
       console.log('✅ Platform wallet monitoring stopped');
     }
     
-    await redistributionService.disconnect();
+    payoutQueue.stop();
+    payoutScheduler.stop();
+    await xrplClient.disconnect();
   }
 }
 
@@ -0,0 +1,186 @@
+/**
+ * Script de test des annonces Discord / Slack contre un receveur HTTP local (stand-in)
+ * Couvre la livraison (embed Discord, blocks Slack), les retries (5xx / 429 puis succès,
+ * 4xx sans retry, essais épuisés) et le plafond par minute stocké en base
+ *
+ * Usage: MONGODB_URI=mongodb://localhost:27017/xrptip-test node testAnnouncements.js
+ * ⚠️ Crée puis supprime un créateur et des salons de test dans la base indiquée
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import express from 'express';
+import mongoose from 'mongoose';
+
+// Retries rapides pour le test (lu au chargement du service)
+process.env.ANNOUNCEMENT_RETRY_DELAY = '10';
+
+const { default: Creator } = await import('./models/Creator.js');
+const { default: Tip } = await import('./models/Tip.js');
+const { default: AnnouncementChannel } = await import('./models/AnnouncementChannel.js');
+const { default: announcementService } = await import('./services/announcementService.js');
+const { default: tipEvents } = await import('./services/tipEvents.js');
+const { toDrops } = await import('./utils/money.js');
+
+let failures = 0;
+
+const check = (label, condition) => {
+  console.log(`  ${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) {
+    failures++;
+  }
+};
+
+/**
+ * Receveur stand-in : réponses programmées par chemin (204 par défaut), requêtes enregistrées
+ */
+const startReceiver = () => {
+  const app = express();
+  const scripts = new Map();
+  const received = new Map();
+
+  app.use(express.json());
+
+  app.post('/hooks/:name', (req, res) => {
+    const { name } = req.params;
+    received.set(name, [...(received.get(name) || []), req.body]);
+
+    const status = (scripts.get(name) || []).shift() ?? 204;
+    if (status === 429) {
+      res.set('Retry-After', '0');
+    }
+    res.status(status).send(status >= 400 ? `stand-in error ${status}` : '');
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        url: (name) => `http://127.0.0.1:${server.address().port}/hooks/${name}`,
+        script: (name, statuses) => scripts.set(name, [...statuses]),
+        received: (name) => received.get(name) || []
+      });
+    });
+  });
+};
+
+// Tip confirmé publié sur le bus, comme le chemin de confirmation réel
+const announce = (creator, { amount, senderName = 'Pepper', message = 'Great stream!' }) => {
+  const tip = new Tip({
+    creator: creator._id,
+    creatorUsername: creator.username,
+    amount: toDrops(amount),
+    totalAmount: toDrops(amount),
+    currency: 'XRP',
+    senderName,
+    message,
+    status: 'confirmed',
+    confirmedAt: new Date()
+  });
+
+  return announcementService.announceTip(tipEvents.publish('tip.confirmed', tip, { source: 'platform' }));
+};
+
+const reload = (channel) => AnnouncementChannel.findById(channel._id);
+
+async function testAnnouncements() {
+  await mongoose.connect(process.env.MONGODB_URI, { useBigInt64: true });
+  console.log('✅ Database connected');
+
+  const receiver = await startReceiver();
+  console.log(`📡 Stand-in receiver on ${receiver.url('')}\n`);
+
+  const creator = await Creator.create({
+    user: new mongoose.Types.ObjectId(),
+    username: `announce-test-${Date.now().toString(36)}`,
+    displayName: 'Announce Test',
+    bio: 'Test creator for announcements',
+    xrpAddress: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe'
+  });
+
+  try {
+    const channel = (provider, name, options = {}) =>
+      announcementService.createChannel(creator, { provider, url: receiver.url(name), ...options });
+
+    // 1. Livraison
+    console.log('🧪 Delivery');
+    const discord = await channel('discord', 'discord');
+    const slack = await channel('slack', 'slack', { minAmount: '5' });
+
+    await announce(creator, { amount: '12.5', message: 'Hi <!channel> @everyone' });
+    await announce(creator, { amount: '1' });
+
+    const [embedBody] = receiver.received('discord');
+    check('Discord received both tips', receiver.received('discord').length === 2);
+    check('Discord embed rendered from the template', embedBody?.embeds?.[0]?.description?.includes('Pepper just tipped 12.5 XRP'));
+    check('Discord mentions disabled', Array.isArray(embedBody?.allowed_mentions?.parse) && embedBody.allowed_mentions.parse.length === 0);
+    check('Slack skipped the tip under its minimum amount', receiver.received('slack').length === 1);
+    check('Slack blocks escape control sequences', receiver.received('slack')[0]?.blocks?.[0]?.text?.text?.includes('&lt;!channel&gt;'));
+    check('Delivery counted in stats', (await reload(discord)).stats.sent === 2);
+
+    // 2. Retries
+    console.log('\n🧪 Retries');
+    await AnnouncementChannel.deleteMany({ _id: { $in: [discord._id, slack._id] } });
+
+    const flaky = await channel('discord', 'flaky');
+    const gone = await channel('discord', 'gone');
+    const down = await channel('slack', 'down');
+    receiver.script('flaky', [503, 429, 204]);
+    receiver.script('gone', [404]);
+    receiver.script('down', [500, 502, 503]);
+
+    await announce(creator, { amount: '2' });
+
+    const flakyAfter = await reload(flaky);
+    check('5xx then 429 retried until delivered (3 requests)', receiver.received('flaky').length === 3);
+    check('Retried delivery counted as sent, no failure', flakyAfter.stats.sent === 1 && flakyAfter.stats.failed === 0);
+
+    const goneAfter = await reload(gone);
+    check('4xx not retried (1 request)', receiver.received('gone').length === 1);
+    check('4xx failure shown in settings', goneAfter.toSettingsJSON().recentFailures[0]?.responseStatus === 404 &&
+      goneAfter.recentFailures[0]?.attempts === 1);
+
+    const downAfter = await reload(down);
+    check('Retries stop after max attempts (3 requests)', receiver.received('down').length === 3);
+    check('Exhausted retries recorded as one failure', downAfter.stats.failed === 1 &&
+      downAfter.consecutiveFailures === 1 && downAfter.recentFailures[0]?.attempts === 3);
+
+    // 3. Plafond par minute
+    console.log('\n🧪 Per-minute cap');
+    await AnnouncementChannel.deleteMany({ _id: { $in: [flaky._id, gone._id, down._id] } });
+
+    // Ne pas chevaucher deux minutes pendant le test
+    if (new Date().getSeconds() > 50) {
+      await new Promise(resolve => setTimeout(resolve, (61 - new Date().getSeconds()) * 1000));
+    }
+
+    const capped = await channel('discord', 'capped', { perMinuteCap: 2 });
+    for (let i = 0; i < 4; i++) {
+      await announce(creator, { amount: '3' });
+    }
+
+    const cappedAfter = await reload(capped);
+    check('Only perMinuteCap announcements sent', receiver.received('capped').length === 2 && cappedAfter.stats.sent === 2);
+    check('Tips over the cap counted as capped', cappedAfter.stats.capped === 2);
+    check('Cap stored in the database (shared by another instance)', await AnnouncementChannel.takeSlot(cappedAfter) === false);
+    check('Cap resets on the next minute', await AnnouncementChannel.takeSlot(cappedAfter, new Date(Date.now() + 60 * 1000)) === true);
+  } finally {
+    await AnnouncementChannel.deleteMany({ creator: creator._id });
+    await Creator.deleteOne({ _id: creator._id });
+    receiver.server.close();
+    await mongoose.disconnect();
+  }
+
+  return failures === 0;
+}
+
+testAnnouncements()
+  .then((ok) => {
+    console.log(ok ? '\n🎉 All announcement tests passed' : `\n❌ ${failures} check(s) failed`);
+    process.exit(ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('❌ Test error:', error);
+    process.exit(1);
+  });
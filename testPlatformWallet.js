@@ -8,6 +8,8 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { PLATFORM_WALLET_CONFIG } from './config/platformWallet.js';
+import { XRPL_CONFIG } from './config/xrpl.js';
+import { SIGNER_CONFIG } from './config/signer.js';
 import { Wallet, Client } from 'xrpl';
 
 async function testPlatformWallet() {
@@ -16,6 +18,7 @@ async function testPlatformWallet() {
   // 1. Vérifier la configuration
   console.log('📋 Configuration actuelle:');
   console.log('  Address:', PLATFORM_WALLET_CONFIG.address);
+  console.log('  Signer:', SIGNER_CONFIG.type);
   console.log('  Secret:', PLATFORM_WALLET_CONFIG.secret ? '✅ Défini' : '❌ Manquant');
   console.log('  Fee %:', PLATFORM_WALLET_CONFIG.fees.percentage * 100 + '%');
   console.log('  Min Reserve:', PLATFORM_WALLET_CONFIG.minReserve, 'XRP\n');
@@ -27,39 +30,45 @@ async function testPlatformWallet() {
     return false;
   }
 
-  // 3. Vérifier le secret
-  if (!PLATFORM_WALLET_CONFIG.secret) {
+  // 3. Vérifier le secret (uniquement pour le signeur 'env')
+  if (SIGNER_CONFIG.type !== 'env') {
+    console.log(`🔐 Signeur '${SIGNER_CONFIG.type}' : pas de secret dans l'environnement`);
+    if (PLATFORM_WALLET_CONFIG.secret) {
+      console.warn('  ⚠️ PLATFORM_WALLET_SECRET est encore défini : supprimez-le du .env');
+    }
+    console.log('  → Vérifiez le signeur via GET /api/admin/signer\n');
+  } else if (!PLATFORM_WALLET_CONFIG.secret) {
     console.error('❌ ERREUR: Le secret du wallet plateforme n\'est pas configuré !');
     console.log('   Veuillez définir PLATFORM_WALLET_SECRET dans .env\n');
     return false;
   }
 
   // 4. Vérifier que le secret correspond à l'adresse
-  try {
-    const wallet = Wallet.fromSeed(PLATFORM_WALLET_CONFIG.secret);
-    console.log('🔑 Wallet généré depuis le secret:');
-    console.log('  Address:', wallet.address);
+  if (SIGNER_CONFIG.type === 'env') {
+    try {
+      const wallet = Wallet.fromSeed(PLATFORM_WALLET_CONFIG.secret);
+      console.log('🔑 Wallet généré depuis le secret:');
+      console.log('  Address:', wallet.address);
     
-    if (wallet.address !== PLATFORM_WALLET_CONFIG.address) {
-      console.error('\n❌ ERREUR: Le secret ne correspond pas à l\'adresse !');
-      console.log('  Adresse attendue:', PLATFORM_WALLET_CONFIG.address);
-      console.log('  Adresse du secret:', wallet.address);
-      console.log('  → Vérifiez vos variables d\'environnement\n');
+      if (wallet.address !== PLATFORM_WALLET_CONFIG.address) {
+        console.error('\n❌ ERREUR: Le secret ne correspond pas à l\'adresse !');
+        console.log('  Adresse attendue:', PLATFORM_WALLET_CONFIG.address);
+        console.log('  Adresse du secret:', wallet.address);
+        console.log('  → Vérifiez vos variables d\'environnement\n');
+        return false;
+      }
+    
+      console.log('  ✅ Le secret correspond à l\'adresse\n');
+    } catch (error) {
+      console.error('❌ ERREUR: Secret invalide -', error.message, '\n');
       return false;
     }
-    
-    console.log('  ✅ Le secret correspond à l\'adresse\n');
-  } catch (error) {
-    console.error('❌ ERREUR: Secret invalide -', error.message, '\n');
-    return false;
   }
 
   // 5. Vérifier la connexion au réseau XRPL
-  const network = process.env.XRPL_NETWORK === 'mainnet' 
-    ? 'wss://xrplcluster.com'
-    : 'wss://s.altnet.rippletest.net:51233';
+  const network = XRPL_CONFIG.endpoints[0];
   
-  console.log('🌐 Connexion au réseau XRPL:', process.env.XRPL_NETWORK || 'testnet');
+  console.log('🌐 Connexion au réseau XRPL:', XRPL_CONFIG.network, `(${network})`);
   
   const client = new Client(network);
   
@@ -96,7 +105,7 @@ async function testPlatformWallet() {
         console.log('     Pour activer le compte, envoyez au moins 10 XRP à:');
         console.log('     ', PLATFORM_WALLET_CONFIG.address);
         
-        if (process.env.XRPL_NETWORK !== 'mainnet') {
+        if (XRPL_CONFIG.network !== 'mainnet') {
           console.log('\n     💡 Testnet Faucet: https://xrpl.org/xrp-testnet-faucet.html\n');
         }
         
@@ -120,15 +129,16 @@ async function testPlatformWallet() {
   // 7. Test de calcul des frais
   console.log('🧮 Test de calcul des frais:');
   const { calculateBackendFees } = await import('./config/platformWallet.js');
+  const { fromDrops } = await import('./utils/money.js');
   
-  const testAmounts = [0.5, 1, 5, 10, 50, 100];
+  const testAmounts = ['0.5', '1', '5', '10', '50', '100'];
   
-  console.log('  Montant reçu | Créateur | Frais (5%) | Frais réel');
-  console.log('  ' + '-'.repeat(55));
+  console.log('  Montant reçu | Créateur   | Frais réel');
+  console.log('  ' + '-'.repeat(40));
   
   for (const amount of testAmounts) {
     const { creatorAmount, platformFee } = calculateBackendFees(amount);
-    console.log(`  ${amount.toString().padEnd(12)} | ${creatorAmount.toFixed(2).padEnd(8)} | ${(amount * 0.05).toFixed(2).padEnd(10)} | ${platformFee.toFixed(2)}`);
+    console.log(`  ${amount.padEnd(12)} | ${fromDrops(creatorAmount).padEnd(10)} | ${fromDrops(platformFee)}`);
   }
   console.log();
 
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+
+/**
+ * Keystore chiffré du wallet plateforme (seed chiffrée en AES-256-GCM,
+ * clé dérivée de la passphrase avec scrypt)
+ */
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const deriveKey = (passphrase, salt, params) => {
+  return crypto.scryptSync(passphrase, salt, 32, params);
+};
+
+/**
+ * Chiffrer une seed avec une passphrase
+ */
+export const encryptSeed = (seed, passphrase, address) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    address,
+    kdf: 'scrypt',
+    kdfParams: { N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+};
+
+/**
+ * Déchiffrer la seed d'un keystore (erreur si la passphrase est incorrecte)
+ */
+export const decryptSeed = (keystore, passphrase) => {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt') {
+    throw new Error('Unsupported keystore format');
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(keystore.salt, 'hex'), {
+    ...keystore.kdfParams,
+    maxmem: SCRYPT_PARAMS.maxmem
+  });
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Invalid keystore passphrase');
+  }
+};
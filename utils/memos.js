@@ -0,0 +1,192 @@
+/**
+ * Helpers pour les memos XRPL (champs hexadécimaux MemoType / MemoFormat / MemoData)
+ */
+
+// Memo machine : référence la transaction entrante à l'origine d'un paiement sortant
+export const SOURCE_MEMO_TYPE = 'xrptip/source';
+
+// Memo facture : référence de paiement d'un tip en attente (ex : XT-7K2M9QF4TZ)
+export const INVOICE_MEMO_TYPE = 'xrptip/invoice';
+
+const PAYMENT_REFERENCE_PATTERN = /^XT-[0-9A-Z]{10}$/;
+
+/**
+ * Encoder une chaîne en hexadécimal (format attendu par XRPL)
+ */
+export const toHex = (str) => {
+  return Buffer.from(str, 'utf8').toString('hex').toUpperCase();
+};
+
+/**
+ * Décoder un champ hexadécimal
+ */
+export const fromHex = (hex) => {
+  if (!hex) {
+    return null;
+  }
+  return Buffer.from(hex, 'hex').toString('utf8');
+};
+
+/**
+ * Construire un memo XRPL
+ */
+export const buildMemo = (type, data, format = 'text/plain') => {
+  return {
+    Memo: {
+      MemoType: toHex(type),
+      MemoFormat: toHex(format),
+      MemoData: toHex(data)
+    }
+  };
+};
+
+/**
+ * Construire le memo qui lie un paiement sortant à sa transaction source
+ */
+export const buildSourceMemo = (kind, sourceHash) => {
+  return buildMemo(
+    SOURCE_MEMO_TYPE,
+    JSON.stringify({ v: 1, kind, source: sourceHash }),
+    'application/json'
+  );
+};
+
+/**
+ * Décoder les memos d'une transaction
+ */
+export const decodeMemos = (memos = []) => {
+  return memos
+    .map(({ Memo }) => Memo && {
+      type: fromHex(Memo.MemoType),
+      format: fromHex(Memo.MemoFormat),
+      data: fromHex(Memo.MemoData)
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Extraire la référence source d'une transaction (null si absente ou illisible)
+ */
+export const findSourceMemo = (memos = []) => {
+  const memo = decodeMemos(memos).find(m => m.type === SOURCE_MEMO_TYPE);
+
+  if (!memo) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(memo.data);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Construire le memo facture d'un tip en attente
+ */
+export const buildInvoiceMemo = (reference) => {
+  return buildMemo(INVOICE_MEMO_TYPE, reference);
+};
+
+/**
+ * Extraire la référence de paiement d'une transaction (null si absente)
+ * Memo typé en priorité, sinon un memo texte libre contenant seulement la référence
+ * (wallets qui ne permettent pas de choisir le MemoType)
+ */
+export const findInvoiceReference = (memos = []) => {
+  const decoded = decodeMemos(memos);
+  const typed = decoded.find(m => m.type === INVOICE_MEMO_TYPE);
+  const candidates = typed ? [typed] : decoded;
+
+  for (const memo of candidates) {
+    const reference = (memo.data || '').trim().toUpperCase();
+    if (PAYMENT_REFERENCE_PATTERN.test(reference)) {
+      return reference;
+    }
+  }
+
+  return null;
+};
+
+// Limites des champs remplis depuis les memos (cf. Tip.message / Tip.senderName)
+export const MEMO_MESSAGE_MAX_LENGTH = 200;
+export const MEMO_NAME_MAX_LENGTH = 50;
+
+// Memos machine de la plateforme : jamais affichés comme message
+const MACHINE_MEMO_TYPES = [SOURCE_MEMO_TYPE, INVOICE_MEMO_TYPE];
+
+/**
+ * Nettoyer un texte venu du ledger : balises HTML, caractères de contrôle et de
+ * direction (bidi, largeur nulle), espaces multiples ; tronqué à maxLength
+ * Retourne '' si le texte n'est pas de l'UTF-8 lisible
+ */
+export const sanitizeMemoText = (value, maxLength) => {
+  if (typeof value !== 'string' || value.includes('\uFFFD')) {
+    return '';
+  }
+
+  const clean = value
+    .normalize('NFC')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Tronquer (longueur UTF-16, comme les maxlength Mongoose) sans couper un emoji
+  let result = '';
+  for (const char of clean) {
+    if (result.length + char.length > maxLength) {
+      break;
+    }
+    result += char;
+  }
+
+  return result.trim();
+};
+
+/**
+ * Message et nom du tippeur portés par les memos d'un paiement
+ * - JSON { "msg": "...", "name": "..." } (MemoFormat application/json ou donnée JSON)
+ * - texte brut (text/plain ou sans format) : message
+ * Retourne { message, name } (chaînes vides si absents)
+ */
+export const extractTipperMemo = (memos = []) => {
+  let message = '';
+  let name = '';
+
+  for (const memo of decodeMemos(memos)) {
+    if (MACHINE_MEMO_TYPES.includes(memo.type) || !memo.data) {
+      continue;
+    }
+
+    const data = memo.data.trim();
+
+    // Référence de paiement seule en texte libre (voir findInvoiceReference)
+    if (PAYMENT_REFERENCE_PATTERN.test(data.toUpperCase())) {
+      continue;
+    }
+
+    if (memo.format === 'application/json' || data.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(data);
+        if (!message && typeof parsed?.msg === 'string') {
+          message = sanitizeMemoText(parsed.msg, MEMO_MESSAGE_MAX_LENGTH);
+        }
+        if (!name && typeof parsed?.name === 'string') {
+          name = sanitizeMemoText(parsed.name, MEMO_NAME_MAX_LENGTH);
+        }
+        continue;
+      } catch (error) {
+        if (memo.format === 'application/json') {
+          continue;
+        }
+      }
+    }
+
+    if (!message && (!memo.format || memo.format.startsWith('text/'))) {
+      message = sanitizeMemoText(data, MEMO_MESSAGE_MAX_LENGTH);
+    }
+  }
+
+  return { message, name };
+};
@@ -0,0 +1,161 @@
+/**
+ * Montants exacts en entiers BigInt
+ *
+ * Tous les montants sont manipulés en "drops" : 1 XRP = 1 000 000 drops.
+ * Les tokens utilisent la même échelle (6 décimales, au-delà tronqué) : un paiement token
+ * plus précis est remboursé au lieu d'être partagé (voir hasExtraDecimals).
+ * Les BigInt ne quittent le serveur que sous forme de chaînes décimales exactes ("10.5").
+ */
+
+export const DECIMALS = 6;
+export const DROPS_PER_XRP = 1000000n;
+
+// Parties par million (pourcentages : 0.05 = 50 000 ppm)
+const PPM = 1000000n;
+
+/**
+ * Découper un décimal ("10.5", "1e-6") en chiffres et position de la virgule à 6 décimales
+ */
+const parseDecimal = (value) => {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(value).trim());
+
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, intPart = '', fracPart = '', exp = '0'] = match;
+
+  // Décaler la virgule selon l'exposant, puis garder 6 décimales
+  return {
+    sign,
+    digits: intPart + fracPart,
+    point: intPart.length + parseInt(exp, 10) + DECIMALS
+  };
+};
+
+/**
+ * Convertir un montant en drops
+ * - bigint : déjà en drops
+ * - string : décimal exact ("10.5", "1e-6"), décimales au-delà de 6 tronquées
+ * - number : arrondi au drop le plus proche (bruit des flottants)
+ * - null/undefined : 0n
+ */
+export const toDrops = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return 0n;
+  }
+
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    return BigInt(Math.round(value * 1e6));
+  }
+
+  const { sign, digits, point } = parseDecimal(value);
+  const units = point <= 0 ? '0' : digits.padEnd(point, '0').slice(0, point);
+
+  const drops = BigInt(units || '0');
+  return sign === '-' ? -drops : drops;
+};
+
+/**
+ * Vrai si toDrops perd des décimales non nulles (valeur token au-delà de 6 décimales)
+ */
+export const hasExtraDecimals = (value) => {
+  const { digits, point } = parseDecimal(value);
+  return /[1-9]/.test(digits.slice(Math.max(point, 0)));
+};
+
+/**
+ * Valeur stockée en Int64 (BigInt, ou Number entier selon les options du driver) -> drops
+ * Pour les résultats lean() et aggregate() ; jamais pour un montant décimal
+ */
+export const fromStored = (value) => BigInt(value ?? 0);
+
+/**
+ * Convertir des drops en chaîne décimale exacte ("10.5", "0.000001")
+ */
+export const fromDrops = (drops) => {
+  const value = toDrops(drops);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+
+  const whole = abs / DROPS_PER_XRP;
+  const fraction = (abs % DROPS_PER_XRP).toString().padStart(DECIMALS, '0').replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Drops -> nombre (affichage, logs ; jamais pour calculer)
+ */
+export const toNumber = (drops) => Number(fromDrops(drops));
+
+/**
+ * Additionner des montants
+ */
+export const sumDrops = (values) => values.reduce((sum, value) => sum + toDrops(value), 0n);
+
+export const minDrops = (a, b) => (a < b ? a : b);
+
+export const maxDrops = (a, b) => (a > b ? a : b);
+
+export const absDrops = (value) => (value < 0n ? -value : value);
+
+// Comparateur pour Array.prototype.sort
+export const compareDrops = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Pourcentage décimal (0.05) -> parties par million (50000n)
+ */
+export const toPpm = (percentage) => BigInt(Math.round((percentage || 0) * 1e6));
+
+/**
+ * a * b / c en entiers, arrondi 'down' (vers zéro), 'up' ou 'half' (au plus proche)
+ */
+export const mulDiv = (a, b, c, rounding = 'down') => {
+  const numerator = a * b;
+  const quotient = numerator / c;
+  const remainder = numerator % c;
+
+  if (remainder === 0n || rounding === 'down') {
+    return quotient;
+  }
+
+  if (rounding === 'up') {
+    return quotient + 1n;
+  }
+
+  return remainder * 2n >= c ? quotient + 1n : quotient;
+};
+
+/**
+ * Appliquer un pourcentage exprimé en ppm à un montant en drops
+ */
+export const applyPpm = (drops, ppm, rounding = 'down') => mulDiv(drops, ppm, PPM, rounding);
+
+/**
+ * Remplaceur JSON : les BigInt (toujours des drops) deviennent des chaînes décimales exactes
+ */
+export const jsonReplacer = (key, value) => (typeof value === 'bigint' ? fromDrops(value) : value);
+
+/**
+ * Champ Mongoose pour un montant en drops (BigInt, stocké en Int64)
+ * options.signed : autoriser les montants négatifs (écarts)
+ */
+export const dropsField = ({ signed = false, ...options } = {}) => ({
+  type: BigInt,
+  default: null,
+  ...(!signed && {
+    validate: {
+      validator: (v) => v === null || v === undefined || v >= 0n,
+      message: 'Amount must be positive'
+    }
+  }),
+  ...options
+});
@@ -0,0 +1,69 @@
+/**
+ * URI de paiement XRPL (xrpl: / ripple:) et rendu en QR code
+ */
+import QRCode from 'qrcode';
+import { fromDrops } from './money.js';
+
+// Couleur du QR par thème de créateur (teintes foncées : contraste sur fond blanc)
+export const THEME_COLORS = {
+  blue: '#2563EB',
+  red: '#DC2626',
+  green: '#16A34A',
+  yellow: '#CA8A04',
+  orange: '#EA580C',
+  white: '#111827',
+  gray: '#4B5563',
+  purple: '#9333EA',
+  pink: '#DB2777',
+  cyan: '#0891B2'
+};
+
+export const DEFAULT_LIGHT_COLOR = '#FFFFFF';
+
+/**
+ * Couleur principale d'un thème (customColor pour le thème 'custom')
+ */
+export const getThemeColor = (theme) => {
+  if (theme?.name === 'custom' && theme.customColor) {
+    return theme.customColor;
+  }
+  return THEME_COLORS[theme?.name] || THEME_COLORS.blue;
+};
+
+/**
+ * Construire l'URI de paiement
+ * amount : drops (BigInt), memo : texte libre (ex : référence XT-...)
+ */
+export const buildPaymentUri = (scheme, { address, destinationTag, amount, memo }) => {
+  const params = [];
+
+  if (destinationTag !== null && destinationTag !== undefined) {
+    params.push(['dt', destinationTag]);
+  }
+  if (amount) {
+    params.push(['amount', fromDrops(amount)]);
+  }
+  if (memo) {
+    params.push(['memo', memo]);
+  }
+
+  // encodeURIComponent plutôt que URLSearchParams : espaces en %20 (certains wallets ne décodent pas '+')
+  const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `${scheme}:${address}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Rendre un QR code en SVG (chaîne) ou PNG (Buffer)
+ */
+export const renderQrCode = (text, { format = 'svg', size = 256, dark, light = DEFAULT_LIGHT_COLOR, errorCorrectionLevel = 'M' }) => {
+  const options = {
+    errorCorrectionLevel,
+    width: size,
+    margin: 2,
+    color: { dark, light }
+  };
+
+  return format === 'png'
+    ? QRCode.toBuffer(text, { ...options, type: 'png' })
+    : QRCode.toString(text, { ...options, type: 'svg' });
+};